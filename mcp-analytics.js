@@ -0,0 +1,964 @@
+// Usage analytics helpers: mock reports, capacity forecasting, usage statistics and dispatch strategy
+import { CDN_PROVIDERS, REGIONS, strategyFile, loadDataOrDefault, saveData } from './mcp-common.js';
+import { getCalendarDay, DEFAULT_TIMEZONE } from './mcp-time-range.js';
+
+// Usage types of the historical report API
+export const USAGE_TYPES = ['dns_query_usage_sum', 'cdn_request_sum', 'cdn_traffic_sum'];
+
+// Utility function to generate mock historical report data
+export const generateMockHistoricalReport = (orgId, usageType, startTime, endTime, convertMilliTimestamp = false) => {
+  const startDate = new Date(startTime * 1000);
+  const endDate = new Date(endTime * 1000);
+  const timeDiffMs = endDate.getTime() - startDate.getTime();
+  // Every day started in the period has a point, a period ending at 23:59:59 included
+  const dayDiffCount = Math.max(1, Math.ceil(timeDiffMs / (24 * 60 * 60 * 1000)));
+  
+  // Calculate previous comparable period
+  const prevStartTime = startTime - (endTime - startTime);
+  const prevEndTime = startTime;
+  
+  // Generate data points (one per day by default)
+  const labels = [];
+  const datasets = [];
+  
+  // Get appropriate timestamp format
+  const getTimestamp = (date) => {
+    return convertMilliTimestamp ? date.getTime() : Math.floor(date.getTime() / 1000);
+  };
+  
+  // Add data points
+  for (let i = 0; i < dayDiffCount; i++) {
+    const pointDate = new Date(startDate.getTime() + (i * 24 * 60 * 60 * 1000));
+    const timestamp = getTimestamp(pointDate);
+    
+    // Generate a value following a pattern (higher on weekdays, lower on weekends)
+    const dayOfWeek = pointDate.getDay(); // 0 = Sunday, 6 = Saturday
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+    
+    // Base value between 2000-4000 on weekdays, 500-1500 on weekends
+    const baseValue = isWeekend ? 
+      Math.floor(Math.random() * 1000) + 500 : 
+      Math.floor(Math.random() * 2000) + 2000;
+    
+    // Add some seasonal variation (sine wave)
+    const seasonalFactor = 1 + 0.2 * Math.sin(i / 7 * Math.PI);
+    
+    // Calculate final value with some noise
+    const value = Math.floor(baseValue * seasonalFactor * (0.9 + Math.random() * 0.2));
+    
+    labels.push(timestamp);
+    datasets.push(value);
+  }
+  
+  // Calculate comparison metrics
+  const currentSum = datasets.reduce((sum, val) => sum + val, 0);
+  
+  // Generate previous period data (not returned but used for comparison)
+  const prevDatasets = [];
+  for (let i = 0; i < dayDiffCount; i++) {
+    const pointDate = new Date(prevStartTime * 1000 + (i * 24 * 60 * 60 * 1000));
+    
+    // Similar logic as above but with slight variation
+    const dayOfWeek = pointDate.getDay();
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+    
+    const baseValue = isWeekend ? 
+      Math.floor(Math.random() * 900) + 400 : 
+      Math.floor(Math.random() * 1800) + 1800;
+    
+    const seasonalFactor = 1 + 0.2 * Math.sin(i / 7 * Math.PI);
+    const value = Math.floor(baseValue * seasonalFactor * (0.9 + Math.random() * 0.2));
+    
+    prevDatasets.push(value);
+  }
+  
+  const prevSum = prevDatasets.reduce((sum, val) => sum + val, 0);
+  const compareValue = currentSum - prevSum;
+  const comparePercentage = prevSum === 0 ? 100 : (compareValue / prevSum * 100);
+  
+  // Build the response according to the API spec
+  return {
+    meta: {
+      status: "success",
+      message: null,
+      code: 200
+    },
+    data: {
+      query: {
+        compare_start_time: getTimestamp(new Date(prevStartTime * 1000)),
+        start_time: getTimestamp(startDate),
+        usage_type: [usageType],
+        end_time: getTimestamp(endDate),
+        compare_end_time: getTimestamp(new Date(prevEndTime * 1000))
+      },
+      diagrams: {
+        [usageType]: {
+          labels,
+          datasets,
+          compare_result: {
+            comparable: true,
+            reason: null,
+            result: {
+              compare_percentage: parseFloat(comparePercentage.toFixed(2)),
+              compare_value: compareValue
+            }
+          }
+        }
+      }
+    }
+  };
+};
+
+// Utility function to generate capacity forecast data
+export const generateCapacityForecast = (
+  orgId, 
+  usageType, 
+  historicalDays = 90, 
+  forecastDays = 90,
+  growthRate = 0.05, // 5% monthly growth rate
+  includeSeasonality = true,
+  confidenceInterval = 0.95,
+  thresholdWarning = 0.7, // 70% capacity warning
+  thresholdCritical = 0.9, // 90% capacity critical
+  asOf = new Date() // End of the historical period, where the forecast starts
+) => {
+  // Generate timestamps and data for historical period
+  const now = new Date(asOf);
+  const historicalStart = new Date(now);
+  historicalStart.setDate(now.getDate() - historicalDays);
+  
+  const forecastEnd = new Date(now);
+  forecastEnd.setDate(now.getDate() + forecastDays);
+  
+  // Store timestamps and values for the whole timeline
+  const timelineLabels = [];
+  const timelineValues = [];
+  const confidenceLower = [];
+  const confidenceUpper = [];
+  const thresholdWarningValues = [];
+  const thresholdCriticalValues = [];
+  
+  // Generate historical data
+  for (let i = 0; i < historicalDays; i++) {
+    const currentDate = new Date(historicalStart);
+    currentDate.setDate(historicalStart.getDate() + i);
+    timelineLabels.push(currentDate.toISOString());
+    
+    // Generate daily basis with some growth trend
+    const trendFactor = 1 + (growthRate / 30) * i; // Daily compound growth
+    
+    // Base value varies by usage type
+    let baseValue;
+    switch (usageType) {
+      case 'dns_query_usage_sum':
+        baseValue = 100000;
+        break;
+      case 'cdn_request_sum':
+        baseValue = 500000;
+        break;
+      case 'cdn_traffic_sum':
+        baseValue = 10000; // In GB
+        break;
+      default:
+        baseValue = 100000;
+    }
+    
+    // Add weekly patterns (weekday/weekend variation)
+    const dayOfWeek = currentDate.getDay();
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+    const dayFactor = isWeekend ? 0.6 : 1.1; // 40% less on weekends, 10% more on weekdays
+    
+    // Add monthly seasonality if enabled
+    let seasonalFactor = 1;
+    if (includeSeasonality) {
+      // Monthly cycle (higher at month start, lower at month end)
+      const dayOfMonth = currentDate.getDate();
+      const monthLength = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0).getDate();
+      const monthProgress = dayOfMonth / monthLength;
+      
+      // Yearly cycle (higher in Q4, lower in Q1)
+      const month = currentDate.getMonth();
+      const yearFactor = 1 + 0.2 * Math.sin((month / 12) * 2 * Math.PI + Math.PI/2);
+      
+      seasonalFactor = (1 - 0.1 * Math.sin(monthProgress * 2 * Math.PI)) * yearFactor;
+    }
+    
+    // Add some random variation (daily noise)
+    const noiseFactor = 0.9 + Math.random() * 0.2; // ±10% random noise
+    
+    // Calculate final value
+    const value = Math.floor(baseValue * trendFactor * dayFactor * seasonalFactor * noiseFactor);
+    
+    timelineValues.push(value);
+    
+    // No confidence intervals for historical data
+    confidenceLower.push(null);
+    confidenceUpper.push(null);
+    
+    // Calculate threshold values based on capacity
+    const capacity = getCapacityForUsageType(usageType);
+    thresholdWarningValues.push(capacity * thresholdWarning);
+    thresholdCriticalValues.push(capacity * thresholdCritical);
+  }
+  
+  // Generate forecast data
+  const lastHistoricalValue = timelineValues[timelineValues.length - 1];
+  
+  // Extract patterns from historical data for forecasting
+  const patterns = analyzeHistoricalPatterns(timelineValues, historicalDays, now);
+  
+  for (let i = 0; i < forecastDays; i++) {
+    const forecastDate = new Date(now);
+    forecastDate.setDate(now.getDate() + i);
+    timelineLabels.push(forecastDate.toISOString());
+    
+    // Base growth trend
+    const trendFactor = 1 + (growthRate / 30) * i; // Daily compound growth from now
+    
+    // Apply patterns from historical data
+    const dayOfWeek = forecastDate.getDay();
+    const weekPattern = patterns.weekdayPatterns[dayOfWeek];
+    
+    // Apply seasonal patterns if enabled
+    let seasonalFactor = 1;
+    if (includeSeasonality) {
+      const month = forecastDate.getMonth();
+      const monthPattern = patterns.monthlyPatterns[month];
+      seasonalFactor = monthPattern;
+    }
+    
+    // Calculate forecasted value
+    const forecastedValue = Math.floor(lastHistoricalValue * trendFactor * weekPattern * seasonalFactor);
+    timelineValues.push(forecastedValue);
+    
+    // Calculate confidence intervals
+    const dayFromNow = i + 1;
+    const varianceFactor = (1 - confidenceInterval) * (dayFromNow / forecastDays) * 0.5;
+    confidenceLower.push(Math.floor(forecastedValue * (1 - varianceFactor)));
+    confidenceUpper.push(Math.floor(forecastedValue * (1 + varianceFactor)));
+    
+    // Calculate threshold values based on capacity
+    const capacity = getCapacityForUsageType(usageType);
+    thresholdWarningValues.push(capacity * thresholdWarning);
+    thresholdCriticalValues.push(capacity * thresholdCritical);
+  }
+  
+  // Find capacity breach points
+  const warningBreachDate = findCapacityBreachDate(
+    timelineLabels.slice(historicalDays), 
+    timelineValues.slice(historicalDays), 
+    thresholdWarningValues[0]
+  );
+  
+  const criticalBreachDate = findCapacityBreachDate(
+    timelineLabels.slice(historicalDays), 
+    timelineValues.slice(historicalDays), 
+    thresholdCriticalValues[0]
+  );
+  
+  // Calculate overall growth metrics
+  const growthMetrics = calculateGrowthMetrics(timelineValues, historicalDays, forecastDays);
+  
+  return {
+    meta: {
+      status: "success",
+      message: null,
+      code: 200
+    },
+    data: {
+      query: {
+        org_id: orgId,
+        usage_type: usageType,
+        historical_days: historicalDays,
+        forecast_days: forecastDays,
+        generated_at: new Date().toISOString()
+      },
+      forecast: {
+        timeline: {
+          labels: timelineLabels,
+          values: timelineValues,
+          confidence_lower: confidenceLower,
+          confidence_upper: confidenceUpper,
+          threshold_warning: thresholdWarningValues,
+          threshold_critical: thresholdCriticalValues,
+          historical_end_index: historicalDays - 1
+        },
+        capacity: {
+          current: getCapacityForUsageType(usageType),
+          current_usage_percent: (timelineValues[historicalDays - 1] / getCapacityForUsageType(usageType) * 100).toFixed(2),
+          warning_breach_date: warningBreachDate,
+          critical_breach_date: criticalBreachDate,
+          recommended_increase: calculateRecommendedIncrease(
+            timelineValues, 
+            historicalDays, 
+            forecastDays, 
+            getCapacityForUsageType(usageType),
+            thresholdWarning
+          )
+        },
+        growth_metrics: growthMetrics,
+        recommendations: generateRecommendations(
+          usageType, 
+          growthMetrics,
+          warningBreachDate,
+          criticalBreachDate
+        )
+      }
+    }
+  };
+};
+
+// Helper function to get estimated capacity based on usage type
+export const getCapacityForUsageType = (usageType) => {
+  switch (usageType) {
+    case 'dns_query_usage_sum':
+      return 500000; // 500K DNS queries per day
+    case 'cdn_request_sum':
+      return 2000000; // 2M requests per day
+    case 'cdn_traffic_sum':
+      return 50000; // 50TB per day
+    default:
+      return 1000000;
+  }
+};
+
+// Helper function to analyze patterns in historical data
+export const analyzeHistoricalPatterns = (historicalValues, historicalDays, endDate = new Date()) => {
+  // Calculate weekday patterns
+  const weekdayPatterns = Array(7).fill(0).map(() => ({count: 0, sum: 0}));
+  
+  // Group data by day of week
+  for (let i = 0; i < historicalDays; i++) {
+    const date = new Date(endDate);
+    date.setDate(date.getDate() - (historicalDays - i));
+    const dayOfWeek = date.getDay();
+    
+    weekdayPatterns[dayOfWeek].count++;
+    weekdayPatterns[dayOfWeek].sum += historicalValues[i];
+  }
+  
+  // Calculate average for each day of week
+  const weekdayAverages = weekdayPatterns.map(day => 
+    day.count > 0 ? day.sum / day.count : 1
+  );
+  
+  // Normalize to make the average weekday factor = 1
+  const weekdayAvg = weekdayAverages.reduce((sum, val) => sum + val, 0) / 7;
+  const normalizedWeekdayPatterns = weekdayAverages.map(val => val / weekdayAvg);
+  
+  // Calculate monthly patterns (simplified)
+  const monthlyPatterns = Array(12).fill(0).map((_, i) => {
+    // Sample monthly pattern with Q4 spike, summer lull
+    if (i >= 9) { // Q4 (Oct-Dec)
+      return 1.2 + (i - 9) * 0.1; // Increasing through Q4
+    } else if (i >= 5 && i <= 7) { // Summer months
+      return 0.9; // 10% below average
+    } else {
+      return 1.0; // Average
+    }
+  });
+  
+  return {
+    weekdayPatterns: normalizedWeekdayPatterns,
+    monthlyPatterns: monthlyPatterns
+  };
+};
+
+// Helper function to find the date when capacity will be breached
+const findCapacityBreachDate = (forecastDates, forecastValues, thresholdValue) => {
+  for (let i = 0; i < forecastDates.length; i++) {
+    if (forecastValues[i] >= thresholdValue) {
+      return forecastDates[i];
+    }
+  }
+  return null; // No breach within forecast period
+};
+
+// Helper function to calculate growth metrics
+const calculateGrowthMetrics = (timelineValues, historicalDays, forecastDays) => {
+  const now = historicalDays - 1; // Index of current day
+  const last30DaysStart = Math.max(0, now - 30);
+  const next30DaysEnd = Math.min(timelineValues.length - 1, now + 30);
+  const next90DaysEnd = Math.min(timelineValues.length - 1, now + 90);
+  
+  // Calculate average daily values for different periods
+  const past30DaysAvg = timelineValues.slice(last30DaysStart, now + 1)
+    .reduce((sum, val) => sum + val, 0) / (now - last30DaysStart + 1);
+    
+  const next30DaysAvg = timelineValues.slice(now + 1, next30DaysEnd + 1)
+    .reduce((sum, val) => sum + val, 0) / (next30DaysEnd - now);
+    
+  const next90DaysAvg = timelineValues.slice(now + 1, next90DaysEnd + 1)
+    .reduce((sum, val) => sum + val, 0) / (next90DaysEnd - now);
+  
+  // Calculate growth percentages
+  const next30DaysGrowth = (next30DaysAvg / past30DaysAvg - 1) * 100;
+  const next90DaysGrowth = (next90DaysAvg / past30DaysAvg - 1) * 100;
+  
+  // Peak values
+  const next30DaysPeak = Math.max(...timelineValues.slice(now + 1, next30DaysEnd + 1));
+  const next90DaysPeak = Math.max(...timelineValues.slice(now + 1, next90DaysEnd + 1));
+  
+  return {
+    current_value: timelineValues[now],
+    past_30_days_avg: Math.floor(past30DaysAvg),
+    next_30_days_avg: Math.floor(next30DaysAvg),
+    next_90_days_avg: Math.floor(next90DaysAvg),
+    next_30_days_growth_pct: next30DaysGrowth.toFixed(2),
+    next_90_days_growth_pct: next90DaysGrowth.toFixed(2),
+    next_30_days_peak: next30DaysPeak,
+    next_90_days_peak: next90DaysPeak
+  };
+};
+
+// Helper function to calculate recommended capacity increase
+const calculateRecommendedIncrease = (
+  timelineValues, 
+  historicalDays, 
+  forecastDays,
+  currentCapacity,
+  safetyThreshold
+) => {
+  const now = historicalDays - 1;
+  const forecastEnd = Math.min(timelineValues.length - 1, historicalDays + forecastDays - 1);
+  
+  // Get peak value in forecast period
+  const forecastPeak = Math.max(...timelineValues.slice(now + 1, forecastEnd + 1));
+  
+  // Calculate safe capacity needed (peak + 30% buffer)
+  const safeCapacity = forecastPeak / safetyThreshold;
+  
+  // Calculate increase needed
+  const increaseNeeded = Math.max(0, safeCapacity - currentCapacity);
+  const increasePercent = (increaseNeeded / currentCapacity * 100).toFixed(1);
+  
+  // Round to reasonable increment based on capacity magnitude
+  const capacityMagnitude = Math.floor(Math.log10(currentCapacity));
+  const roundingFactor = Math.pow(10, capacityMagnitude - 1);
+  const roundedIncrease = Math.ceil(increaseNeeded / roundingFactor) * roundingFactor;
+  
+  return {
+    increase_amount: roundedIncrease,
+    increase_percent: increasePercent,
+    new_capacity: currentCapacity + roundedIncrease
+  };
+};
+
+// Helper function to generate textual recommendations
+const generateRecommendations = (
+  usageType,
+  growthMetrics,
+  warningBreachDate,
+  criticalBreachDate
+) => {
+  const recommendations = [];
+  
+  // Capacity recommendations
+  if (criticalBreachDate) {
+    const criticalDate = new Date(criticalBreachDate);
+    recommendations.push({
+      type: 'critical',
+      title: 'Critical Capacity Breach Imminent',
+      message: `Your ${usageType} is projected to reach critical capacity threshold on ${criticalDate.toDateString()}. Immediate capacity planning is required.`
+    });
+  } else if (warningBreachDate) {
+    const warningDate = new Date(warningBreachDate);
+    recommendations.push({
+      type: 'warning',
+      title: 'Capacity Warning Threshold Approaching',
+      message: `Your ${usageType} is projected to reach warning capacity threshold on ${warningDate.toDateString()}. Begin capacity planning soon.`
+    });
+  } else {
+    recommendations.push({
+      type: 'info',
+      title: 'Capacity Adequate',
+      message: `Your current capacity for ${usageType} appears sufficient for the forecast period.`
+    });
+  }
+  
+  // Growth pattern recommendations
+  const next30Growth = parseFloat(growthMetrics.next_30_days_growth_pct);
+  const next90Growth = parseFloat(growthMetrics.next_90_days_growth_pct);
+  
+  if (next30Growth > 20) {
+    recommendations.push({
+      type: 'warning',
+      title: 'Rapid Growth Detected',
+      message: `You're experiencing rapid growth (${next30Growth.toFixed(1)}% in next 30 days). Consider adding CDN capacity soon.`
+    });
+  }
+  
+  if (next90Growth > 50) {
+    recommendations.push({
+      type: 'info',
+      title: 'Sustained Growth Trend',
+      message: 'Long-term growth trend indicates need for strategic capacity planning.'
+    });
+  }
+  
+  // Usage pattern recommendations
+  switch (usageType) {
+    case 'dns_query_usage_sum':
+      recommendations.push({
+        type: 'optimization',
+        title: 'DNS Query Optimization',
+        message: 'Consider increasing DNS TTL values to reduce query frequency, or implementing DNS caching at edge locations.'
+      });
+      break;
+    case 'cdn_request_sum':
+      recommendations.push({
+        type: 'optimization',
+        title: 'Request Optimization',
+        message: 'Evaluate implementing client-side caching headers to reduce repeat requests, or consolidate assets to reduce request count.'
+      });
+      break;
+    case 'cdn_traffic_sum':
+      recommendations.push({
+        type: 'optimization',
+        title: 'Traffic Optimization',
+        message: 'Consider implementing image/video compression, adaptive bitrate streaming, or evaluating large assets for optimization.'
+      });
+      break;
+  }
+  
+  return recommendations;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Modified z-score above which a day is anomalous (Iglewicz and Hoaglin)
+export const DEFAULT_ANOMALY_THRESHOLD = 3.5;
+
+// Scale of the median absolute deviation, and of the mean absolute deviation, to the standard deviation of normal data
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+// Weekday factors need every weekday twice, anomalies a week of data
+const MIN_DAYS_FOR_WEEKDAY_PATTERNS = 14;
+const MIN_DAYS_FOR_ANOMALIES = 7;
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Percentile with linear interpolation between the closest ranks
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  return sorted[lower] + (sorted[Math.ceil(rank)] - sorted[lower]) * (rank - lower);
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Days are calendar dates held as their UTC midnight, so dates and weekdays read the same in any timezone
+const toDate = (dayMs) => new Date(dayMs).toISOString().slice(0, 10);
+
+// Below this factor a weekday carries too little traffic to divide by, the weekday adjustment is then additive
+const MIN_WEEKDAY_FACTOR = 0.05;
+
+// Median of each weekday's values, Sunday first; an anomalous day doesn't shift the median of its weekday the way it
+// would shift its mean
+const getWeekdayMedians = (days, values) => {
+  const byWeekday = WEEKDAYS.map(() => []);
+  days.forEach((day, index) => byWeekday[new Date(day).getUTCDay()].push(values[index]));
+  return byWeekday.map(weekdayValues => median(weekdayValues));
+};
+
+// Weekday factors normalized to an average of 1, like those of analyzeHistoricalPatterns
+const getWeekdayFactors = (medians) => {
+  const average = sum(medians) / medians.length;
+  return medians.map(value => (average > 0 ? value / average : 0));
+};
+
+/**
+ * Weekday adjustment of daily values: each day divided by its weekday factor, or, when a weekday has (almost) no
+ * traffic, its weekday's median subtracted from it
+ * @returns {Object} { seasonality, adjust, expected }: adjust(value, weekday) gives the adjusted value, expected(center,
+ * weekday) the value a day at the center of the adjusted values would have
+ */
+const getWeekdayAdjustment = (medians) => {
+  if (!medians) {
+    return { seasonality: 'none', adjust: value => value, expected: center => center };
+  }
+  const factors = getWeekdayFactors(medians);
+  if (factors.every(factor => factor >= MIN_WEEKDAY_FACTOR)) {
+    return {
+      seasonality: 'weekday',
+      adjust: (value, weekday) => value / factors[weekday],
+      expected: (center, weekday) => center * factors[weekday]
+    };
+  }
+  return {
+    seasonality: 'weekday (additive)',
+    adjust: (value, weekday) => value - medians[weekday],
+    expected: (center, weekday) => Math.max(0, center + medians[weekday])
+  };
+};
+
+// Days whose weekday-adjusted value is more than threshold scaled median absolute deviations from the median
+const scoreDays = (days, values, adjustment, threshold) => {
+  const weekdays = days.map(day => new Date(day).getUTCDay());
+  const adjusted = values.map((value, index) => adjustment.adjust(value, weekdays[index]));
+  const center = median(adjusted);
+  const deviations = adjusted.map(value => Math.abs(value - center));
+  // When more than half the days have the same value the MAD is 0, the mean absolute deviation takes over
+  const mad = median(deviations);
+  const spread = mad > 0 ? MAD_SCALE * mad : MEAN_AD_SCALE * (sum(deviations) / deviations.length);
+  if (spread === 0) {
+    return [];
+  }
+
+  return days
+    .map((day, index) => {
+      const expected = adjustment.expected(center, weekdays[index]);
+      const value = values[index];
+      return {
+        date: toDate(day),
+        weekday: WEEKDAYS[weekdays[index]],
+        value,
+        expected: round(expected),
+        deviation_pct: expected > 0 ? round((value / expected - 1) * 100) : null,
+        score: round((adjusted[index] - center) / spread),
+        direction: adjusted[index] >= center ? 'spike' : 'drop'
+      };
+    })
+    .filter(day => Math.abs(day.score) > threshold);
+};
+
+/**
+ * Daily statistics of a usage series: total, daily mean, median and 95th percentile, peak day, week-over-week change
+ * and anomalous days. Each day is adjusted for its weekday (getWeekdayAdjustment) and scored by its distance to the
+ * median of the adjusted days, in scaled median absolute deviations (modified z-score)
+ * @param {Array<number>} labels Timestamps in seconds; points of the same calendar day in the timezone are added up
+ * @param {Array<number|null>} values Values of the timestamps, null where there is none
+ * @param {Object} options Analysis options
+ * @param {number} options.start_time UNIX timestamp (seconds) of the start of the period, a day starting before it is partial
+ * @param {number} options.end_time UNIX timestamp (seconds) of the end of the period, a day ending after it is partial
+ * @param {string} options.timezone IANA timezone of the days and their weekdays, e.g. Asia/Taipei for the portal's
+ * +08:00 days labeled 16:00 UTC (default: UTC)
+ * @param {number} options.anomalyThreshold Score above which a day is anomalous (default: 3.5)
+ * @returns {Object|null} Statistics, null when the series has no value. Partial days only count in the total
+ */
+export const summarizeDailyUsage = (labels, values, {
+  start_time = -Infinity,
+  end_time = Infinity,
+  timezone = DEFAULT_TIMEZONE,
+  anomalyThreshold = DEFAULT_ANOMALY_THRESHOLD
+} = {}) => {
+  const byDay = new Map();
+  const bounds = new Map();
+  labels.forEach((label, index) => {
+    const value = values[index];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      const { date, start, end } = getCalendarDay(label * 1000, timezone);
+      byDay.set(date, (byDay.get(date) || 0) + value);
+      bounds.set(date, { start, end });
+    }
+  });
+  if (byDay.size === 0) {
+    return null;
+  }
+
+  const total = sum([...byDay.values()]);
+  const isPartial = (day) => bounds.get(day).start < start_time * 1000 || bounds.get(day).end - 1000 > end_time * 1000;
+  const partialDays = [...byDay.keys()].filter(isPartial).sort((a, b) => a - b);
+  const days = [...byDay.keys()].filter(day => !isPartial(day)).sort((a, b) => a - b);
+  const summary = {
+    total,
+    partial_days: partialDays.map(toDate),
+    days: days.length
+  };
+  if (days.length === 0) {
+    return { ...summary, daily: null, peak: null, week_over_week: null, weekday_factors: null, anomaly_detection: null, anomalies: [] };
+  }
+
+  const dailyValues = days.map(day => byDay.get(day));
+  const firstDay = days[0];
+  const lastDay = days[days.length - 1];
+  const spanDays = (lastDay - firstDay) / DAY_MS + 1;
+  const peakIndex = dailyValues.indexOf(Math.max(...dailyValues));
+
+  // The last 7 whole days against the 7 before them
+  let weekOverWeek = null;
+  if (spanDays >= 14) {
+    const totalBetween = (from, to) => sum(days.filter(day => day >= from && day <= to).map(day => byDay.get(day)));
+    const current = totalBetween(lastDay - 6 * DAY_MS, lastDay);
+    const previous = totalBetween(lastDay - 13 * DAY_MS, lastDay - 7 * DAY_MS);
+    weekOverWeek = {
+      current_week: { start: toDate(lastDay - 6 * DAY_MS), end: toDate(lastDay), total: current },
+      previous_week: { start: toDate(lastDay - 13 * DAY_MS), end: toDate(lastDay - 7 * DAY_MS), total: previous },
+      change: current - previous,
+      change_pct: previous > 0 ? round((current / previous - 1) * 100) : null
+    };
+  }
+
+  // Weekday patterns need every weekday at least twice, without gaps
+  const weekdayMedians = days.length >= MIN_DAYS_FOR_WEEKDAY_PATTERNS && days.length === spanDays
+    ? getWeekdayMedians(days, dailyValues)
+    : null;
+  const weekdayFactors = weekdayMedians && getWeekdayFactors(weekdayMedians);
+  const adjustment = getWeekdayAdjustment(weekdayMedians);
+  const anomalies = days.length >= MIN_DAYS_FOR_ANOMALIES ? scoreDays(days, dailyValues, adjustment, anomalyThreshold) : [];
+
+  return {
+    ...summary,
+    first_day: toDate(firstDay),
+    last_day: toDate(lastDay),
+    missing_days: spanDays - days.length,
+    daily: {
+      mean: round(sum(dailyValues) / days.length),
+      median: round(median(dailyValues)),
+      p95: round(percentile(dailyValues, 95)),
+      min: Math.min(...dailyValues),
+      max: Math.max(...dailyValues)
+    },
+    peak: { date: toDate(days[peakIndex]), weekday: WEEKDAYS[new Date(days[peakIndex]).getUTCDay()], value: dailyValues[peakIndex] },
+    week_over_week: weekOverWeek,
+    weekday_factors: weekdayFactors ? Object.fromEntries(WEEKDAYS.map((weekday, index) => [weekday, round(weekdayFactors[index], 3)])) : null,
+    anomaly_detection: {
+      method: 'modified z-score (median absolute deviation)',
+      seasonality: adjustment.seasonality,
+      threshold: anomalyThreshold,
+      ...(days.length < MIN_DAYS_FOR_ANOMALIES ? { skipped: `Needs at least ${MIN_DAYS_FOR_ANOMALIES} whole days of data` } : {})
+    },
+    anomalies
+  };
+};
+
+// Strategy used until one is saved with update-dispatch-strategy
+export const DEFAULT_STRATEGY = {
+  strategyType: 'hybrid',
+  settings: {
+    weights: {
+      performance: 50,
+      cost: 30,
+      reliability: 20
+    },
+    fallback_cdn: 'cloudflare'
+  }
+};
+
+// Generate mock performance data
+export const generateMockPerformanceData = (timeRange = '24h', cdn, region) => {
+  const now = Date.now();
+  const timeRangeInHours = {
+    '1h': 1,
+    '6h': 6,
+    '24h': 24,
+    '7d': 24 * 7,
+    '30d': 24 * 30
+  }[timeRange];
+  
+  const intervals = timeRangeInHours * 4; // 15-minute intervals
+  const data = [];
+  
+  const cdnProviders = cdn ? [CDN_PROVIDERS.find(p => p.id === cdn)].filter(Boolean) : CDN_PROVIDERS;
+  const regions = region ? [region] : REGIONS;
+  
+  for (let i = 0; i < intervals; i++) {
+    const timestamp = new Date(now - (timeRangeInHours * 3600000) + (i * 3600000 / 4)).toISOString();
+    
+    for (const provider of cdnProviders) {
+      for (const reg of regions) {
+        // Base latency in ms - varies by region and CDN
+        let baseLatency = 
+          provider.id === 'cloudflare' ? 50 : 
+          provider.id === 'akamai' ? 55 : 
+          provider.id === 'fastly' ? 45 : 
+          provider.id === 'cloudfront' ? 60 : 70;
+        
+        // Adjust by region
+        if (reg.startsWith('us-')) baseLatency *= 0.9;
+        if (reg.startsWith('eu-')) baseLatency *= 1.1;
+        if (reg.startsWith('ap-')) baseLatency *= 1.2;
+        if (reg.startsWith('sa-')) baseLatency *= 1.3;
+        if (reg.startsWith('af-')) baseLatency *= 1.4;
+        if (reg.startsWith('au-')) baseLatency *= 1.25;
+        
+        // Add some variation
+        const latencyVariation = Math.sin(i * 0.5) * 15; // Sinusoidal variation
+        const randomVariation = (Math.random() - 0.5) * 20; // Random noise
+        const latency = Math.max(20, baseLatency + latencyVariation + randomVariation);
+        
+        // Calculate availability (occasional dips, mostly high)
+        const baseAvailability = 
+          provider.id === 'cloudflare' ? 99.95 : 
+          provider.id === 'akamai' ? 99.9 : 
+          provider.id === 'fastly' ? 99.98 : 
+          provider.id === 'cloudfront' ? 99.93 : 99.85;
+        
+        // Occasional availability dips
+        const availabilityDip = Math.random() < 0.05 ? Math.random() * 1.5 : 0;
+        const availability = Math.min(100, Math.max(98, baseAvailability - availabilityDip));
+        
+        // Calculate request count
+        const baseRequestCount = 1000 + Math.random() * 5000;
+        const requestCount = Math.floor(baseRequestCount * (1 + Math.sin(i * 0.2) * 0.3));
+        
+        data.push({
+          timestamp,
+          cdnId: provider.id,
+          cdnName: provider.name,
+          region: reg,
+          latency,
+          availability,
+          requestCount,
+          success: requestCount * (availability / 100),
+          errors: requestCount * (1 - availability / 100)
+        });
+      }
+    }
+  }
+  
+  return data;
+};
+
+// Generate mock cost data
+export const generateMockCostData = (timeRange = '24h', cdn) => {
+  const cdnProviders = cdn ? [CDN_PROVIDERS.find(p => p.id === cdn)].filter(Boolean) : CDN_PROVIDERS;
+  const costData = [];
+  
+  for (const provider of cdnProviders) {
+    const baseCost = 
+      provider.id === 'cloudflare' ? 0.02 : 
+      provider.id === 'akamai' ? 0.025 : 
+      provider.id === 'fastly' ? 0.018 : 
+      provider.id === 'cloudfront' ? 0.022 : 0.015;
+    
+    const baseTraffic = 10000; // 10TB base traffic
+    const trafficMultiplier = Math.random() * 0.4 + 0.8; // 0.8-1.2 multiplier
+    
+    costData.push({
+      cdnId: provider.id,
+      cdnName: provider.name,
+      timeRange,
+      costPerGB: baseCost,
+      trafficGB: Math.floor(baseTraffic * trafficMultiplier),
+      totalCost: Math.floor(baseTraffic * trafficMultiplier * baseCost * 100) / 100
+    });
+  }
+  
+  return costData;
+};
+
+// Function to calculate best CDN per region based on collected data
+export const calculateOptimalStrategy = async () => {
+  // Load current strategy
+  const currentStrategy = await loadDataOrDefault(strategyFile, DEFAULT_STRATEGY);
+  
+  // Generate performance data for all CDNs and regions
+  const performanceData = generateMockPerformanceData('24h');
+  
+  // Generate cost data
+  const costData = generateMockCostData('24h');
+  
+  // Calculate scores for each CDN in each region
+  const scores = {};
+  
+  // Group performance data by region and CDN
+  const performanceByRegionAndCdn = {};
+  
+  for (const entry of performanceData) {
+    const { region, cdnId } = entry;
+    
+    if (!performanceByRegionAndCdn[region]) {
+      performanceByRegionAndCdn[region] = {};
+    }
+    
+    if (!performanceByRegionAndCdn[region][cdnId]) {
+      performanceByRegionAndCdn[region][cdnId] = [];
+    }
+    
+    performanceByRegionAndCdn[region][cdnId].push(entry);
+  }
+  
+  // Calculate average metrics for each region and CDN
+  const averageMetrics = {};
+  
+  for (const region of Object.keys(performanceByRegionAndCdn)) {
+    averageMetrics[region] = {};
+    
+    for (const cdnId of Object.keys(performanceByRegionAndCdn[region])) {
+      const entries = performanceByRegionAndCdn[region][cdnId];
+      
+      const totalLatency = entries.reduce((sum, entry) => sum + entry.latency, 0);
+      const totalAvailability = entries.reduce((sum, entry) => sum + entry.availability, 0);
+      
+      const avgLatency = totalLatency / entries.length;
+      const avgAvailability = totalAvailability / entries.length;
+      
+      // Find cost data for this CDN
+      const costEntry = costData.find(c => c.cdnId === cdnId);
+      const costPerGB = costEntry ? costEntry.costPerGB : 0.02; // Default if not found
+      
+      averageMetrics[region][cdnId] = {
+        latency: avgLatency,
+        availability: avgAvailability,
+        costPerGB
+      };
+    }
+  }
+  
+  // Calculate scores based on weights
+  const { weights } = currentStrategy.settings;
+  
+  for (const region of Object.keys(averageMetrics)) {
+    scores[region] = {};
+    
+    // Find min/max values for normalization
+    const metrics = Object.values(averageMetrics[region]);
+    const minLatency = Math.min(...metrics.map(m => m.latency));
+    const maxLatency = Math.max(...metrics.map(m => m.latency));
+    const minCost = Math.min(...metrics.map(m => m.costPerGB));
+    const maxCost = Math.max(...metrics.map(m => m.costPerGB));
+    
+    for (const cdnId of Object.keys(averageMetrics[region])) {
+      const metrics = averageMetrics[region][cdnId];
+      
+      // Normalize values (0-100 where 100 is best)
+      const latencyScore = maxLatency === minLatency ? 100 : 100 - ((metrics.latency - minLatency) / (maxLatency - minLatency) * 100);
+      const costScore = maxCost === minCost ? 100 : 100 - ((metrics.costPerGB - minCost) / (maxCost - minCost) * 100);
+      const availabilityScore = metrics.availability;
+      
+      // Calculate weighted score
+      const totalScore = 
+        (latencyScore * weights.performance / 100) +
+        (costScore * weights.cost / 100) +
+        (availabilityScore * weights.reliability / 100);
+      
+      scores[region][cdnId] = totalScore;
+    }
+  }
+  
+  // Determine best CDN for each region
+  const optimalStrategy = {
+    strategyType: 'hybrid',
+    settings: {
+      weights: { ...weights },
+      geo_rules: [],
+      fallback_cdn: currentStrategy.settings.fallback_cdn
+    }
+  };
+  
+  for (const region of Object.keys(scores)) {
+    const cdnScores = scores[region];
+    const bestCdn = Object.keys(cdnScores).reduce((a, b) => cdnScores[a] > cdnScores[b] ? a : b);
+    
+    optimalStrategy.settings.geo_rules.push({
+      region,
+      preferred_cdn: bestCdn
+    });
+  }
+  
+  // Save the optimal strategy
+  await saveData(strategyFile, optimalStrategy);
+  
+  return optimalStrategy;
+};
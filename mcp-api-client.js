@@ -0,0 +1,312 @@
+// Mlytics API client shared by all tools
+// The endpoints and where their shapes come from are listed in api-specs/mlytics-endpoints.md
+import fetch from 'node-fetch';
+
+// Default endpoints, overridable through options or environment variables
+const DEFAULT_OPENAPI_BASE_URL = 'https://openapi2.mlytics.com';
+const DEFAULT_PORTAL_API_BASE_URL = 'https://api-v2.mlytics.com';
+const DEFAULT_TIMEOUT = 30000; // 30 seconds
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 500; // Base delay for exponential backoff in ms
+
+// Methods that can be safely replayed after a server error
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * Error raised for any failed Mlytics API call
+ * Carries the HTTP status, the `meta.code` from the response body and the raw body
+ */
+export class MlyticsApiError extends Error {
+  constructor(message, { status = null, code = null, meta = null, body = null, method = null, url = null, cause = null } = {}) {
+    super(message);
+    this.name = 'MlyticsApiError';
+    this.status = status;
+    this.code = code;
+    this.meta = meta;
+    this.body = body;
+    this.method = method;
+    this.url = url;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  // Whether the error came from the network layer rather than an API response
+  get isNetworkError() {
+    return this.status === null;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      code: this.code,
+      method: this.method,
+      url: this.url
+    };
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Strip trailing slashes so paths can always start with one
+const trimBaseUrl = (url) => url.replace(/\/+$/, '');
+
+// Build authentication headers from { apiKey } or { jwt }
+const buildAuthHeaders = (auth = {}) => {
+  if (auth.jwt) {
+    return { 'Authorization': `Bearer ${auth.jwt}` };
+  }
+  if (auth.apiKey) {
+    return { 'apikey': auth.apiKey };
+  }
+  return {};
+};
+
+// Retry-After may be given in seconds or as an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Resolve client configuration from options and environment variables
+ * @param {Object} options Explicit options, taking precedence over the environment
+ * @returns {Object} Resolved configuration
+ */
+export const resolveApiConfig = (options = {}) => {
+  const env = process.env;
+  const sharedBaseUrl = env.MLYTICS_API_BASE_URL;
+
+  return {
+    baseUrls: {
+      openapi: trimBaseUrl(options.baseUrls?.openapi || env.MLYTICS_OPENAPI_BASE_URL || sharedBaseUrl || DEFAULT_OPENAPI_BASE_URL),
+      portal: trimBaseUrl(options.baseUrls?.portal || env.MLYTICS_PORTAL_API_BASE_URL || sharedBaseUrl || DEFAULT_PORTAL_API_BASE_URL)
+    },
+    timeout: options.timeout ?? (Number(env.MLYTICS_API_TIMEOUT_MS) || DEFAULT_TIMEOUT),
+    retries: options.retries ?? (env.MLYTICS_API_RETRIES !== undefined ? Number(env.MLYTICS_API_RETRIES) : DEFAULT_RETRIES),
+    retryDelay: options.retryDelay ?? DEFAULT_RETRY_DELAY
+  };
+};
+
+/**
+ * Create a Mlytics API client
+ * @param {Object} options Client options
+ * @param {Object} options.baseUrls Base URLs keyed by API (openapi, portal)
+ * @param {number} options.timeout Per-attempt timeout in milliseconds
+ * @param {number} options.retries Number of retries on 429/5xx and network errors
+ * @param {number} options.retryDelay Base delay for exponential backoff in milliseconds
+ * @param {Function} options.fetch Fetch implementation, node-fetch by default
+ * @returns {Object} API client
+ */
+export const createMlyticsApiClient = (options = {}) => {
+  const config = resolveApiConfig(options);
+  const fetchImpl = options.fetch || fetch;
+
+  // Whether a failed attempt may be replayed
+  const isRetryable = (method, status) => {
+    if (status === 429) {
+      return true;
+    }
+    return IDEMPOTENT_METHODS.includes(method) && (status === null || status >= 500);
+  };
+
+  /**
+   * Perform a request and unwrap the Mlytics `{ meta, data }` envelope
+   * @param {Object} params Request parameters
+   * @param {string} params.api Which API to call: 'openapi' or 'portal'
+   * @param {string} params.method HTTP method
+   * @param {string} params.path Path starting with a slash
+   * @param {Object} params.query Query string parameters, undefined values are skipped
+   * @param {Object} params.body JSON body
+   * @param {Object} params.auth Authentication: { apiKey } or { jwt }
+   * @returns {Promise<Object>} The full response body when meta.status is success
+   */
+  const request = async ({ api = 'openapi', method = 'GET', path, query, body, auth }) => {
+    const baseUrl = config.baseUrls[api];
+    if (!baseUrl) {
+      throw new MlyticsApiError(`Unknown API: ${api}`);
+    }
+
+    const queryParams = new URLSearchParams();
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        queryParams.append(key, value.toString());
+      }
+    });
+    const queryString = queryParams.toString();
+    const url = `${baseUrl}${path}${queryString ? `?${queryString}` : ''}`;
+
+    const headers = {
+      'accept': 'application/json',
+      ...buildAuthHeaders(auth)
+    };
+    if (body !== undefined) {
+      headers['content-type'] = 'application/json';
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), config.timeout);
+      let response;
+      let responseData = null;
+      let error;
+
+      try {
+        response = await fetchImpl(url, {
+          method,
+          headers,
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal: controller.signal
+        });
+
+        const text = await response.text();
+        try {
+          responseData = text ? JSON.parse(text) : null;
+        } catch (parseError) {
+          responseData = null;
+        }
+
+        if (response.ok && responseData?.meta?.status === 'success') {
+          return responseData;
+        }
+
+        const meta = responseData?.meta || null;
+        error = new MlyticsApiError(meta?.message || `HTTP ${response.status} ${response.statusText}`.trim(), {
+          status: response.status,
+          code: meta?.code ?? null,
+          meta,
+          body: responseData ?? text,
+          method,
+          url
+        });
+      } catch (fetchError) {
+        const timedOut = fetchError.name === 'AbortError';
+        error = new MlyticsApiError(timedOut ? `Request timed out after ${config.timeout}ms` : fetchError.message, {
+          method,
+          url,
+          cause: fetchError
+        });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (attempt >= config.retries || !isRetryable(method, error.status)) {
+        throw error;
+      }
+
+      const retryAfter = parseRetryAfter(response?.headers.get('retry-after'));
+      const delay = retryAfter ?? config.retryDelay * Math.pow(2, attempt);
+      console.error(`${method} ${url} failed (${error.status ?? error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  };
+
+  return {
+    config,
+    request,
+
+    // Zones (sites)
+    createZone: ({ domain_name }, auth) => request({
+      method: 'POST',
+      path: '/api/v2/mdns/zone/',
+      body: { domain_name },
+      auth
+    }),
+
+    listZones: (auth) => request({
+      path: '/api/v2/mdns/zone/all/',
+      auth
+    }),
+
+    // Assumed endpoint, see api-specs/mlytics-endpoints.md
+    deleteZone: (zoneId, auth) => request({
+      method: 'DELETE',
+      path: `/api/v2/mdns/zone/${encodeURIComponent(zoneId)}/`,
+      auth
+    }),
+
+    // Zone settings (assumed endpoints, see api-specs/mlytics-endpoints.md)
+    updateZoneCdnSettings: (zoneId, settings, auth) => request({
+      method: 'PUT',
+      path: `/api/v2/mdns/zone/${encodeURIComponent(zoneId)}/settings/cdn/`,
+      body: settings,
+      auth
+    }),
+
+    updateZoneSecuritySettings: (zoneId, settings, auth) => request({
+      method: 'PUT',
+      path: `/api/v2/mdns/zone/${encodeURIComponent(zoneId)}/settings/security/`,
+      body: settings,
+      auth
+    }),
+
+    // DNS rrsets
+    listRRSets: (zoneId, auth) => request({
+      path: `/api/v2/mdns/zone/${encodeURIComponent(zoneId)}/rrset/`,
+      auth
+    }),
+
+    createRRSet: (zoneId, rrset, auth) => request({
+      method: 'POST',
+      path: `/api/v2/mdns/zone/${encodeURIComponent(zoneId)}/rrset/`,
+      body: rrset,
+      auth
+    }),
+
+    // Assumed endpoints, see api-specs/mlytics-endpoints.md
+    updateRRSet: (zoneId, rrsetId, rrset, auth) => request({
+      method: 'PUT',
+      path: `/api/v2/mdns/zone/${encodeURIComponent(zoneId)}/rrset/${encodeURIComponent(rrsetId)}/`,
+      body: rrset,
+      auth
+    }),
+
+    deleteRRSet: (zoneId, rrsetId, auth) => request({
+      method: 'DELETE',
+      path: `/api/v2/mdns/zone/${encodeURIComponent(zoneId)}/rrset/${encodeURIComponent(rrsetId)}/`,
+      auth
+    }),
+
+    // Analytics
+    getEdgeReport: ({ domain, start_time, end_time, interval }, auth) => request({
+      path: '/api/v2/analytics/cdnReport/report/edge',
+      query: { domain, start_time, end_time, interval },
+      auth
+    }),
+
+    getHistoricalUsage: ({ org_id, usage_type, start_time, end_time, convert_milli_timestamp }, auth) => request({
+      api: 'portal',
+      path: '/analytics/v2/historicalReport/diagram/usage/',
+      query: { org_id, usage_type, start_time, end_time, convert_milli_timestamp },
+      auth
+    }),
+
+    // Authentication: the portal's login API, answering with the same JWT the portal keeps in localStorage
+    // Assumed endpoint, see api-specs/mlytics-endpoints.md
+    login: ({ email, password, otp }) => request({
+      api: 'portal',
+      method: 'POST',
+      path: '/auth/v2/login/',
+      body: { email, password, ...(otp ? { otp } : {}) }
+    }),
+
+    // Billing
+    getCredit: (auth) => request({
+      api: 'portal',
+      path: '/billing/v2/customers/credit/',
+      auth
+    })
+  };
+};
+
+// Client configured from the environment only, without profile settings
+export const mlyticsApiClient = createMlyticsApiClient();
@@ -1,15 +1,30 @@
 // Playwright-based authentication for Mlytics Portal
-import { chromium } from 'playwright';
 import { promises as fs } from 'fs';
 import path from 'path';
-import os from 'os';
+import { dataDir, secureStore } from './mcp-common.js';
+import { SecureStoreError } from './mcp-secure-store.js';
+import { registerSecret } from './mcp-redact.js';
+import { generateFreshTotp } from './mcp-totp.js';
 
 // Constants
-const AUTH_DIR = path.join(os.homedir(), '.mlytics-cdn-mcp');
-const AUTH_FILE = path.join(AUTH_DIR, 'auth.json');
+const AUTH_DIR = dataDir;
+export const AUTH_FILE = path.join(AUTH_DIR, 'auth.json');
 const PORTAL_URL = 'https://portal.mlytics.com/';
 const LOGIN_URL = 'https://portal.mlytics.com/login';
 const DEFAULT_TIMEOUT = 60000; // 60 seconds
+const FORM_TIMEOUT = 15000; // Time for the login page to render its form
+const LOGIN_TIMEOUT = 30000; // Time for the portal to answer a submitted form
+const OUTCOME_POLL_INTERVAL = 500;
+const MAX_DIAGNOSTICS_BUNDLES = 10;
+const DIAGNOSTICS_DIR_MODE = 0o700;
+const DIAGNOSTICS_FILE_MODE = 0o600;
+const SESSION_TIMEOUT = 10000; // Time for the portal to settle when resuming a saved session
+export const SESSION_FILE_NAME = 'browser-session.json';
+const TOKEN_MAX_AGE = 24 * 60 * 60 * 1000; // Assumed lifetime of tokens without an exp claim
+const EXPIRY_MARGIN = 60 * 1000; // Treat tokens as expired slightly early to absorb clock skew
+
+// Claim names that may carry the organization ID
+const ORG_ID_CLAIMS = ['org_id', 'orgId', 'organization_id', 'organizationId', 'org'];
 
 // Ensure authentication directory exists
 const ensureAuthDirExists = async () => {
@@ -21,22 +36,155 @@ const ensureAuthDirExists = async () => {
   }
 };
 
-// Save auth data
-const saveAuthData = async (data) => {
+// Save auth data, encrypted and readable by the owner only
+const saveAuthData = async (data, authFile = AUTH_FILE) => {
   await ensureAuthDirExists();
-  await fs.writeFile(AUTH_FILE, JSON.stringify(data, null, 2), 'utf-8');
+  await secureStore.writeJson(authFile, data);
 };
 
 // Load auth data
-const loadAuthData = async () => {
+const loadAuthData = async (authFile = AUTH_FILE) => {
   try {
-    const data = await fs.readFile(AUTH_FILE, 'utf-8');
-    return JSON.parse(data);
+    const authData = await secureStore.readJson(authFile);
+    registerSecret(authData?.jwt);
+    return authData;
   } catch (error) {
+    if (error instanceof SecureStoreError) {
+      console.error(error.message);
+    }
     return null;
   }
 };
 
+/**
+ * Selectors used to drive the portal login page, each a list tried in order
+ * Profiles can replace any of the lists with their loginSelectors setting
+ */
+export const DEFAULT_LOGIN_SELECTORS = {
+  email: ['input[type="email"]', 'input[name="email"]'],
+  password: ['input[type="password"]'],
+  submit: ['button[type="submit"]', 'button:has-text("Login")', 'button:has-text("Sign In")'],
+  totp: [
+    'input[autocomplete="one-time-code"]',
+    'input[name*="otp" i]',
+    'input[name*="totp" i]',
+    'input[name*="code" i]',
+    'input[placeholder*="code" i]'
+  ],
+  totpSubmit: ['button[type="submit"]', 'button:has-text("Verify")', 'button:has-text("Confirm")'],
+  captcha: [
+    'iframe[src*="recaptcha"]',
+    'iframe[src*="hcaptcha"]',
+    'iframe[src*="challenges.cloudflare.com"]',
+    '.g-recaptcha',
+    '.h-captcha',
+    '[data-sitekey]'
+  ],
+  errorBanner: [
+    '[role="alert"]',
+    '.ant-message-error',
+    '.ant-alert-error',
+    '.ant-form-item-explain-error',
+    '.el-message--error',
+    '.error-message'
+  ]
+};
+
+export const LOGIN_SELECTOR_KEYS = Object.keys(DEFAULT_LOGIN_SELECTORS);
+
+// Defaults with the lists given in overrides replacing the matching defaults
+export const resolveLoginSelectors = (overrides = {}) => {
+  const selectors = { ...DEFAULT_LOGIN_SELECTORS };
+  for (const key of LOGIN_SELECTOR_KEYS) {
+    if (Array.isArray(overrides?.[key]) && overrides[key].length > 0) {
+      selectors[key] = overrides[key];
+    }
+  }
+  return selectors;
+};
+
+/**
+ * Error raised when the automated login fails
+ * code is one of BROWSER_UNAVAILABLE, LOGIN_API_UNAVAILABLE, NAVIGATION_FAILED, LOGIN_FORM_NOT_FOUND,
+ * CAPTCHA_REQUIRED, MFA_REQUIRED, MFA_FAILED, LOGIN_REJECTED, LOGIN_TIMEOUT, TOKEN_NOT_FOUND or LOGIN_FAILED;
+ * diagnostics is the saved bundle directory of a failed browser login
+ */
+export class LoginError extends Error {
+  constructor(message, { code = 'LOGIN_FAILED', diagnostics = null } = {}) {
+    super(message);
+    this.name = 'LoginError';
+    this.code = code;
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * Decode the payload of a JWT without verifying its signature
+ * @param {string} token JWT
+ * @returns {Object|null} Claims, or null when the token isn't a decodable JWT
+ */
+export const decodeJwt = (token) => {
+  const [, payload] = (token || '').split('.');
+  if (!payload) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Token details stored next to the JWT in auth.json
+const describeToken = (jwt) => {
+  const claims = decodeJwt(jwt) || {};
+  const orgClaim = ORG_ID_CLAIMS.find(name => claims[name] !== undefined && typeof claims[name] !== 'object');
+
+  return {
+    subject: claims.sub ?? null,
+    orgId: orgClaim ? String(claims[orgClaim]) : null,
+    issuedAt: typeof claims.iat === 'number' ? new Date(claims.iat * 1000).toISOString() : null,
+    expiresAt: typeof claims.exp === 'number' ? new Date(claims.exp * 1000).toISOString() : null
+  };
+};
+
+/**
+ * Store a token obtained by logging in, with the claims needed to know when it expires
+ * @param {Object} token Token details
+ * @param {string} token.jwt JWT
+ * @param {string} token.tokenKey Where the portal keeps the token, jwtToken
+ * @param {string} token.email User email
+ * @param {string} token.method How the token was obtained: 'http' or 'browser'
+ * @param {string} token.loginPath 'session' when a saved browser session was still logged in, 'full' otherwise
+ * @param {boolean} token.sessionExpired Whether a saved browser session was tried first and found logged out
+ * @param {string} authFile auth.json of the profile, the default profile's by default
+ * @returns {Promise<Object>} Authentication data as stored
+ */
+export const storeLoginToken = async ({ jwt, tokenKey, email, method, loginPath = 'full', sessionExpired = false }, authFile = AUTH_FILE) => {
+  const authData = {
+    jwt,
+    tokenKey,
+    email,
+    method,
+    loginPath,
+    sessionExpired,
+    timestamp: new Date().toISOString(),
+    ...describeToken(jwt)
+  };
+
+  await saveAuthData(authData, authFile);
+  return authData;
+};
+
+// Playwright is optional, logins through the portal's login API work without it
+const loadChromium = async () => {
+  try {
+    return (await import('playwright')).chromium;
+  } catch (error) {
+    throw new LoginError(`Playwright is not installed (${error.message}), install it with npm install playwright or use the http login strategy`, { code: 'BROWSER_UNAVAILABLE' });
+  }
+};
+
 /**
  * Helper functions for browser-based login
  */
@@ -46,7 +194,7 @@ async function findElement(page, selectors) {
   for (const selector of selectors) {
     try {
       const element = await page.$(selector);
-      if (element) {
+      if (element && await element.isVisible()) {
         console.error(`Found element with selector: ${selector}`);
         return selector;
       }
@@ -55,13 +203,24 @@ async function findElement(page, selectors) {
   return null;
 }
 
-// Take a screenshot if in visible mode
-async function takeScreenshot(page, filename, headless) {
-  if (!headless) {
-    await ensureAuthDirExists();
-    await page.screenshot({ path: path.join(AUTH_DIR, filename) });
-    console.error(`Screenshot saved to ${filename}`);
+// Wait until one of the selectors matches a visible element
+async function waitForElement(page, selectors, timeout) {
+  try {
+    await page.waitForSelector(selectors.join(', '), { state: 'visible', timeout });
+  } catch (e) {
+    return null;
+  }
+  return findElement(page, selectors);
+}
+
+// Text of the first visible error banner, if any
+async function getErrorBannerText(page, selectors) {
+  const banner = await findElement(page, selectors.errorBanner);
+  if (!banner) {
+    return null;
   }
+  const text = (await page.textContent(banner) || '').trim();
+  return text || null;
 }
 
 // Extract JWT from localStorage for portal.mlytics.com
@@ -111,47 +270,244 @@ async function extractJwt(page) {
   return null;
 }
 
+const isLoginPage = (url) => url.includes('/login') || url.includes('/auth');
+
+/**
+ * Wait for the portal to react to a submitted form
+ * @param {Object} page Playwright page
+ * @param {Object} selectors Login selectors
+ * @param {Object} options Wait options
+ * @param {number} options.timeout How long to wait in milliseconds
+ * @param {boolean} options.expectMfa Whether the one-time code field is expected to still be visible for a while
+ * @returns {Promise<Object>} { outcome: 'success' | 'mfa' | 'captcha' | 'error' | 'timeout', message }
+ */
+async function waitForLoginOutcome(page, selectors, { timeout, expectMfa = false }) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    const hasToken = await page.evaluate(() => localStorage.getItem('jwtToken') !== null).catch(() => false);
+    if (hasToken || !isLoginPage(page.url())) {
+      return { outcome: 'success' };
+    }
+
+    const bannerText = await getErrorBannerText(page, selectors);
+    if (bannerText) {
+      return { outcome: 'error', message: bannerText };
+    }
+    if (await findElement(page, selectors.captcha)) {
+      return { outcome: 'captcha' };
+    }
+    if (!expectMfa && await findElement(page, selectors.totp)) {
+      return { outcome: 'mfa' };
+    }
+
+    await page.waitForTimeout(OUTCOME_POLL_INTERVAL);
+  }
+
+  return { outcome: expectMfa && await findElement(page, selectors.totp) ? 'mfa' : 'timeout' };
+}
+
+// Browser session (cookies and localStorage) of the last browser login, kept next to auth.json
+const getSessionFile = (authFile) => path.join(path.dirname(authFile), SESSION_FILE_NAME);
+
+// Saved session of a user, encrypted since its cookies log in as well as a password would
+const loadSession = async (sessionFile, email) => {
+  try {
+    const session = await secureStore.readJson(sessionFile);
+    return session?.email === email ? session.storageState : null;
+  } catch (error) {
+    console.error(`Cannot read ${sessionFile}: ${error.message}`);
+    return null;
+  }
+};
+
+const saveSession = (sessionFile, email, storageState) => (
+  secureStore.writeJson(sessionFile, { email, savedAt: new Date().toISOString(), storageState })
+);
+
+/**
+ * Open the portal with a saved session and read the token the portal keeps for it
+ * @param {Object} browser Playwright browser
+ * @param {Object} storageState Saved cookies and localStorage
+ * @returns {Promise<Object|null>} { jwt, storageState } while the session is logged in with an unexpired token, null otherwise
+ */
+async function resumeSession(browser, storageState) {
+  const context = await browser.newContext({
+    viewport: { width: 1280, height: 720 },
+    storageState
+  });
+
+  try {
+    const page = await context.newPage();
+    await page.goto(PORTAL_URL, { timeout: DEFAULT_TIMEOUT });
+    // The portal may renew the token from its cookies once the page has loaded
+    await page.waitForLoadState('networkidle', { timeout: SESSION_TIMEOUT }).catch(() => {});
+
+    if (isLoginPage(page.url())) {
+      console.error('The saved browser session was sent to the login page');
+      return null;
+    }
+
+    const jwt = await page.evaluate(() => localStorage.getItem('jwtToken'));
+    const expiresAt = jwt ? describeToken(jwt).expiresAt : null;
+    if (!jwt || (expiresAt && Date.parse(expiresAt) - EXPIRY_MARGIN <= Date.now())) {
+      console.error('The saved browser session has no valid token');
+      return null;
+    }
+
+    return { jwt, storageState: await context.storageState() };
+  } catch (error) {
+    console.error(`Could not resume the saved browser session: ${error.message}`);
+    return null;
+  } finally {
+    await context.close();
+  }
+}
+
+// Failed browser logins are only written to disk with MLYTICS_LOGIN_DIAGNOSTICS set to true or 1
+export const isLoginDiagnosticsEnabled = () => ['1', 'true'].includes((process.env.MLYTICS_LOGIN_DIAGNOSTICS || '').toLowerCase());
+
+// Write the trace, a screenshot and a summary of a failed login, readable by the owner only
+async function saveLoginDiagnostics({ context, page, error, email, diagnosticsDir }) {
+  const bundleDir = path.join(diagnosticsDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${error.code}`);
+  await fs.mkdir(bundleDir, { recursive: true, mode: DIAGNOSTICS_DIR_MODE });
+  await fs.chmod(diagnosticsDir, DIAGNOSTICS_DIR_MODE);
+
+  const files = [];
+  try {
+    await context.tracing.stop({ path: path.join(bundleDir, 'trace.zip') });
+    await fs.chmod(path.join(bundleDir, 'trace.zip'), DIAGNOSTICS_FILE_MODE);
+    files.push('trace.zip');
+  } catch (e) {
+    console.error(`Could not save the login trace: ${e.message}`);
+  }
+  try {
+    await page.screenshot({ path: path.join(bundleDir, 'screenshot.png'), fullPage: true });
+    await fs.chmod(path.join(bundleDir, 'screenshot.png'), DIAGNOSTICS_FILE_MODE);
+    files.push('screenshot.png');
+  } catch (e) {
+    console.error(`Could not save the login screenshot: ${e.message}`);
+  }
+
+  const summary = {
+    code: error.code,
+    message: error.message,
+    email,
+    url: page.url(),
+    title: await page.title().catch(() => null),
+    timestamp: new Date().toISOString()
+  };
+  await fs.writeFile(path.join(bundleDir, 'error.json'), JSON.stringify(summary, null, 2), { mode: DIAGNOSTICS_FILE_MODE });
+  files.push('error.json');
+
+  // Keep only the most recent bundles, traces are several megabytes each
+  const bundles = (await fs.readdir(diagnosticsDir)).sort();
+  for (const old of bundles.slice(0, Math.max(0, bundles.length - MAX_DIAGNOSTICS_BUNDLES))) {
+    await fs.rm(path.join(diagnosticsDir, old), { recursive: true, force: true });
+  }
+
+  console.error(`Login diagnostics saved to ${bundleDir} (${files.join(', ')}), open the trace with: npx playwright show-trace ${path.join(bundleDir, 'trace.zip')}`);
+  return bundleDir;
+}
+
 /**
  * Automated login to Mlytics Portal
+ * The browser session is saved next to the auth file, and resumed on the next login as long as the portal
+ * still considers it logged in; otherwise the login form is filled in again.
+ * Failures raise a LoginError whose code tells what the portal asked for; with diagnostics, a bundle
+ * (Playwright trace, screenshot and summary) is saved next to the auth file
  * @param {Object} params Login parameters
  * @param {string} params.email User email
  * @param {string} params.password User password
  * @param {boolean} params.headless Whether to run browser in headless mode
+ * @param {string} params.authFile Where to store the token, the default profile's auth.json by default
+ * @param {string} params.totpSecret Base32 TOTP secret, used when the portal asks for a one-time code
+ * @param {string} params.totpCode One-time code to use instead of generating one from the secret
+ * @param {Object} params.selectors Selector overrides, see DEFAULT_LOGIN_SELECTORS
+ * @param {boolean} params.reuseSession Whether to try the saved browser session before the login form
+ * @param {boolean} params.diagnostics Whether to save a diagnostics bundle on failure (default: MLYTICS_LOGIN_DIAGNOSTICS)
  * @returns {Promise<Object>} Authentication data
  */
-export const automatedLogin = async ({ email, password, headless = true }) => {
+export const automatedLogin = async ({
+  email,
+  password,
+  headless = true,
+  authFile = AUTH_FILE,
+  totpSecret = null,
+  totpCode = null,
+  selectors: selectorOverrides = {},
+  reuseSession = true,
+  diagnostics = isLoginDiagnosticsEnabled()
+}) => {
   console.error(`Starting automated login for ${email}`);
+  const selectors = resolveLoginSelectors(selectorOverrides);
   
   // Launch browser
-  const browser = await chromium.launch({ 
-    headless,
-    slowMo: headless ? 0 : 50 // Add slight delay in visible mode
-  });
+  const chromium = await loadChromium();
+  let browser;
+  try {
+    browser = await chromium.launch({ 
+      headless,
+      slowMo: headless ? 0 : 50 // Add slight delay in visible mode
+    });
+  } catch (error) {
+    throw new LoginError(`Could not launch Chromium: ${error.message.split('\n')[0]}, install it with npx playwright install chromium or use the http login strategy`, { code: 'BROWSER_UNAVAILABLE' });
+  }
+
+  // A session saved by an earlier login of the same user saves typing the password and one-time code again
+  const sessionFile = getSessionFile(authFile);
+  const storedSession = reuseSession ? await loadSession(sessionFile, email) : null;
+  if (storedSession) {
+    console.error('Resuming the saved browser session');
+    const resumed = await resumeSession(browser, storedSession);
+    if (resumed) {
+      try {
+        await saveSession(sessionFile, email, resumed.storageState);
+        const authData = await storeLoginToken({ jwt: resumed.jwt, tokenKey: 'jwtToken', email, method: 'browser', loginPath: 'session' }, authFile);
+        console.error('JWT read from the saved browser session and saved successfully');
+        return authData;
+      } finally {
+        await browser.close();
+      }
+    }
+    console.error('Logging in with the login form instead');
+    await fs.rm(sessionFile, { force: true });
+  }
   
   const context = await browser.newContext({
     viewport: { width: 1280, height: 720 }
   });
+
+  // Recorded when diagnostics are enabled, only written to disk when the login fails. Without DOM snapshots the trace
+  // records no page source or network traffic, so neither the password nor the token end up in it
+  if (diagnostics) {
+    await context.tracing.start({ screenshots: true, snapshots: false });
+  }
   
   const page = await context.newPage();
   
   try {
     // Go directly to login page
     console.error('Navigating to login page');
-    await page.goto(LOGIN_URL, { timeout: DEFAULT_TIMEOUT });
+    try {
+      await page.goto(LOGIN_URL, { timeout: DEFAULT_TIMEOUT });
+    } catch (error) {
+      throw new LoginError(`Could not open ${LOGIN_URL}: ${error.message}`, { code: 'NAVIGATION_FAILED' });
+    }
     
-    // Find email field
-    const emailSelectors = ['input[type="email"]', 'input[name="email"]'];
-    const emailField = await findElement(page, emailSelectors);
+    // Find email field, giving the login page time to render
+    const emailField = await waitForElement(page, selectors.email, FORM_TIMEOUT);
     if (!emailField) {
-      await takeScreenshot(page, 'login-error.png', headless);
-      throw new Error('Could not find email field');
+      if (await findElement(page, selectors.captcha)) {
+        throw new LoginError('The login page shows a captcha, log in once with headless set to false', { code: 'CAPTCHA_REQUIRED' });
+      }
+      throw new LoginError(`Could not find email field (${selectors.email.join(', ')}), set loginSelectors on the profile if the login page changed`, { code: 'LOGIN_FORM_NOT_FOUND' });
     }
     
     // Find password field
-    const passwordField = await findElement(page, ['input[type="password"]']);
+    const passwordField = await findElement(page, selectors.password);
     if (!passwordField) {
-      await takeScreenshot(page, 'login-error.png', headless);
-      throw new Error('Could not find password field');
+      throw new LoginError(`Could not find password field (${selectors.password.join(', ')}), set loginSelectors on the profile if the login page changed`, { code: 'LOGIN_FORM_NOT_FOUND' });
     }
     
     // Fill login form
@@ -160,75 +516,92 @@ export const automatedLogin = async ({ email, password, headless = true }) => {
     await page.fill(passwordField, password);
     
     // Find submit button
-    const submitButton = await findElement(page, [
-      'button[type="submit"]',
-      'button:has-text("Login")',
-      'button:has-text("Sign In")'
-    ]);
-    
+    const submitButton = await findElement(page, selectors.submit);
     if (!submitButton) {
-      await takeScreenshot(page, 'login-error.png', headless);
-      throw new Error('Could not find submit button');
+      throw new LoginError(`Could not find submit button (${selectors.submit.join(', ')}), set loginSelectors on the profile if the login page changed`, { code: 'LOGIN_FORM_NOT_FOUND' });
     }
     
     // Submit form
     console.error('Submitting login form');
     await page.click(submitButton);
-    
-    // Wait for navigation to complete
-    try {
-      await page.waitForNavigation({ timeout: 10000 });
-    } catch (e) {
-      console.error('Navigation timeout, continuing anyway');
+
+    let result = await waitForLoginOutcome(page, selectors, { timeout: LOGIN_TIMEOUT });
+
+    if (result.outcome === 'mfa') {
+      if (!totpSecret && !totpCode) {
+        throw new LoginError('The account requires a one-time code: set totpSecret on the profile with switch-profile, or pass totpCode', { code: 'MFA_REQUIRED' });
+      }
+
+      const code = totpCode || await generateFreshTotp(totpSecret);
+
+      console.error('Submitting one-time code');
+      const totpField = await findElement(page, selectors.totp);
+      await page.fill(totpField, code);
+      const totpSubmit = await findElement(page, selectors.totpSubmit);
+      if (totpSubmit) {
+        await page.click(totpSubmit);
+      } else {
+        await page.press(totpField, 'Enter');
+      }
+
+      result = await waitForLoginOutcome(page, selectors, { timeout: LOGIN_TIMEOUT, expectMfa: true });
+      if (result.outcome === 'error' || result.outcome === 'mfa') {
+        throw new LoginError(`The one-time code was rejected${result.message ? `: ${result.message}` : ''}`, { code: 'MFA_FAILED' });
+      }
     }
-    
-    // Wait a moment for any post-login redirects or JS execution
-    // Need a longer wait for localStorage to be populated with the token
-    console.error('Waiting for localStorage to be populated with JWT token...');
-    await page.waitForTimeout(5000);
-    
-    // Additional wait for localStorage with the jwtToken key to be populated
-    try {
-      await page.waitForFunction(() => localStorage.getItem('jwtToken') !== null, { timeout: 10000 })
-        .then(() => console.error('JWT token found in localStorage'))
-        .catch(() => console.error('Timed out waiting for JWT token to appear in localStorage'));
-    } catch (e) {
-      console.error('Error while waiting for token:', e.message);
+
+    if (result.outcome === 'captcha') {
+      throw new LoginError('The portal asks for a captcha, log in once with headless set to false', { code: 'CAPTCHA_REQUIRED' });
     }
-    
-    // Check if we're still on login page (failed login)
-    if (page.url().includes('/login') || page.url().includes('/auth')) {
-      await takeScreenshot(page, 'login-failed.png', headless);
-      throw new Error('Login failed - still on login page');
+    if (result.outcome === 'error') {
+      throw new LoginError(`The portal rejected the login: ${result.message}`, { code: 'LOGIN_REJECTED' });
+    }
+    if (result.outcome === 'timeout') {
+      throw new LoginError(`Login failed - still on login page after ${LOGIN_TIMEOUT / 1000} seconds`, { code: 'LOGIN_TIMEOUT' });
     }
     
     console.error('Login successful, extracting JWT');
-    await takeScreenshot(page, 'login-success.png', headless);
     
     // Extract JWT from localStorage
     const jwt = await extractJwt(page);
     
     if (!jwt) {
-      throw new Error('Could not find JWT token in localStorage');
+      throw new LoginError('Could not find JWT token in localStorage', { code: 'TOKEN_NOT_FOUND' });
     }
     
     console.error(`Found JWT in localStorage with key: ${jwt.key}`);
     
-    // Store the token
-    const authData = {
+    await saveSession(sessionFile, email, await context.storageState());
+    const authData = await storeLoginToken({
       jwt: jwt.value,
       tokenKey: jwt.key,
       email,
-      timestamp: new Date().toISOString(),
-      expiresAt: null
-    };
-    
-    await saveAuthData(authData);
+      method: 'browser',
+      loginPath: 'full',
+      sessionExpired: Boolean(storedSession)
+    }, authFile);
+    if (diagnostics) {
+      await context.tracing.stop();
+    }
     console.error('JWT extracted and saved successfully');
     return authData;
   } catch (error) {
-    console.error(`Automated login failed: ${error.message}`);
-    throw error;
+    const loginError = error instanceof LoginError ? error : new LoginError(error.message, { code: 'LOGIN_FAILED' });
+    console.error(`Automated login failed (${loginError.code}): ${loginError.message}`);
+    if (diagnostics) {
+      try {
+        loginError.diagnostics = await saveLoginDiagnostics({
+          context,
+          page,
+          error: loginError,
+          email,
+          diagnosticsDir: path.join(path.dirname(authFile), 'login-diagnostics')
+        });
+      } catch (e) {
+        console.error(`Could not save login diagnostics: ${e.message}`);
+      }
+    }
+    throw loginError;
   } finally {
     await browser.close();
   }
@@ -236,60 +609,114 @@ export const automatedLogin = async ({ email, password, headless = true }) => {
 
 /**
  * Get stored JWT token
+ * @param {string} authFile auth.json of the profile, the default profile's by default
  * @returns {Promise<string|null>} JWT token or null if not found
  */
-export const getStoredJwt = async () => {
-  const authData = await loadAuthData();
+export const getStoredJwt = async (authFile = AUTH_FILE) => {
+  const authData = await loadAuthData(authFile);
   return authData?.jwt || null;
 };
 
 /**
  * Get stored token key name
+ * @param {string} authFile auth.json of the profile, the default profile's by default
  * @returns {Promise<string|null>} Token key name or null if not found
  */
-export const getStoredTokenKey = async () => {
-  const authData = await loadAuthData();
+export const getStoredTokenKey = async (authFile = AUTH_FILE) => {
+  const authData = await loadAuthData(authFile);
   return authData?.tokenKey || 'jwtToken'; // Default to jwtToken if not specified
 };
 
+// Expiry of the stored token: the exp claim, or 24 hours after login for tokens without one
+const getTokenExpiry = (authData) => {
+  const expiresAt = authData.expiresAt || describeToken(authData.jwt).expiresAt;
+  if (expiresAt) {
+    return new Date(expiresAt);
+  }
+  return authData.timestamp ? new Date(new Date(authData.timestamp).getTime() + TOKEN_MAX_AGE) : null;
+};
+
 /**
  * Check if stored JWT is valid
+ * Tokens are checked against their exp claim; use verifyJwt to ask the API
+ * @param {string} authFile auth.json of the profile, the default profile's by default
  * @returns {Promise<boolean>} Whether JWT is valid
  */
-export const isJwtValid = async () => {
-  const authData = await loadAuthData();
-  
+export const isJwtValid = async (authFile = AUTH_FILE) => {
+  const authData = await loadAuthData(authFile);
+
   if (!authData || !authData.jwt) {
     return false;
   }
-  
-  // If we have an expiry time, check it
-  if (authData.expiresAt) {
-    const expiryDate = new Date(authData.expiresAt);
-    const now = new Date();
-    
-    // If token expired, return false
-    if (expiryDate <= now) {
-      return false;
-    }
+
+  const expiry = getTokenExpiry(authData);
+  if (expiry && expiry.getTime() - EXPIRY_MARGIN <= Date.now()) {
+    console.error(`Token expired at ${expiry.toISOString()}`);
+    return false;
   }
-  
-  // If the token is more than 24 hours old and we don't have an expiry,
-  // consider it potentially expired
-  if (!authData.expiresAt && authData.timestamp) {
-    const tokenDate = new Date(authData.timestamp);
-    const now = new Date();
-    const dayInMs = 24 * 60 * 60 * 1000;
-    
-    if (now.getTime() - tokenDate.getTime() > dayInMs) {
-      console.error('Token is more than 24 hours old, considering it expired');
-      return false;
+
+  return true;
+};
+
+/**
+ * Ask the Mlytics API whether a token is accepted, using the lightweight credit endpoint
+ * The result is recorded in auth.json as verifiedAt / verificationResult
+ * @param {Object} api API client
+ * @param {string} jwt Token to verify
+ * @param {string} authFile auth.json of the profile, the default profile's by default
+ * @returns {Promise<boolean>} false when the API rejects the token with 401 or 403
+ */
+export const verifyJwt = async (api, jwt, authFile = AUTH_FILE) => {
+  let valid;
+  try {
+    await api.getCredit({ jwt });
+    valid = true;
+  } catch (error) {
+    if (error.status !== 401 && error.status !== 403) {
+      throw error;
     }
+    valid = false;
   }
-  
-  // TODO: Add a verification API call to check if token is still valid
-  
-  return true;
+
+  const authData = await loadAuthData(authFile);
+  if (authData?.jwt === jwt) {
+    await saveAuthData({ ...authData, verifiedAt: new Date().toISOString(), verificationResult: valid ? 'valid' : 'rejected' }, authFile);
+  }
+  return valid;
+};
+
+/**
+ * Describe the stored login without exposing the token
+ * @param {string} authFile auth.json of the profile, the default profile's by default
+ * @returns {Promise<Object>} Login details: email, subject, org ID, issue and expiry times
+ */
+export const getAuthStatus = async (authFile = AUTH_FILE) => {
+  const authData = await loadAuthData(authFile);
+
+  if (!authData?.jwt) {
+    return { loggedIn: false };
+  }
+
+  // auth.json files written before claims were stored are decoded on the fly
+  const token = 'subject' in authData ? authData : describeToken(authData.jwt);
+  const expiry = getTokenExpiry(authData);
+
+  return {
+    loggedIn: true,
+    email: authData.email || null,
+    subject: token.subject,
+    orgId: token.orgId,
+    loggedInAt: authData.timestamp || null,
+    method: authData.method || null,
+    loginPath: authData.loginPath || null,
+    issuedAt: token.issuedAt,
+    expiresAt: expiry ? expiry.toISOString() : null,
+    expiryEstimated: !token.expiresAt,
+    expiresInSeconds: expiry ? Math.round((expiry.getTime() - Date.now()) / 1000) : null,
+    expired: expiry ? expiry.getTime() <= Date.now() : false,
+    verifiedAt: authData.verifiedAt || null,
+    verificationResult: authData.verificationResult || null
+  };
 };
 
 /**
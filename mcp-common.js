@@ -0,0 +1,223 @@
+// Shared helpers for the Mlytics MCP server tools
+import { promises as fs, constants as fsConstants } from 'fs';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { MlyticsApiError } from './mcp-api-client.js';
+import { createSecureStore } from './mcp-secure-store.js';
+import { registerSecret } from './mcp-redact.js';
+
+// In ES modules, __dirname is not defined, so we need to create it
+const __filename = fileURLToPath(import.meta.url);
+export const __dirname = path.dirname(__filename);
+
+// Data storage paths, shared by the server and the authentication module
+export const dataDir = process.env.MLYTICS_DATA_DIR || path.join(os.homedir(), '.mlytics-cdn-mcp');
+export const sitesFile = path.join(dataDir, 'sites.json');
+export const dnsRecordsFile = path.join(dataDir, 'dns_records.json');
+export const strategyFile = path.join(dataDir, 'strategy.json');
+// Append-only log of historical reports written by earlier versions, imported into the usage cache on startup
+export const historicalReportsFile = path.join(dataDir, 'historical_reports.json');
+export const usageCacheFile = path.join(dataDir, 'usage_cache.json');
+export const capacityForecastsFile = path.join(dataDir, 'capacity_forecasts.json');
+export const backupsDir = path.join(dataDir, 'backups');
+// Encrypted copy of the API key from the cred file
+export const apiKeyFile = path.join(dataDir, 'api_key.json');
+
+// Encrypted storage for tokens, credentials and API keys, with the key from MLYTICS_MASTER_KEY or MLYTICS_PASSPHRASE.
+// Mock mode runs without one on a key kept in memory, so what it stores doesn't outlive the process
+export const secureStore = createSecureStore({ keyDir: dataDir, allowEphemeralKey: () => getServerMode() === 'mock' });
+
+// Directory used by the former mcp-server.js entry point
+const legacyDataDir = path.join(os.homedir(), '.mlytics-mcp-server');
+
+// Backend used by the tools: 'live' calls the Mlytics API, 'mock' serves generated data
+export const SERVER_MODES = ['live', 'mock'];
+
+export const getServerMode = () => {
+  const mode = (process.env.MLYTICS_MODE || 'live').toLowerCase();
+  if (!SERVER_MODES.includes(mode)) {
+    throw new Error(`Unknown MLYTICS_MODE '${mode}', expected one of: ${SERVER_MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+// Where get-historical-reports takes its data from: 'live-only' fails when the API does, 'live-with-cached-fallback'
+// answers with a stored live report instead, 'mock' serves generated data and never calls the API
+export const HISTORICAL_DATA_SOURCES = ['live-only', 'live-with-cached-fallback', 'mock'];
+
+// Server-wide data source from MLYTICS_HISTORICAL_DATA_SOURCE, mock in mock mode and live with cached fallback otherwise
+export const getHistoricalDataSource = () => {
+  const source = (process.env.MLYTICS_HISTORICAL_DATA_SOURCE || (getServerMode() === 'mock' ? 'mock' : 'live-with-cached-fallback')).toLowerCase();
+  if (!HISTORICAL_DATA_SOURCES.includes(source)) {
+    throw new Error(`Unknown MLYTICS_HISTORICAL_DATA_SOURCE '${source}', expected one of: ${HISTORICAL_DATA_SOURCES.join(', ')}`);
+  }
+  return source;
+};
+
+// Integer setting from the environment, the default when unset
+export const readIntegerSetting = (name, defaultValue, { min = 1, env = process.env } = {}) => {
+  if (env[name] === undefined || env[name] === '') {
+    return defaultValue;
+  }
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be an integer of at least ${min}, got '${env[name]}'`);
+  }
+  return value;
+};
+
+// Ensure data directory exists
+export const ensureDataDirExists = async () => {
+  try {
+    await fs.mkdir(dataDir, { recursive: true });
+  } catch (error) {
+    // Silently handle error
+  }
+};
+
+// Copy files from the legacy data directory that don't exist in the current one yet
+export const migrateLegacyDataDir = async () => {
+  let legacyFiles;
+  try {
+    legacyFiles = await fs.readdir(legacyDataDir);
+  } catch (error) {
+    return []; // Nothing to migrate
+  }
+
+  await ensureDataDirExists();
+  const migrated = [];
+
+  for (const file of legacyFiles.filter(f => f.endsWith('.json'))) {
+    const target = path.join(dataDir, file);
+    try {
+      await fs.copyFile(path.join(legacyDataDir, file), target, fsConstants.COPYFILE_EXCL);
+      migrated.push(file);
+    } catch (error) {
+      // Already present in the current data directory
+    }
+  }
+
+  if (migrated.length > 0) {
+    console.error(`Migrated ${migrated.join(', ')} from ${legacyDataDir} to ${dataDir}`);
+  }
+  return migrated;
+};
+
+// Helper to load data from file or return default
+export const loadDataOrDefault = async (filePath, defaultData) => {
+  try {
+    const data = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    return defaultData;
+  }
+};
+
+// Helper to save data to file
+export const saveData = async (filePath, data) => {
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+};
+
+// Mock CDN providers
+export const CDN_PROVIDERS = [
+  { id: 'cloudflare', name: 'Cloudflare', status: 'active' },
+  { id: 'akamai', name: 'Akamai', status: 'active' },
+  { id: 'fastly', name: 'Fastly', status: 'active' },
+  { id: 'cloudfront', name: 'AWS CloudFront', status: 'active' },
+  { id: 'mlytics', name: 'Mlytics', status: 'active' }
+];
+
+// Mock regions
+export const REGIONS = [
+  'us-east', 'us-west', 'eu-west', 'eu-central', 'ap-northeast',
+  'ap-southeast', 'sa-east', 'af-south', 'au-southeast'
+];
+
+// Helper for creating text responses
+export const createTextResponse = (text) => {
+  return {
+    content: [{ type: 'text', text }]
+  };
+};
+
+// Helper for reporting a failed Mlytics API call, keeping HTTP status and meta.code
+export const createApiErrorResponse = (error, prefix = 'API Error') => {
+  const response = {
+    success: false,
+    message: `${prefix}: ${error.message}`
+  };
+
+  if (error instanceof MlyticsApiError) {
+    response.error = {
+      status: error.status,
+      code: error.code
+    };
+    if (error.body) {
+      response.data = error.body;
+    }
+  }
+
+  return createTextResponse(JSON.stringify(response));
+};
+
+// Plaintext API key file in the working directory, imported into apiKeyFile on startup
+export const credFile = path.join(process.cwd(), 'cred');
+
+// Read the API key from the cred file: the first line that isn't a // comment
+export const readCredFile = async () => {
+  const apiKeyContent = await fs.readFile(credFile, 'utf-8');
+  const apiKey = (apiKeyContent.split('\n').filter(line => !line.startsWith('//'))[0] || '').trim();
+  if (!apiKey) {
+    throw new Error('API key not found in credentials file');
+  }
+  return apiKey;
+};
+
+/**
+ * Read the API key from the provided key, environment or credentials file
+ * @param {string} providedKey Key passed to the tool
+ * @param {Object} options Lookup options
+ * @param {string} options.keyFile Encrypted key file of the profile, the default profile's by default
+ * @param {boolean} options.fallbacks Also try MLYTICS_API_KEY and the cred file, only for the default profile
+ * @returns {Promise<string>} API key
+ */
+export const getApiKey = async (providedKey, { keyFile = apiKeyFile, fallbacks = true } = {}) => {
+  // If a key is provided, use it
+  if (providedKey) {
+    console.error('Using provided API key');
+    registerSecret(providedKey);
+    return providedKey;
+  }
+
+  if (fallbacks && process.env.MLYTICS_API_KEY) {
+    console.error('Using API key from MLYTICS_API_KEY');
+    registerSecret(process.env.MLYTICS_API_KEY);
+    return process.env.MLYTICS_API_KEY;
+  }
+
+  try {
+    const stored = await secureStore.readJson(keyFile);
+    if (stored?.apiKey) {
+      console.error('Using API key from the encrypted store');
+      registerSecret(stored.apiKey);
+      return stored.apiKey;
+    }
+    if (!fallbacks) {
+      throw new Error(`no API key stored in ${keyFile}, set one with switch-profile`);
+    }
+
+    console.error(`Reading API key from: ${credFile}`);
+    const apiKey = await readCredFile();
+    console.error('API key successfully read');
+    registerSecret(apiKey);
+    return apiKey;
+  } catch (error) {
+    // The mock backend accepts any key
+    if (getServerMode() === 'mock') {
+      return 'mock-api-key';
+    }
+    console.error(`Error reading API key: ${error.message}`);
+    throw new Error(`Failed to read API key from credentials file: ${error.message}`);
+  }
+};
@@ -0,0 +1,265 @@
+// Credential provider supplying a valid Mlytics Portal JWT to the tools
+import path from 'path';
+import { dataDir, apiKeyFile, credFile, readCredFile, getApiKey, secureStore } from './mcp-common.js';
+import { createMlyticsApiClient, MlyticsApiError } from './mcp-api-client.js';
+import { getStoredJwt, isJwtValid, getAuthStatus, AUTH_FILE } from './mcp-auth.js';
+import { DEFAULT_PROFILE } from './mcp-profiles.js';
+import { portalLogin } from './mcp-login.js';
+import { registerSecret } from './mcp-redact.js';
+import { generateTotp } from './mcp-totp.js';
+import { getKeySource, MISSING_KEY_MESSAGE } from './mcp-secure-store.js';
+
+// Portal login credentials remembered by automated-login, encrypted and readable by the owner only
+export const CREDENTIALS_FILE = path.join(dataDir, 'credentials.json');
+
+// Token used in mock mode when nobody logged in
+const MOCK_JWT = 'mock-jwt';
+
+/**
+ * Error raised when no valid portal token can be obtained
+ */
+export class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Remember portal login credentials so expired tokens can be refreshed without the user
+ * @param {Object} credentials Login credentials
+ * @param {string} credentials.email User email
+ * @param {string} credentials.password User password
+ * @param {string} credentialsFile credentials.json of the profile, the default profile's by default
+ */
+export const saveLoginCredentials = async ({ email, password }, credentialsFile = CREDENTIALS_FILE) => {
+  // The TOTP secret is set separately with switch-profile and outlives a change of password
+  const stored = await secureStore.readJson(credentialsFile).catch(() => null);
+  await secureStore.writeJson(credentialsFile, { ...(stored?.totpSecret ? { totpSecret: stored.totpSecret } : {}), email, password });
+};
+
+/**
+ * Remember the TOTP secret answering the portal's one-time code prompt
+ * @param {string} totpSecret Base32 secret or otpauth:// URI, validated by generating a code
+ * @param {string} credentialsFile credentials.json of the profile, the default profile's by default
+ */
+export const saveTotpSecret = async (totpSecret, credentialsFile = CREDENTIALS_FILE) => {
+  generateTotp(totpSecret);
+  const stored = await secureStore.readJson(credentialsFile).catch(() => null);
+  await secureStore.writeJson(credentialsFile, { ...stored, totpSecret });
+};
+
+/**
+ * TOTP secret from MLYTICS_TOTP_SECRET, or the one stored with switch-profile
+ * @param {Object} options Lookup options
+ * @param {string} options.credentialsFile credentials.json of the profile, the default profile's by default
+ * @param {boolean} options.useEnv Whether MLYTICS_TOTP_SECRET applies, only for the default profile
+ * @returns {Promise<string|null>} The secret or null when none is available
+ */
+export const getTotpSecret = async ({ credentialsFile = CREDENTIALS_FILE, useEnv = true } = {}) => {
+  if (useEnv && process.env.MLYTICS_TOTP_SECRET) {
+    registerSecret(process.env.MLYTICS_TOTP_SECRET);
+    return process.env.MLYTICS_TOTP_SECRET;
+  }
+
+  try {
+    const stored = await secureStore.readJson(credentialsFile);
+    registerSecret(stored?.totpSecret);
+    return stored?.totpSecret || null;
+  } catch (error) {
+    console.error(`Cannot read ${credentialsFile}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Portal login credentials from MLYTICS_EMAIL and MLYTICS_PASSWORD, or the ones remembered by automated-login
+ * @param {Object} options Lookup options
+ * @param {string} options.credentialsFile credentials.json of the profile, the default profile's by default
+ * @param {boolean} options.useEnv Whether MLYTICS_EMAIL and MLYTICS_PASSWORD apply, only for the default profile
+ * @returns {Promise<Object|null>} { email, password } or null when none are available
+ */
+export const getLoginCredentials = async ({ credentialsFile = CREDENTIALS_FILE, useEnv = true } = {}) => {
+  const { MLYTICS_EMAIL: email, MLYTICS_PASSWORD: password } = process.env;
+  if (useEnv && email && password) {
+    registerSecret(password);
+    return { email, password };
+  }
+
+  try {
+    const stored = await secureStore.readJson(credentialsFile);
+    registerSecret(stored?.password);
+    return stored?.email && stored?.password ? { email: stored.email, password: stored.password } : null;
+  } catch (error) {
+    console.error(`Cannot read ${credentialsFile}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Encrypt credentials stored in plaintext by earlier versions, and import the API key from the cred file
+ * Runs on startup; the cred file is imported again whenever its key changes, but never deleted
+ * @returns {Promise<Array<string>>} Files that were encrypted or imported
+ */
+export const migratePlaintextCredentials = async () => {
+  const migrated = [];
+  if (!getKeySource()) {
+    console.error(`${MISSING_KEY_MESSAGE}; files are left as they are and logins won't be remembered`);
+    return migrated;
+  }
+
+  for (const file of [AUTH_FILE, CREDENTIALS_FILE]) {
+    try {
+      if (await secureStore.encryptPlaintextFile(file)) {
+        migrated.push(path.basename(file));
+      }
+    } catch (error) {
+      console.error(`Cannot encrypt ${file}: ${error.message}`);
+    }
+  }
+
+  let apiKey;
+  try {
+    apiKey = await readCredFile();
+  } catch (error) {
+    apiKey = null; // No cred file
+  }
+  if (apiKey) {
+    try {
+      // A store that can't be decrypted anymore is replaced, the cred file is the source of the key
+      const stored = await secureStore.readJson(apiKeyFile).catch(() => null);
+      if (stored?.apiKey !== apiKey) {
+        await secureStore.writeJson(apiKeyFile, { apiKey });
+        migrated.push(path.basename(credFile));
+      }
+      console.error(`The API key in ${credFile} is stored encrypted in ${apiKeyFile}, the cred file can be deleted`);
+    } catch (error) {
+      console.error(`Cannot import ${credFile}: ${error.message}`);
+    }
+  }
+
+  if (migrated.length > 0) {
+    console.error(`Encrypted ${migrated.join(', ')}`);
+  }
+  return migrated;
+};
+
+/**
+ * Create a credential provider
+ * Tokens are refreshed by logging in again when they expire or when the API answers 401,
+ * with concurrent refreshes sharing a single login
+ * @param {Object} options Provider options
+ * @param {boolean} options.mock Fall back to a placeholder token when nobody logged in
+ * @param {Function} options.login Login function, portalLogin by default
+ * @param {Object} options.loginApi Client serving the login API, one for the profile's base URLs by default
+ * @param {Object} options.profile Profile from resolveProfile, the default profile by default
+ * @returns {Object} Provider with canAuthenticate, getJwt, login, refresh, withJwt, getApiKey, saveLoginCredentials, getTotpSecret and getDefaultOrgId
+ */
+export const createCredentialProvider = ({
+  mock = false,
+  login = portalLogin,
+  profile = { name: DEFAULT_PROFILE, dir: dataDir },
+  loginApi = createMlyticsApiClient({ baseUrls: profile.baseUrls })
+} = {}) => {
+  let pendingRefresh = null;
+
+  // Each profile keeps its token, credentials and API key in its own directory
+  const isDefaultProfile = profile.name === DEFAULT_PROFILE;
+  const authFile = path.join(profile.dir, 'auth.json');
+  const credentialsFile = path.join(profile.dir, 'credentials.json');
+  const keyFile = path.join(profile.dir, 'api_key.json');
+  const loginCredentials = () => getLoginCredentials({ credentialsFile, useEnv: isDefaultProfile });
+  const totpSecret = () => getTotpSecret({ credentialsFile, useEnv: isDefaultProfile });
+
+  /**
+   * Log in with the profile's login strategy, TOTP secret and login selectors, storing the token in the profile
+   * @param {Object} params Login parameters: email, password and optionally headless, totpCode and strategy
+   * @returns {Promise<Object>} Authentication data
+   */
+  const loginWithProfile = async (params) => login({
+    strategy: profile.loginStrategy,
+    api: loginApi,
+    authFile,
+    totpSecret: await totpSecret(),
+    selectors: profile.loginSelectors,
+    ...params
+  });
+
+  // Log in again with the available credentials
+  const refresh = async () => {
+    if (!pendingRefresh) {
+      pendingRefresh = (async () => {
+        const credentials = await loginCredentials();
+        if (!credentials) {
+          throw new AuthenticationError('The portal token is no longer valid and no login credentials are available. Log in again with the automated-login tool, or set MLYTICS_EMAIL and MLYTICS_PASSWORD');
+        }
+
+        console.error(`Refreshing portal token for ${credentials.email} (profile ${profile.name})`);
+        const authData = await loginWithProfile({ ...credentials, headless: true });
+        return authData.jwt;
+      })().finally(() => {
+        pendingRefresh = null;
+      });
+    }
+    return pendingRefresh;
+  };
+
+  // Whether a token is stored or can be obtained by logging in
+  const canAuthenticate = async () => mock || Boolean(await getStoredJwt(authFile)) || Boolean(await loginCredentials());
+
+  // A token that is valid as far as we can tell, refreshed first when it expired
+  const getJwt = async () => {
+    const jwt = await getStoredJwt(authFile);
+
+    if (jwt && await isJwtValid(authFile)) {
+      return jwt;
+    }
+    if (await loginCredentials()) {
+      return refresh();
+    }
+    if (jwt) {
+      // Without credentials the expired token is still worth a try, the API has the final say
+      return jwt;
+    }
+    if (mock) {
+      return MOCK_JWT;
+    }
+    throw new AuthenticationError('No authentication token found. Please login first using the automated-login tool.');
+  };
+
+  /**
+   * Run an API call with a valid token, refreshing it and retrying once if the API rejects it
+   * @param {Function} call Receives the auth object ({ jwt }) and returns a promise
+   * @returns {Promise<*>} Result of the call
+   */
+  const withJwt = async (call) => {
+    const jwt = await getJwt();
+
+    try {
+      return await call({ jwt });
+    } catch (error) {
+      if (!(error instanceof MlyticsApiError) || error.status !== 401 || mock || !(await loginCredentials())) {
+        throw error;
+      }
+      console.error('Portal token rejected with 401, logging in again');
+      return call({ jwt: await refresh() });
+    }
+  };
+
+  return {
+    profile,
+    authFile,
+    canAuthenticate,
+    getJwt,
+    login: loginWithProfile,
+    refresh,
+    withJwt,
+    // API key of the profile; MLYTICS_API_KEY and the cred file only apply to the default profile
+    getApiKey: (providedKey) => getApiKey(providedKey, { keyFile, fallbacks: isDefaultProfile }),
+    saveLoginCredentials: (credentials) => saveLoginCredentials(credentials, credentialsFile),
+    // TOTP secret of the profile; MLYTICS_TOTP_SECRET only applies to the default profile
+    getTotpSecret: totpSecret,
+    // Organization used when a tool isn't given org_id: the profile's orgId, then the one in the token
+    getDefaultOrgId: async () => profile.orgId || (await getAuthStatus(authFile)).orgId || null
+  };
+};
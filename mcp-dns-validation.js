@@ -0,0 +1,332 @@
+// Validation of DNS records before they are sent to the rrset API
+import net from 'net';
+import { createTextResponse } from './mcp-common.js';
+import { normalizeRecordName, toFqdn, serializeRecordValue, splitTxtValue, STRUCTURED_VALUE_FIELDS, MAX_CHARACTER_STRING } from './mcp-dns.js';
+
+// Limits from RFC 1035 and RFC 2181
+const MAX_NAME_LENGTH = 253;
+const MAX_LABEL_LENGTH = 63;
+// Record data is at most 65535 bytes, each TXT character string taking a length byte besides its text
+const MAX_RDATA_LENGTH = 65535;
+const MAX_TTL = 2147483647;
+const MAX_PRIORITY = 65535;
+const MAX_CAA_FLAGS = 255;
+
+// CAA property tags from RFC 8659 and its extensions
+const CAA_TAGS = ['issue', 'issuewild', 'iodef', 'issuemail', 'issuevmc'];
+
+// Types that hold a single value per name
+const SINGLE_VALUE_TYPES = ['CNAME', 'ALIAS', 'ANAME'];
+
+// Allowed ranges of the numeric fields of structured values
+const NUMERIC_FIELD_LIMITS = { priority: MAX_PRIORITY, weight: MAX_PRIORITY, port: MAX_PRIORITY, flags: MAX_CAA_FLAGS };
+
+// Letters, digits, hyphens and underscores (for names like _dmarc), not starting or ending with a hyphen
+const LABEL_PATTERN = /^(?!-)[a-z0-9_-]+(?<!-)$/i;
+
+/**
+ * Check a domain name, as used for record names and CNAME, NS and MX targets
+ * @param {string} name Domain name, optionally with a trailing dot
+ * @param {Object} options Options
+ * @param {boolean} options.allowWildcard Accept '*' as the first label
+ * @returns {string|null} Error message or null when the name is valid
+ */
+export const checkDomainName = (name, { allowWildcard = false } = {}) => {
+  const trimmed = (name || '').trim().replace(/\.$/, '');
+
+  if (!trimmed) {
+    return 'Domain name is empty';
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    return `Domain name is longer than ${MAX_NAME_LENGTH} characters`;
+  }
+
+  const labels = trimmed.split('.');
+  for (const [index, label] of labels.entries()) {
+    if (allowWildcard && index === 0 && label === '*') {
+      continue;
+    }
+    if (label.length === 0) {
+      return `'${name}' contains an empty label`;
+    }
+    if (label.length > MAX_LABEL_LENGTH) {
+      return `Label '${label}' is longer than ${MAX_LABEL_LENGTH} characters`;
+    }
+    if (!LABEL_PATTERN.test(label)) {
+      return `'${name}' is not a valid domain name`;
+    }
+  }
+  return null;
+};
+
+const isUint = (value, max) => /^\d+$/.test(value) && Number(value) <= max;
+
+// Domain name that may also be '.', the null target of MX (RFC 7505) and SRV (RFC 2782) records
+const checkTarget = (target) => (target === '.' ? null : checkDomainName(target));
+
+// Value checks by record type, each returning an error message or null
+const VALUE_CHECKS = {
+  A: (value) => (net.isIPv4(value) ? null : `'${value}' is not a valid IPv4 address`),
+
+  AAAA: (value) => (net.isIPv6(value) ? null : `'${value}' is not a valid IPv6 address`),
+
+  CNAME: (value) => checkDomainName(value),
+
+  NS: (value) => checkDomainName(value),
+
+  PTR: (value) => checkDomainName(value),
+
+  ALIAS: (value) => checkDomainName(value),
+
+  ANAME: (value) => checkDomainName(value),
+
+  MX: (value) => {
+    const parts = value.split(/\s+/);
+    if (parts.length !== 2) {
+      return `'${value}' must be a priority followed by a mail server, e.g. '10 mail.example.com'`;
+    }
+    const [priority, exchange] = parts;
+    if (!isUint(priority, MAX_PRIORITY)) {
+      return `MX priority '${priority}' must be an integer between 0 and ${MAX_PRIORITY}`;
+    }
+    return checkTarget(exchange);
+  },
+
+  SRV: (value) => {
+    const parts = value.split(/\s+/);
+    if (parts.length !== 4) {
+      return `'${value}' must be priority, weight, port and target, e.g. '10 5 5060 sip.example.com'`;
+    }
+    const [priority, weight, port, target] = parts;
+    const invalid = Object.entries({ priority, weight, port }).find(([, field]) => !isUint(field, MAX_PRIORITY));
+    if (invalid) {
+      return `SRV ${invalid[0]} '${invalid[1]}' must be an integer between 0 and ${MAX_PRIORITY}`;
+    }
+    return checkTarget(target);
+  },
+
+  CAA: (value) => {
+    const match = value.match(/^(\S+)\s+(\S+)\s+(?:"((?:[^"\\]|\\.)*)"|(\S+))$/);
+    if (!match) {
+      return `'${value}' must be flags, tag and value, e.g. '0 issue "letsencrypt.org"'`;
+    }
+    const [, flags, tag, quoted, bare] = match;
+    const data = quoted ?? bare;
+    if (!isUint(flags, MAX_CAA_FLAGS)) {
+      return `CAA flags '${flags}' must be an integer between 0 and ${MAX_CAA_FLAGS}`;
+    }
+    if (!CAA_TAGS.includes(tag.toLowerCase())) {
+      return `CAA tag '${tag}' must be one of ${CAA_TAGS.join(', ')}`;
+    }
+    if (tag.toLowerCase() === 'iodef' && !/^(mailto:|https?:\/\/)/i.test(data)) {
+      return `CAA iodef value '${data}' must be a mailto: or http(s) URL`;
+    }
+    return null;
+  },
+
+  // The 255 limit is per character string: quoted strings are checked one by one, a plain value is split into strings
+  // of 255 characters when written out
+  TXT: (value) => {
+    const strings = splitTxtValue(value).map(string => Buffer.byteLength(string, 'utf8'));
+    const long = strings.findIndex(length => length > MAX_CHARACTER_STRING);
+    if (long !== -1) {
+      return `TXT character string ${long + 1} is ${strings[long]} bytes long, the maximum is ${MAX_CHARACTER_STRING}; split it into several quoted strings`;
+    }
+    const rdataLength = strings.reduce((total, length) => total + length + 1, 0);
+    if (rdataLength > MAX_RDATA_LENGTH) {
+      return `TXT data is ${rdataLength} bytes long, the maximum is ${MAX_RDATA_LENGTH}`;
+    }
+    return null;
+  }
+};
+
+// Check the fields of a structured value, returning errors relative to the value
+const checkStructuredValue = (type, value) => {
+  const fields = STRUCTURED_VALUE_FIELDS[type] || ['value'];
+  const errors = [];
+
+  for (const field of Object.keys(value)) {
+    if (!fields.includes(field)) {
+      errors.push({ field, message: `Not used by ${type} records, expected ${fields.join(', ')}` });
+    }
+  }
+  for (const field of fields) {
+    if (value[field] === undefined) {
+      // CAA flags default to 0
+      if (field !== 'flags') {
+        errors.push({ field, message: `Required for ${type} records` });
+      }
+      continue;
+    }
+    const max = NUMERIC_FIELD_LIMITS[field];
+    if (max !== undefined && !(Number.isInteger(value[field]) && value[field] >= 0 && value[field] <= max)) {
+      errors.push({ field, message: `Must be an integer between 0 and ${max}` });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Check the values of a record against its type
+ * @param {string} type Record type
+ * @param {Array<string|Object>} values Record values, as strings or structured values
+ * @param {string} field Field name used in the errors
+ * @returns {Array<Object>} Field-level errors: { field, message }
+ */
+export const validateRecordValues = (type, values, field = 'values') => {
+  const errors = [];
+
+  if (!values || values.length === 0) {
+    return [{ field, message: 'At least one value is required' }];
+  }
+  if (SINGLE_VALUE_TYPES.includes(type) && values.length > 1) {
+    errors.push({ field, message: `${type} records can only have one value` });
+  }
+
+  const check = VALUE_CHECKS[type];
+  const serialized = [];
+  values.forEach((value, index) => {
+    if (typeof value === 'object' && value !== null) {
+      const fieldErrors = checkStructuredValue(type, value);
+      if (fieldErrors.length > 0) {
+        fieldErrors.forEach(e => errors.push({ field: `${field}.${index}.${e.field}`, message: e.message }));
+        return;
+      }
+    }
+
+    const text = serializeRecordValue(type, value);
+    serialized.push(text);
+    const message = check ? check(text) : null;
+    if (message) {
+      errors.push({ field: `${field}.${index}`, message });
+    }
+  });
+
+  const duplicates = serialized.filter((value, index) => serialized.indexOf(value) !== index);
+  if (duplicates.length > 0) {
+    errors.push({ field, message: `Duplicate values: ${[...new Set(duplicates)].join(', ')}` });
+  }
+
+  return errors;
+};
+
+/**
+ * Check a record on its own: name, TTL and values
+ * @param {Object} record Record: { name, type, ttl, values }
+ * @returns {Array<Object>} Field-level errors: { field, message }
+ */
+export const validateDnsRecord = ({ name, type, ttl, values }) => {
+  const errors = [];
+
+  if (name !== undefined && name.trim() !== '@') {
+    const message = checkDomainName(name, { allowWildcard: true });
+    if (message) {
+      errors.push({ field: 'name', message });
+    }
+  }
+  // SRV records live at _service._protocol names (RFC 2782)
+  if (type === 'SRV' && name !== undefined && !/^_[^.]+\._[^.]+(\.|$)/.test(name.trim())) {
+    errors.push({ field: 'name', message: `SRV record names start with _service._protocol, e.g. _sip._tcp` });
+  }
+  if (ttl !== undefined && (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_TTL)) {
+    errors.push({ field: 'ttl', message: `TTL must be an integer between 1 and ${MAX_TTL} seconds` });
+  }
+  if (type && values !== undefined) {
+    errors.push(...validateRecordValues(type, values));
+  }
+
+  return errors;
+};
+
+/**
+ * Zod superRefine callback running validateDnsRecord on the tool arguments
+ * Errors are reported by the registry before the handler makes any network call
+ */
+export const refineDnsRecord = (record, ctx) => {
+  for (const { field, message } of validateDnsRecord(record)) {
+    ctx.addIssue({ code: 'custom', message, path: field.split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part)) });
+  }
+};
+
+/**
+ * Check records against each other: no CNAME at the apex and no CNAME sharing a name with other records
+ * A conflict is reported against every conflicting record with a field, whichever side holds the CNAME,
+ * so records already in the zone can be passed without a field
+ * @param {Array<Object>} records Records that will exist together: { name, type, field }
+ * @param {string} domain Zone domain
+ * @returns {Array<Object>} Field-level errors: { field, message }
+ */
+export const validateRecordSet = (records, domain) => {
+  const errors = [];
+  const typesByName = new Map();
+
+  for (const record of records) {
+    const name = toFqdn(record.name, domain);
+    if (!typesByName.has(name)) {
+      typesByName.set(name, new Set());
+    }
+    typesByName.get(name).add(record.type);
+  }
+
+  for (const record of records) {
+    if (!record.field) {
+      continue;
+    }
+    const name = toFqdn(record.name, domain);
+    const types = typesByName.get(name);
+
+    if (record.type === 'CNAME' && name === normalizeRecordName(domain)) {
+      errors.push({ field: record.field, message: `A CNAME record cannot be created at the zone apex (${name})` });
+    } else if (record.type === 'CNAME') {
+      const others = [...types].filter(type => type !== 'CNAME');
+      if (others.length > 0) {
+        errors.push({ field: record.field, message: `${name} already has ${others.join(', ')} records, a CNAME cannot coexist with other records` });
+      }
+    } else if (types.has('CNAME')) {
+      errors.push({ field: record.field, message: `${name} is a CNAME, other records cannot be added at the same name` });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Check a record about to be created against the existing rrsets of its zone
+ * @param {Object} record New record: { name, type }
+ * @param {Array<Object>} rrsets Existing rrsets as returned by list-dns-records
+ * @param {string} domain Zone domain
+ * @returns {Array<Object>} Field-level errors: { field, message }
+ */
+export const findRecordConflicts = ({ name, type }, rrsets, domain) => {
+  const fqdn = toFqdn(name, domain);
+  const sameName = rrsets.filter(r => toFqdn(r.name, domain) === fqdn);
+  const errors = [];
+
+  const existing = sameName.find(r => r.type === type);
+  if (existing) {
+    errors.push({
+      field: 'name',
+      message: `${fqdn} ${type} already exists (id ${existing.id}), use update-dns-record to change its values`
+    });
+  }
+
+  if (type === 'CNAME' && fqdn === normalizeRecordName(domain)) {
+    errors.push({ field: 'type', message: `A CNAME record cannot be created at the zone apex (${fqdn})` });
+  } else if (type === 'CNAME' && sameName.some(r => r.type !== 'CNAME')) {
+    const others = [...new Set(sameName.filter(r => r.type !== 'CNAME').map(r => r.type))];
+    errors.push({ field: 'type', message: `${fqdn} already has ${others.join(', ')} records, a CNAME cannot coexist with other records` });
+  } else if (type !== 'CNAME' && sameName.some(r => r.type === 'CNAME')) {
+    errors.push({ field: 'type', message: `${fqdn} is a CNAME, other records cannot be added at the same name` });
+  }
+
+  return errors;
+};
+
+// Response for records rejected before reaching the API
+export const createValidationErrorResponse = (errors, message = 'Invalid DNS record') => {
+  return createTextResponse(JSON.stringify({
+    success: false,
+    message: `${message}: ${errors.map(e => `${e.field}: ${e.message}`).join(', ')}`,
+    errors
+  }));
+};
@@ -0,0 +1,191 @@
+// DNS record helpers shared by the rrset tools
+import { z } from 'zod';
+import { loadDataOrDefault, saveData, dnsRecordsFile } from './mcp-common.js';
+
+// Record types accepted by the rrset API
+export const DNS_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'CAA', 'SRV', 'PTR', 'ALIAS', 'ANAME'];
+
+// Types whose value is a single domain name
+export const DOMAIN_VALUE_TYPES = ['CNAME', 'NS', 'PTR', 'ALIAS', 'ANAME'];
+
+// Fields of structured values by record type, in the order they are written in the rrset value
+export const STRUCTURED_VALUE_FIELDS = {
+  MX: ['priority', 'target'],
+  SRV: ['priority', 'weight', 'port', 'target'],
+  CAA: ['flags', 'tag', 'value']
+};
+
+// A record value: the value as written in a zone file, or its fields for MX, SRV and CAA records
+export const DnsRecordValueSchema = z.union([
+  z.string(),
+  z.object({
+    priority: z.number().optional().describe('MX and SRV priority'),
+    weight: z.number().optional().describe('SRV weight'),
+    port: z.number().optional().describe('SRV port'),
+    target: z.string().optional().describe('MX mail server or SRV target host'),
+    flags: z.number().optional().describe('CAA flags (default: 0)'),
+    tag: z.string().optional().describe('CAA tag: issue, issuewild or iodef'),
+    value: z.string().optional().describe('CAA value, or the plain value for other record types'),
+  }).strict()
+]);
+
+/**
+ * Serialize a record value into the string sent in the rrset `detail`
+ * Structured values become their zone file form, e.g. { priority: 10, target: 'mail.example.com' } for MX
+ * becomes '10 mail.example.com' and { tag: 'issue', value: 'letsencrypt.org' } for CAA becomes '0 issue "letsencrypt.org"'
+ * @param {string} type Record type
+ * @param {string|Object} value Value as given to the tools
+ * @returns {string} Serialized value
+ */
+export const serializeRecordValue = (type, value) => {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+
+  switch (type) {
+    case 'MX':
+      return `${value.priority} ${value.target}`;
+    case 'SRV':
+      return `${value.priority} ${value.weight} ${value.port} ${value.target}`;
+    case 'CAA':
+      return `${value.flags ?? 0} ${value.tag} "${(value.value ?? '').replace(/["\\]/g, '\\$&')}"`;
+    default:
+      return value.value ?? value.target ?? '';
+  }
+};
+
+// Maximum length of a single character string in TXT data (RFC 1035)
+export const MAX_CHARACTER_STRING = 255;
+
+// TXT data written as quoted character strings, e.g. "v=DKIM1; k=rsa; p=MIIB..." "IDAQAB"
+const QUOTED_STRINGS_PATTERN = /^"(?:[^"\\]|\\.)*"(?:\s+"(?:[^"\\]|\\.)*")*$/;
+
+/**
+ * Character strings of a TXT value. A value written as quoted strings keeps their boundaries, a plain value is one
+ * text split into strings of at most 255 characters, the way it is written to a zone file
+ * @param {string} value TXT value
+ * @returns {Array<string>} Character strings, unescaped
+ */
+export const splitTxtValue = (value) => {
+  const text = String(value).trim();
+  if (QUOTED_STRINGS_PATTERN.test(text)) {
+    return [...text.matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(([, quoted]) => quoted.replace(/\\(.)/g, '$1'));
+  }
+  const strings = [];
+  for (let i = 0; i < text.length; i += MAX_CHARACTER_STRING) {
+    strings.push(text.slice(i, i + MAX_CHARACTER_STRING));
+  }
+  return strings.length > 0 ? strings : [''];
+};
+
+/**
+ * TXT value of character strings: a single string as plain text, several as quoted strings so their boundaries are kept
+ * @param {Array<string>} strings Character strings, unescaped
+ * @returns {string} TXT value
+ */
+export const formatTxtValue = (strings) => (strings.length === 1
+  ? strings[0]
+  : strings.map(string => `"${string.replace(/["\\]/g, '\\$&')}"`).join(' '));
+
+// Canonical form of a TXT value, the same for a long plain value and the strings a zone file splits it into
+export const normalizeTxtValue = (value) => formatTxtValue(splitTxtValue(value));
+
+// Serialize all values of a record
+export const serializeRecordValues = (type, values) => values.map(value => serializeRecordValue(type, value));
+
+// The rrset `detail` payload for a list of serialized values
+export const toRRSetDetail = (values) => values.map(value => ({ value }));
+
+// Default TTL used when a record doesn't specify one
+export const DEFAULT_TTL = 3600;
+
+// The rrset listing may come back as an array or wrapped in { rrsets }
+export const extractRRSets = (data) => {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  return data?.rrsets || [];
+};
+
+// Plain string values of an rrset, whichever field the API used for them
+export const getRRSetValues = (rrset) => {
+  const records = rrset.records || rrset.detail || rrset.values || [];
+  return records.map(record => (typeof record === 'object' && record !== null ? record.value : record));
+};
+
+// Compare record names case-insensitively and without the trailing dot
+export const normalizeRecordName = (name) => (name || '').trim().replace(/\.$/, '').toLowerCase();
+
+/**
+ * Expand a record name relative to a zone, following zone file conventions
+ * '@' is the zone apex, names ending with a dot are already absolute
+ * @param {string} name Record name
+ * @param {string} origin Zone domain, e.g. example.com
+ * @returns {string} Fully qualified name without the trailing dot
+ */
+export const toFqdn = (name, origin) => {
+  const zone = normalizeRecordName(origin);
+  const trimmed = (name || '').trim();
+
+  if (trimmed === '' || trimmed === '@') {
+    return zone;
+  }
+  if (trimmed.endsWith('.')) {
+    return normalizeRecordName(trimmed);
+  }
+
+  const normalized = trimmed.toLowerCase();
+  if (!zone || normalized === zone || normalized.endsWith(`.${zone}`)) {
+    return normalized;
+  }
+  return `${normalized}.${zone}`;
+};
+
+/**
+ * Find the rrset matching a record id, or a name and type pair
+ * @param {Array<Object>} rrsets RRSets as returned by list-dns-records
+ * @param {Object} selector Lookup keys
+ * @param {string} selector.recordId RRSet id
+ * @param {string} selector.name Record name
+ * @param {string} selector.type Record type
+ * @param {string} selector.domain Site domain relative names are expanded against, so www matches www.example.com.
+ * @returns {Object} { rrset } when exactly one matches, { error } otherwise
+ */
+export const findRRSet = (rrsets, { recordId, name, type, domain }) => {
+  if (recordId) {
+    const rrset = rrsets.find(r => String(r.id) === String(recordId));
+    return rrset ? { rrset } : { error: `DNS record ${recordId} not found` };
+  }
+
+  const fqdn = toFqdn(name, domain);
+  const matches = rrsets.filter(r => toFqdn(r.name, domain) === fqdn && r.type === type);
+
+  if (matches.length === 0) {
+    return { error: `No ${type} record named ${name} found` };
+  }
+  if (matches.length > 1) {
+    return {
+      error: `Found ${matches.length} ${type} records named ${name}, specify recordId instead`,
+      matches: matches.map(r => r.id)
+    };
+  }
+  return { rrset: matches[0] };
+};
+
+// Refinement for schemas that select a record by id or by name and type
+export const requireRecordSelector = [
+  (args) => Boolean(args.recordId) || Boolean(args.name && args.type),
+  { message: 'Provide either recordId or both name and type', path: ['recordId'] }
+];
+
+// Human readable description of how a record was selected
+export const describeSelector = ({ recordId, name, type }) => (recordId ? `id ${recordId}` : `${name} ${type}`);
+
+/**
+ * Apply a change to the locally stored dns_records.json
+ * @param {Function} update Receives the stored records and returns the new list
+ */
+export const updateLocalDnsRecords = async (update) => {
+  const dnsRecords = await loadDataOrDefault(dnsRecordsFile, []);
+  await saveData(dnsRecordsFile, update(dnsRecords));
+};
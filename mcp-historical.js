@@ -0,0 +1,164 @@
+// Long historical report ranges: split into API-friendly windows, fetched with bounded concurrency and stitched back together
+import { readIntegerSetting } from './mcp-common.js';
+import { getResponsePoints } from './mcp-usage-cache.js';
+
+// The portal API times out on ranges much longer than a month
+export const DEFAULT_WINDOW_DAYS = 31;
+export const DEFAULT_CONCURRENCY = 3;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Window length from MLYTICS_HISTORICAL_WINDOW_DAYS and parallel requests from MLYTICS_HISTORICAL_CONCURRENCY
+export const getHistoricalFetchSettings = (env = process.env) => ({
+  windowDays: readIntegerSetting('MLYTICS_HISTORICAL_WINDOW_DAYS', DEFAULT_WINDOW_DAYS, { env }),
+  concurrency: readIntegerSetting('MLYTICS_HISTORICAL_CONCURRENCY', DEFAULT_CONCURRENCY, { env })
+});
+
+/**
+ * Split a time range into consecutive windows of at most windowDays, both ends included
+ * @param {number} start_time UNIX timestamp (seconds) of the start
+ * @param {number} end_time UNIX timestamp (seconds) of the end, included
+ * @param {number} windowDays Window length in days
+ * @returns {Array<Object>} Windows as { start_time, end_time }
+ */
+export const splitTimeRange = (start_time, end_time, windowDays = DEFAULT_WINDOW_DAYS) => {
+  const windowSeconds = windowDays * DAY_SECONDS;
+  const windows = [];
+  for (let start = start_time; start <= end_time; start += windowSeconds) {
+    windows.push({ start_time: start, end_time: Math.min(start + windowSeconds - 1, end_time) });
+  }
+  return windows;
+};
+
+/**
+ * Run an async function over items with at most limit calls in flight, settling every call
+ * @param {Array} items Items to process
+ * @param {number} limit Maximum number of calls in flight
+ * @param {Function} fn Receives an item and its index, returns a promise
+ * @returns {Promise<Array<Object>>} Results in item order, as { value } or { error }
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// One series from cached points and the diagrams of fetched windows. A point belongs to the window its timestamp
+// falls in, so a bucket the API repeats on both sides of a boundary is only counted once; windows at the ends of the
+// range also keep points of buckets that started before it or end after it
+const stitchSeries = ({ usage_type, start_time, end_time, scale }, cachedPoints, windows, responses) => {
+  const points = new Map(cachedPoints.map(([timestamp, value]) => [timestamp, value]));
+  responses.forEach((response, index) => {
+    const window = windows[index];
+    for (const [timestamp, value] of getResponsePoints(response, usage_type, scale)) {
+      const inWindow = (window.start_time === start_time || timestamp >= window.start_time) &&
+        (window.end_time === end_time || timestamp <= window.end_time);
+      if (inWindow && !points.has(timestamp)) {
+        points.set(timestamp, value);
+      }
+    }
+  });
+
+  const timestamps = [...points.keys()].sort((a, b) => a - b);
+  return { labels: timestamps.map(timestamp => timestamp * scale), datasets: timestamps.map(timestamp => points.get(timestamp)) };
+};
+
+/**
+ * Fetch a usage report window by window, serving the days already in the usage cache, and stitch everything into
+ * one report shaped like the API's
+ * @param {Function} fetchWindow Receives a window ({ start_time, end_time }) and returns the API response for it
+ * @param {Object} params Report parameters
+ * @param {string} params.org_id Organization of the report
+ * @param {string} params.usage_type Usage type of the report
+ * @param {number} params.start_time UNIX timestamp (seconds) of the start
+ * @param {number} params.end_time UNIX timestamp (seconds) of the end
+ * @param {boolean} params.convert_milli_timestamp Whether the API answers with timestamps in milliseconds
+ * @param {number} params.windowDays Window length in days
+ * @param {number} params.concurrency Maximum number of windows fetched at once
+ * @param {Object} params.cache Usage cache (mcp-usage-cache.js), none by default
+ * @returns {Promise<Object>} { response, windows, failedWindows, cachedBuckets, totalBuckets }; throws the first
+ * error when every window fails and nothing was cached
+ */
+export const fetchHistoricalUsage = async (fetchWindow, {
+  org_id,
+  usage_type,
+  start_time,
+  end_time,
+  convert_milli_timestamp = false,
+  windowDays = DEFAULT_WINDOW_DAYS,
+  concurrency = DEFAULT_CONCURRENCY,
+  cache = null
+}) => {
+  const scale = convert_milli_timestamp ? 1000 : 1;
+  const cached = cache
+    ? await cache.lookup({ org_id, usage_type, start_time, end_time })
+    : { points: [], missing: [{ start_time, end_time }], cachedBuckets: 0, totalBuckets: 0 };
+  const windows = cached.missing.flatMap(part => splitTimeRange(part.start_time, part.end_time, windowDays));
+  const counts = { cachedBuckets: cached.cachedBuckets, totalBuckets: cached.totalBuckets };
+
+  // Fetched windows go to the cache, which keeps the days they cover entirely
+  const storeWindows = (fetched) => cache?.store(fetched.map(({ window, response }) => ({
+    org_id,
+    usage_type,
+    ...window,
+    points: getResponsePoints(response, usage_type, scale)
+  })));
+
+  // A range fetched in one window is passed through untouched, with the API's own comparison
+  if (windows.length === 1 && cached.cachedBuckets === 0) {
+    const response = await fetchWindow(windows[0]);
+    await storeWindows([{ window: windows[0], response }]);
+    return { response, windows, failedWindows: [], ...counts };
+  }
+
+  const results = await mapWithConcurrency(windows, concurrency, window => fetchWindow(window));
+  const failedWindows = windows
+    .map((window, index) => ({ ...window, error: results[index].error }))
+    .filter(window => window.error);
+  if (windows.length > 0 && failedWindows.length === windows.length && cached.cachedBuckets === 0) {
+    throw failedWindows[0].error;
+  }
+
+  const responses = results.map(result => result.value);
+  await storeWindows(windows.map((window, index) => ({ window, response: responses[index] })).filter(({ response }) => response));
+
+  const first = responses.find(Boolean);
+  const { compare_start_time, compare_end_time, ...query } = first?.data?.query || {};
+
+  return {
+    response: {
+      ...first,
+      data: {
+        ...first?.data,
+        query: { ...query, usage_type, start_time: start_time * scale, end_time: end_time * scale },
+        diagrams: {
+          [usage_type]: {
+            ...stitchSeries({ usage_type, start_time, end_time, scale }, cached.points, windows, responses),
+            // Comparisons are made per window by the API, they don't add up to one for the whole range
+            compare_result: {
+              comparable: false,
+              reason: cached.cachedBuckets > 0
+                ? 'Not available for a range partly served from the usage cache'
+                : `Not available for a range fetched in ${windows.length} windows`,
+              result: null
+            }
+          }
+        }
+      }
+    },
+    windows,
+    failedWindows,
+    ...counts
+  };
+};
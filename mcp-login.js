@@ -0,0 +1,152 @@
+// Login strategies: the portal's login API over HTTP, or the portal login page in a Playwright browser
+import { createMlyticsApiClient, MlyticsApiError } from './mcp-api-client.js';
+import { automatedLogin, storeLoginToken, LoginError, AUTH_FILE } from './mcp-auth.js';
+import { generateFreshTotp } from './mcp-totp.js';
+
+// auto tries the login API first and falls back to the browser
+export const LOGIN_STRATEGIES = ['auto', 'http', 'browser'];
+
+export const DEFAULT_LOGIN_STRATEGY = 'auto';
+
+// Fields of the login API's data that may carry the token
+const TOKEN_FIELDS = ['token', 'jwt', 'jwtToken', 'access_token', 'accessToken'];
+
+// Flags the login API sets when the password alone is not enough
+const MFA_FLAGS = ['mfa_required', 'otp_required', 'two_factor_required'];
+const CAPTCHA_FLAGS = ['captcha_required'];
+
+// HTTP login failures worth retrying in the browser; a rejected password or one-time code would only be rejected again
+const BROWSER_FALLBACK_CODES = ['LOGIN_API_UNAVAILABLE', 'NAVIGATION_FAILED', 'CAPTCHA_REQUIRED', 'TOKEN_NOT_FOUND', 'LOGIN_FAILED'];
+
+const hasFlag = (data, flags) => flags.some(flag => data?.[flag] === true);
+
+const findToken = (data) => {
+  const field = TOKEN_FIELDS.find(name => typeof data?.[name] === 'string' && data[name]);
+  return field ? data[field] : null;
+};
+
+// Call the login API, returning the data of failed calls too since they say what else the portal needs
+const callLoginApi = async (api, params) => {
+  try {
+    const response = await api.login(params);
+    return { data: response.data, error: null };
+  } catch (error) {
+    if (!(error instanceof MlyticsApiError)) {
+      throw error;
+    }
+    if (error.isNetworkError) {
+      throw new LoginError(`Could not reach the login API: ${error.message}`, { code: 'NAVIGATION_FAILED' });
+    }
+    const data = error.body && typeof error.body === 'object' ? error.body.data : null;
+    return { data, error };
+  }
+};
+
+/**
+ * Log in through the portal's login API, without a browser
+ * @param {Object} params Login parameters
+ * @param {string} params.email User email
+ * @param {string} params.password User password
+ * @param {string} params.authFile Where to store the token, the default profile's auth.json by default
+ * @param {string} params.totpSecret Base32 TOTP secret, used when the portal asks for a one-time code
+ * @param {string} params.totpCode One-time code to use instead of generating one from the secret
+ * @param {Object} params.api API client whose portal base URL serves the login API
+ * @returns {Promise<Object>} Authentication data
+ */
+export const httpLogin = async ({
+  email,
+  password,
+  authFile = AUTH_FILE,
+  totpSecret = null,
+  totpCode = null,
+  api = createMlyticsApiClient()
+}) => {
+  console.error(`Starting HTTP login for ${email}`);
+  let result = await callLoginApi(api, { email, password });
+
+  if (hasFlag(result.data, CAPTCHA_FLAGS)) {
+    throw new LoginError('The portal asks for a captcha, log in once with the browser strategy and headless set to false', { code: 'CAPTCHA_REQUIRED' });
+  }
+
+  if (hasFlag(result.data, MFA_FLAGS)) {
+    if (!totpSecret && !totpCode) {
+      throw new LoginError('The account requires a one-time code: set totpSecret on the profile with switch-profile, or pass totpCode', { code: 'MFA_REQUIRED' });
+    }
+
+    console.error('Submitting one-time code');
+    result = await callLoginApi(api, { email, password, otp: totpCode || await generateFreshTotp(totpSecret) });
+    if (result.error || hasFlag(result.data, MFA_FLAGS)) {
+      throw new LoginError(`The one-time code was rejected${result.error ? `: ${result.error.message}` : ''}`, { code: 'MFA_FAILED' });
+    }
+  }
+
+  if (result.error) {
+    const { status, message } = result.error;
+    if (status === 404 || status === 405) {
+      throw new LoginError(`The login API is not available at ${result.error.url} (HTTP ${status})`, { code: 'LOGIN_API_UNAVAILABLE' });
+    }
+    if (status === 400 || status === 401 || status === 403) {
+      throw new LoginError(`The portal rejected the login: ${message}`, { code: 'LOGIN_REJECTED' });
+    }
+    throw new LoginError(`The login API failed: ${message}`, { code: 'LOGIN_FAILED' });
+  }
+
+  const jwt = findToken(result.data);
+  if (!jwt) {
+    throw new LoginError(`The login API answered without a token (expected one of ${TOKEN_FIELDS.join(', ')})`, { code: 'TOKEN_NOT_FOUND' });
+  }
+
+  const authData = await storeLoginToken({ jwt, tokenKey: 'jwtToken', email, method: 'http' }, authFile);
+  console.error('JWT obtained from the login API and saved successfully');
+  return authData;
+};
+
+/**
+ * Log in to the Mlytics Portal with a login strategy
+ * - http: the portal's login API only, no browser needed
+ * - browser: the portal login page in Playwright (automatedLogin)
+ * - auto: the login API, then the browser when the API is unavailable or answers unexpectedly
+ * @param {Object} params Login parameters, see httpLogin and automatedLogin
+ * @param {string} params.strategy One of LOGIN_STRATEGIES (default: auto)
+ * @param {Function} params.browserLogin Browser login function, automatedLogin by default
+ * @returns {Promise<Object>} Authentication data, with method telling which strategy obtained the token
+ */
+export const portalLogin = async ({
+  strategy = DEFAULT_LOGIN_STRATEGY,
+  api,
+  headless,
+  selectors,
+  browserLogin = automatedLogin,
+  ...params
+}) => {
+  switch (strategy) {
+    case 'browser':
+      return browserLogin({ ...params, headless, selectors });
+    case 'http':
+      return httpLogin({ ...params, api });
+    case 'auto':
+      break;
+    default:
+      throw new LoginError(`Unknown login strategy '${strategy}', use one of ${LOGIN_STRATEGIES.join(', ')}`, { code: 'LOGIN_FAILED' });
+  }
+
+  try {
+    return await httpLogin({ ...params, api });
+  } catch (httpError) {
+    if (!(httpError instanceof LoginError) || !BROWSER_FALLBACK_CODES.includes(httpError.code)) {
+      throw httpError;
+    }
+
+    console.error(`HTTP login failed (${httpError.code}: ${httpError.message}), falling back to the browser`);
+    try {
+      return await browserLogin({ ...params, headless, selectors });
+    } catch (browserError) {
+      // Without a browser, the login API's answer is the more useful one
+      if (browserError instanceof LoginError && browserError.code === 'BROWSER_UNAVAILABLE') {
+        httpError.message = `${httpError.message} (browser fallback unavailable: ${browserError.message})`;
+        throw httpError;
+      }
+      throw browserError;
+    }
+  }
+};
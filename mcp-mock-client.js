@@ -0,0 +1,210 @@
+// Mock backend implementing the Mlytics API client interface
+import * as crypto from 'crypto';
+import { MlyticsApiError } from './mcp-api-client.js';
+import { loadDataOrDefault, sitesFile, dnsRecordsFile } from './mcp-common.js';
+import { generateMockHistoricalReport, generateMockPerformanceData } from './mcp-analytics.js';
+
+// Wrap a copy of data in the Mlytics response envelope: like responses of the API, it doesn't change with the state
+// afterwards, and changing it doesn't change the state
+const success = (data) => ({
+  meta: {
+    status: 'success',
+    message: null,
+    code: 200
+  },
+  data: structuredClone(data)
+});
+
+// Seconds the tokens of mock logins are valid for
+const MOCK_TOKEN_LIFETIME = 86400;
+
+/**
+ * Create a client with the same methods as createMlyticsApiClient that never leaves the machine
+ * Zones and rrsets are kept in memory, seeded from the local sites.json and dns_records.json
+ * @returns {Object} Mock API client
+ */
+export const createMockApiClient = () => {
+  let state = null;
+
+  // Load the local data once so listings reflect what the tools already stored
+  const getState = async () => {
+    if (!state) {
+      const sites = await loadDataOrDefault(sitesFile, []);
+      const records = await loadDataOrDefault(dnsRecordsFile, []);
+
+      state = {
+        zones: sites.map(site => ({
+          id: site.id,
+          domain_name: site.domain,
+          zone_status: 1,
+          created_at: site.created_at
+        })),
+        rrsets: records.map(record => ({
+          id: record.id,
+          zone_id: record.site_id,
+          name: record.name,
+          type: record.type,
+          ttl: record.ttl,
+          proxied: record.proxied || false,
+          records: (record.values || []).map(value => ({ value }))
+        }))
+      };
+    }
+    return state;
+  };
+
+  const findZone = async (zoneId) => {
+    const { zones } = await getState();
+    const zone = zones.find(z => z.id === zoneId);
+    if (!zone) {
+      throw new MlyticsApiError(`Zone ${zoneId} not found`, { status: 404, code: 404 });
+    }
+    return zone;
+  };
+
+  return {
+    config: { mode: 'mock' },
+
+    request: async ({ method = 'GET', path }) => {
+      throw new MlyticsApiError(`The mock backend does not implement ${method} ${path}`, { status: 501, code: 501 });
+    },
+
+    createZone: async ({ domain_name }) => {
+      console.error(`[MOCK] Creating zone for domain: ${domain_name}`);
+      const { zones } = await getState();
+
+      if (zones.some(z => z.domain_name === domain_name)) {
+        throw new MlyticsApiError(`Zone ${domain_name} already exists`, { status: 409, code: 409 });
+      }
+
+      const zone = {
+        id: crypto.randomUUID(),
+        domain_name,
+        zone_status: 0,
+        created_at: new Date().toISOString()
+      };
+      zones.push(zone);
+      return success(zone);
+    },
+
+    listZones: async () => {
+      const { zones } = await getState();
+      return success(zones);
+    },
+
+    deleteZone: async (zoneId) => {
+      console.error(`[MOCK] Deleting zone ${zoneId}`);
+      await findZone(zoneId);
+      const currentState = await getState();
+
+      currentState.zones = currentState.zones.filter(z => z.id !== zoneId);
+      currentState.rrsets = currentState.rrsets.filter(r => r.zone_id !== zoneId);
+      return success(null);
+    },
+
+    updateZoneCdnSettings: async (zoneId, settings) => {
+      console.error(`[MOCK] Updating CDN settings for zone ${zoneId}`);
+      const zone = await findZone(zoneId);
+      zone.cdn_settings = { ...zone.cdn_settings, ...settings };
+      return success(zone.cdn_settings);
+    },
+
+    updateZoneSecuritySettings: async (zoneId, settings) => {
+      console.error(`[MOCK] Updating security settings for zone ${zoneId}`);
+      const zone = await findZone(zoneId);
+      zone.security_settings = { ...zone.security_settings, ...settings };
+      return success(zone.security_settings);
+    },
+
+    listRRSets: async (zoneId) => {
+      await findZone(zoneId);
+      const { rrsets } = await getState();
+      return success({ rrsets: rrsets.filter(r => r.zone_id === zoneId) });
+    },
+
+    createRRSet: async (zoneId, { name, type, ttl, proxied, detail }) => {
+      console.error(`[MOCK] Adding DNS record for site ${zoneId}: ${name} ${type}`);
+      await findZone(zoneId);
+      const { rrsets } = await getState();
+
+      const rrset = {
+        id: crypto.randomUUID(),
+        zone_id: zoneId,
+        name,
+        type,
+        ttl,
+        proxied,
+        records: detail
+      };
+      rrsets.push(rrset);
+      return success({ rrsets: [rrset] });
+    },
+
+    updateRRSet: async (zoneId, rrsetId, { name, type, ttl, proxied, detail }) => {
+      console.error(`[MOCK] Updating DNS record ${rrsetId} for site ${zoneId}`);
+      await findZone(zoneId);
+      const { rrsets } = await getState();
+      const rrset = rrsets.find(r => r.zone_id === zoneId && r.id === rrsetId);
+
+      if (!rrset) {
+        throw new MlyticsApiError(`RRSet ${rrsetId} not found`, { status: 404, code: 404 });
+      }
+
+      Object.assign(rrset, { name, type, ttl, proxied, records: detail });
+      return success({ rrsets: [rrset] });
+    },
+
+    deleteRRSet: async (zoneId, rrsetId) => {
+      console.error(`[MOCK] Deleting DNS record ${rrsetId} for site ${zoneId}`);
+      await findZone(zoneId);
+      const currentState = await getState();
+
+      if (!currentState.rrsets.some(r => r.zone_id === zoneId && r.id === rrsetId)) {
+        throw new MlyticsApiError(`RRSet ${rrsetId} not found`, { status: 404, code: 404 });
+      }
+
+      currentState.rrsets = currentState.rrsets.filter(r => !(r.zone_id === zoneId && r.id === rrsetId));
+      return success(null);
+    },
+
+    getEdgeReport: async ({ domain, start_time, end_time, interval }) => {
+      const performance = generateMockPerformanceData('24h', 'mlytics');
+      return success({
+        domain,
+        start_time,
+        end_time,
+        interval: interval || 3600,
+        is_mock: true,
+        regions: performance.slice(0, 9).map(({ region, latency, availability, requestCount }) => ({
+          region,
+          latency,
+          availability,
+          requests: requestCount
+        }))
+      });
+    },
+
+    getHistoricalUsage: async ({ org_id, usage_type, start_time, end_time, convert_milli_timestamp }) => {
+      return generateMockHistoricalReport(org_id, usage_type, start_time, end_time, convert_milli_timestamp);
+    },
+
+    getCredit: async () => {
+      return success({
+        used: 1250,
+        limit: 10000,
+        currency: 'USD',
+        is_mock: true
+      });
+    },
+
+    // Any email and password log in, with an unsigned token valid for a day
+    login: async ({ email }) => {
+      console.error(`[MOCK] Logging in ${email}`);
+      const issuedAt = Math.floor(Date.now() / 1000);
+      const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+      return success({
+        token: [encode({ alg: 'none', typ: 'JWT' }), encode({ sub: email, iat: issuedAt, exp: issuedAt + MOCK_TOKEN_LIFETIME }), 'mock'].join('.')
+      });
+    }
+  };
+};
@@ -0,0 +1,147 @@
+// Named profiles, one per Mlytics organization the server works with
+import { promises as fs } from 'fs';
+import path from 'path';
+import { dataDir, loadDataOrDefault, saveData, credFile, secureStore } from './mcp-common.js';
+import { getAuthStatus, SESSION_FILE_NAME } from './mcp-auth.js';
+import { DEFAULT_LOGIN_STRATEGY } from './mcp-login.js';
+
+// Profile settings and the active profile; secrets live in each profile's directory
+export const PROFILES_FILE = path.join(dataDir, 'profiles.json');
+
+// The profile used when none was created or selected, stored directly in the data directory
+export const DEFAULT_PROFILE = 'default';
+
+export const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Settings a profile can hold besides its secrets
+export const PROFILE_SETTINGS = ['orgId', 'openApiBaseUrl', 'portalApiBaseUrl', 'loginStrategy', 'loginSelectors'];
+
+/**
+ * Error raised for unknown or invalid profiles
+ */
+export class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
+
+/**
+ * Directory holding a profile's auth.json, credentials.json and api_key.json
+ * @param {string} name Profile name
+ * @returns {string} The data directory for the default profile, profiles/<name> otherwise
+ */
+export const getProfileDir = (name) => (name === DEFAULT_PROFILE ? dataDir : path.join(dataDir, 'profiles', name));
+
+/**
+ * Load the stored profiles
+ * @returns {Promise<Object>} { active, profiles } where profiles maps names to settings
+ */
+export const loadProfiles = async () => {
+  const stored = await loadDataOrDefault(PROFILES_FILE, {});
+  const profiles = { [DEFAULT_PROFILE]: {}, ...(stored.profiles || {}) };
+  const active = stored.active && profiles[stored.active] ? stored.active : DEFAULT_PROFILE;
+  return { active, profiles };
+};
+
+/**
+ * Resolve a profile by name, or the active profile when no name is given
+ * @param {string} name Profile name
+ * @returns {Promise<Object>} { name, dir, orgId, baseUrls, loginStrategy, loginSelectors } ready for the API client and credential provider
+ */
+export const resolveProfile = async (name) => {
+  const { active, profiles } = await loadProfiles();
+  const profileName = name || active;
+  const settings = profiles[profileName];
+
+  if (!settings) {
+    throw new ProfileError(`Unknown profile '${profileName}', available profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+
+  return {
+    name: profileName,
+    dir: getProfileDir(profileName),
+    orgId: settings.orgId || null,
+    baseUrls: {
+      openapi: settings.openApiBaseUrl,
+      portal: settings.portalApiBaseUrl
+    },
+    loginStrategy: settings.loginStrategy || process.env.MLYTICS_LOGIN_STRATEGY || DEFAULT_LOGIN_STRATEGY,
+    loginSelectors: settings.loginSelectors || {}
+  };
+};
+
+/**
+ * Create a profile or update its settings
+ * @param {string} name Profile name
+ * @param {Object} settings Settings from PROFILE_SETTINGS, undefined values are left unchanged
+ * @param {string} apiKey API key stored encrypted in the profile directory
+ * @returns {Promise<Object>} The profile's settings
+ */
+export const saveProfile = async (name, settings = {}, apiKey) => {
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    throw new ProfileError(`Invalid profile name '${name}', use letters, digits, '-' and '_'`);
+  }
+
+  const stored = await loadDataOrDefault(PROFILES_FILE, {});
+  const profiles = stored.profiles || {};
+  const updated = { ...profiles[name] };
+  for (const key of PROFILE_SETTINGS) {
+    if (settings[key] !== undefined) {
+      updated[key] = settings[key];
+    }
+  }
+
+  if (apiKey) {
+    await secureStore.writeJson(path.join(getProfileDir(name), 'api_key.json'), { apiKey });
+  }
+  await saveData(PROFILES_FILE, { ...stored, profiles: { ...profiles, [name]: updated } });
+  return updated;
+};
+
+/**
+ * Make a profile the one used by tools called without a profile argument
+ * @param {string} name Existing profile name
+ */
+export const setActiveProfile = async (name) => {
+  await resolveProfile(name);
+  const stored = await loadDataOrDefault(PROFILES_FILE, {});
+  await saveData(PROFILES_FILE, { ...stored, active: name });
+};
+
+const fileExists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+/**
+ * Summary of a profile for list-profiles and switch-profile, without any secret
+ * @param {string} name Profile name
+ * @param {Object} settings Stored settings
+ * @param {string} active Name of the active profile
+ * @returns {Promise<Object>} Name, settings, whether an API key and a TOTP secret are available and the login state
+ */
+export const describeProfile = async (name, settings, active) => {
+  const dir = getProfileDir(name);
+  const auth = await getAuthStatus(path.join(dir, 'auth.json'));
+  let hasApiKey = await fileExists(path.join(dir, 'api_key.json'));
+  const credentials = await secureStore.readJson(path.join(dir, 'credentials.json')).catch(() => null);
+  let hasTotpSecret = Boolean(credentials?.totpSecret);
+  if (name === DEFAULT_PROFILE) {
+    hasApiKey = hasApiKey || Boolean(process.env.MLYTICS_API_KEY) || await fileExists(credFile);
+    hasTotpSecret = hasTotpSecret || Boolean(process.env.MLYTICS_TOTP_SECRET);
+  }
+
+  return {
+    name,
+    active: name === active,
+    orgId: settings.orgId || auth.orgId || null,
+    openApiBaseUrl: settings.openApiBaseUrl || null,
+    portalApiBaseUrl: settings.portalApiBaseUrl || null,
+    loginStrategy: settings.loginStrategy || process.env.MLYTICS_LOGIN_STRATEGY || DEFAULT_LOGIN_STRATEGY,
+    loginSelectors: settings.loginSelectors || null,
+    hasApiKey,
+    hasTotpSecret,
+    hasBrowserSession: await fileExists(path.join(dir, SESSION_FILE_NAME)),
+    loggedIn: auth.loggedIn,
+    email: auth.email || null,
+    tokenExpiresAt: auth.expiresAt || null
+  };
+};
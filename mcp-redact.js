@@ -0,0 +1,110 @@
+// Redaction of tokens, API keys and passwords from tool responses and logs
+
+// Replacement for masked values
+export const REDACTED = '[REDACTED]';
+
+// Responses carrying this marker are returned without redaction, for tools a user asked to reveal a secret
+export const REVEAL_SECRETS = Symbol('revealSecrets');
+
+// JSON fields whose string values are always masked, compared case-insensitively
+const SECRET_FIELDS = ['password', 'apikey', 'api_key', 'jwt', 'token', 'access_token', 'accesstoken', 'refresh_token', 'secret', 'totpsecret', 'authorization'];
+
+// Three base64url segments, the first one being an encoded JSON header
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+
+const BEARER_PATTERN = /\b(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi;
+
+const SECRET_FIELD_PATTERN = new RegExp(`("(?:${SECRET_FIELDS.join('|')})"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"`, 'gi');
+
+// Form-encoded and query string fields, e.g. password=secret&remember=1, up to the next separator or quote
+const FORM_FIELD_PATTERN = new RegExp(`((?:^|[?&;,"'\\s])(?:${SECRET_FIELDS.join('|')})=)[^&;,\\s"'\\\\]+`, 'gi');
+
+// Values shorter than this are too likely to appear in unrelated text to be masked on sight
+const MIN_SECRET_LENGTH = 6;
+
+// Secret values seen by the server: API keys, passwords and tokens
+const knownSecrets = new Set();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A registered secret only matches as a whole token: 123456 is masked in "code 123456" but not in "1234567"
+// A letter after a backslash is a JSON escape such as \n, not part of the token
+const getSecretPattern = (secret) => new RegExp(
+  `${/^\w/.test(secret) ? '(?<!(?<!\\\\)\\w)' : ''}${escapeRegExp(secret)}${/\w$/.test(secret) ? '(?!\\w)' : ''}`,
+  'g'
+);
+
+/**
+ * Remember a secret so it is masked wherever it shows up, e.g. an API key echoed in an error message
+ * @param {string} value Secret value
+ */
+export const registerSecret = (value) => {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    knownSecrets.add(value);
+  }
+};
+
+/**
+ * Register the values of tool arguments that hold secrets, such as password or apiKey
+ * @param {Object} args Tool arguments
+ */
+export const registerSecretArguments = (args) => {
+  for (const [key, value] of Object.entries(args || {})) {
+    if (SECRET_FIELDS.includes(key.toLowerCase())) {
+      registerSecret(value);
+    }
+  }
+};
+
+/**
+ * Mask JWTs, bearer tokens, secret JSON and form fields and registered secrets in a text
+ * @param {string} text Text to redact
+ * @returns {string} Redacted text
+ */
+export const redactText = (text) => {
+  if (typeof text !== 'string' || text.length === 0) {
+    return text;
+  }
+
+  let redacted = text
+    .replace(SECRET_FIELD_PATTERN, `$1"${REDACTED}"`)
+    .replace(FORM_FIELD_PATTERN, `$1${REDACTED}`)
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(BEARER_PATTERN, `$1${REDACTED}`);
+
+  // Longest first, so a secret containing another one is masked as a whole
+  for (const secret of [...knownSecrets].sort((a, b) => b.length - a.length)) {
+    if (redacted.includes(secret)) {
+      redacted = redacted.replace(getSecretPattern(secret), REDACTED);
+    }
+  }
+  return redacted;
+};
+
+/**
+ * Redact the text content of a tool response
+ * @param {Object} response Response from createTextResponse
+ * @returns {Object} Redacted response, or the response as is when it carries REVEAL_SECRETS
+ */
+export const redactResponse = (response) => {
+  if (!response || response[REVEAL_SECRETS] || !Array.isArray(response.content)) {
+    return response;
+  }
+
+  return {
+    ...response,
+    content: response.content.map(item => (item.type === 'text' ? { ...item, text: redactText(item.text) } : item))
+  };
+};
+
+/**
+ * Redact everything written to stderr, where the server logs
+ */
+export const installStderrRedaction = () => {
+  const write = process.stderr.write.bind(process.stderr);
+
+  process.stderr.write = (chunk, ...args) => {
+    const text = Buffer.isBuffer(chunk) ? chunk.toString('utf-8') : chunk;
+    return write(typeof text === 'string' ? redactText(text) : chunk, ...args);
+  };
+};
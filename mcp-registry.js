@@ -0,0 +1,122 @@
+// Tool registry for the Mlytics MCP server
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { createTextResponse } from './mcp-common.js';
+import { redactResponse, registerSecretArguments } from './mcp-redact.js';
+
+/**
+ * Declare an MCP tool
+ * @param {Object} tool Tool definition
+ * @param {string} tool.name Tool name exposed through tools/list
+ * @param {string} tool.description Human readable description
+ * @param {z.ZodObject} tool.schema Zod schema validating the tool arguments
+ * @param {Function} tool.handler Async handler receiving (parsedArgs, context)
+ * @returns {Object} The frozen tool definition
+ */
+export const defineTool = ({ name, description, schema, handler }) => {
+  if (!name || typeof handler !== 'function') {
+    throw new Error('A tool needs at least a name and a handler');
+  }
+
+  return Object.freeze({
+    name,
+    description: description || '',
+    schema: schema || z.object({}),
+    handler
+  });
+};
+
+// Arguments accepted by every tool on top of its own schema
+const CommonArgumentsSchema = z.object({
+  profile: z.string().optional()
+    .describe('Named profile (organization) to run this call with instead of the active profile'),
+});
+
+// Convert a Zod schema into the JSON Schema shape expected by tools/list
+const toJsonSchema = (schema) => {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, { $refStrategy: 'none' });
+  return jsonSchema;
+};
+
+const commonProperties = toJsonSchema(CommonArgumentsSchema).properties;
+
+const toInputSchema = (schema) => {
+  const jsonSchema = toJsonSchema(schema);
+  return { ...jsonSchema, properties: { ...jsonSchema.properties, ...commonProperties } };
+};
+
+/**
+ * Create a registry holding a set of tools
+ * @param {Array<Object>} tools Tools created with defineTool
+ * @returns {Object} Registry with register, listTools and callTool
+ */
+export const createToolRegistry = (tools = []) => {
+  const registry = new Map();
+
+  const register = (tool) => {
+    if (registry.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is already registered`);
+    }
+    registry.set(tool.name, { ...tool, inputSchema: toInputSchema(tool.schema) });
+  };
+
+  tools.forEach(register);
+
+  // Validate the arguments and run the matching handler, before redaction
+  const runTool = async (name, args, context) => {
+    const tool = registry.get(name);
+
+    if (!tool) {
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: `Unknown tool: ${name}`
+      }));
+    }
+
+    try {
+      const { profile, ...toolArgs } = args || {};
+      CommonArgumentsSchema.parse({ profile });
+      const parsedArgs = tool.schema.parse(toolArgs);
+      const toolContext = typeof context === 'function' ? await context(profile) : context;
+      return await tool.handler(parsedArgs, toolContext);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: `Invalid arguments: ${error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ')}`,
+          errors: error.errors.map(e => ({ field: e.path.join('.'), message: e.message }))
+        }));
+      }
+
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: `Error executing tool ${name}: ${error.message}`
+      }));
+    }
+  };
+
+  return {
+    register,
+
+    has: (name) => registry.has(name),
+
+    // Result for the tools/list request
+    listTools: () => Array.from(registry.values()).map(({ name, description, inputSchema }) => ({
+      name,
+      description,
+      inputSchema
+    })),
+
+    /**
+     * Validate the arguments and run the matching handler
+     * Responses are redacted so tokens, API keys and passwords never reach the client
+     * @param {string} name Tool name
+     * @param {Object} args Tool arguments, including the optional profile
+     * @param {Object|Function} context Handler context, or a function resolving it for a profile name
+     */
+    callTool: async (name, args, context = {}) => {
+      registerSecretArguments(args);
+      return redactResponse(await runTool(name, args, context));
+    }
+  };
+};
@@ -0,0 +1,231 @@
+// Encrypted storage for the JWT, login credentials and API key
+import * as crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Files are readable by the owner only
+export const SECURE_FILE_MODE = 0o600;
+
+// Key that earlier versions generated next to the files when neither MLYTICS_MASTER_KEY nor MLYTICS_PASSPHRASE was
+// set; files encrypted with it are still read, never written
+export const KEY_FILE_NAME = 'master.key';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const FORMAT_VERSION = 1;
+
+// How each key source is named in errors
+const KEY_SOURCE_NAMES = {
+  'master-key': 'MLYTICS_MASTER_KEY',
+  passphrase: 'MLYTICS_PASSPHRASE',
+  'key-file': `the key in ${KEY_FILE_NAME}`,
+  ephemeral: 'the temporary key of a mock mode run'
+};
+
+// A key kept next to the ciphertext protects nothing, so without one of these nothing is stored
+export const MISSING_KEY_MESSAGE = 'No encryption key: set MLYTICS_MASTER_KEY (e.g. openssl rand -hex 32) or MLYTICS_PASSPHRASE to store tokens, login credentials and API keys';
+
+/**
+ * Error raised when a file can't be encrypted or decrypted with the configured key
+ */
+export class SecureStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SecureStoreError';
+  }
+}
+
+// Parse MLYTICS_MASTER_KEY: 32 bytes as 64 hex characters or base64
+const parseMasterKey = (value) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new SecureStoreError(`MLYTICS_MASTER_KEY must be ${KEY_LENGTH} bytes, as 64 hex characters or base64 (e.g. openssl rand -hex 32)`);
+  }
+  return key;
+};
+
+// Read the key file of earlier versions
+const loadKeyFile = async (dir) => {
+  const keyFile = path.join(dir, KEY_FILE_NAME);
+  try {
+    return Buffer.from((await fs.readFile(keyFile, 'utf-8')).trim(), 'base64');
+  } catch (error) {
+    throw new SecureStoreError(`Cannot read the encryption key ${keyFile}: ${error.message}`);
+  }
+};
+
+// Random key of the process for stores that allow one, never written anywhere: what it encrypts is unreadable after
+// a restart
+let ephemeralKey = null;
+
+const getEphemeralKey = () => {
+  ephemeralKey = ephemeralKey || crypto.randomBytes(KEY_LENGTH);
+  return ephemeralKey;
+};
+
+// Derived keys by passphrase and salt, scrypt is deliberately slow
+const derivedKeys = new Map();
+
+const deriveKey = (passphrase, salt) => {
+  const cacheKey = `${passphrase}\0${salt.toString('base64')}`;
+  if (!derivedKeys.has(cacheKey)) {
+    derivedKeys.set(cacheKey, crypto.scryptSync(passphrase, salt, KEY_LENGTH));
+  }
+  return derivedKeys.get(cacheKey);
+};
+
+// Key source in use: MLYTICS_MASTER_KEY, then MLYTICS_PASSPHRASE; null when neither is set
+export const getKeySource = () => {
+  if (process.env.MLYTICS_MASTER_KEY) {
+    return 'master-key';
+  }
+  if (process.env.MLYTICS_PASSPHRASE) {
+    return 'passphrase';
+  }
+  return null;
+};
+
+// Key for an envelope, or for a new one when salt is given
+const resolveKey = async (keySource, keyDir, salt) => {
+  switch (keySource) {
+    case 'master-key':
+      if (!process.env.MLYTICS_MASTER_KEY) {
+        throw new SecureStoreError('The file was encrypted with MLYTICS_MASTER_KEY, which is not set');
+      }
+      return parseMasterKey(process.env.MLYTICS_MASTER_KEY);
+    case 'passphrase':
+      if (!process.env.MLYTICS_PASSPHRASE) {
+        throw new SecureStoreError('The file was encrypted with MLYTICS_PASSPHRASE, which is not set');
+      }
+      return deriveKey(process.env.MLYTICS_PASSPHRASE, salt);
+    case 'key-file':
+      return loadKeyFile(keyDir);
+    case 'ephemeral':
+      if (!ephemeralKey) {
+        throw new SecureStoreError('The file was encrypted with the temporary key of an earlier mock mode run, which is gone');
+      }
+      return ephemeralKey;
+    default:
+      throw new SecureStoreError(`Unknown key source '${keySource}'`);
+  }
+};
+
+// Encrypted files are JSON envelopes with this marker
+const isEnvelope = (data) => data !== null && typeof data === 'object' && data.encrypted === ALGORITHM;
+
+/**
+ * Create a store encrypting JSON files with the configured key
+ * @param {Object} options Store options
+ * @param {string} options.keyDir Directory of the key file generated by earlier versions, to read the files encrypted with it
+ * @param {Function} options.allowEphemeralKey Whether to fall back to a key kept in memory for the process when
+ * neither MLYTICS_MASTER_KEY nor MLYTICS_PASSPHRASE is set (default: never)
+ * @returns {Object} Store with readJson, writeJson and encryptPlaintextFile
+ */
+export const createSecureStore = ({ keyDir, allowEphemeralKey = () => false }) => {
+  // Files kept across runs are never replaced by ones only this process can read
+  const checkEphemeralWrite = async (filePath) => {
+    const existing = await fs.readFile(filePath, 'utf-8').then(JSON.parse).catch(() => null);
+    if (existing !== null && !(isEnvelope(existing) && existing.keySource === 'ephemeral')) {
+      const stored = isEnvelope(existing) ? `encrypted with ${KEY_SOURCE_NAMES[existing.keySource]}` : 'stored in plaintext by an earlier version';
+      throw new SecureStoreError(`${filePath} is ${stored}, set MLYTICS_MASTER_KEY or MLYTICS_PASSPHRASE to update it`);
+    }
+  };
+
+  /**
+   * Encrypt data and write it to a file readable by the owner only
+   * @param {string} filePath File to write
+   * @param {*} data JSON-serializable data
+   * @throws {SecureStoreError} When neither MLYTICS_MASTER_KEY nor MLYTICS_PASSPHRASE is set and the store allows no
+   * temporary key, nothing is written
+   */
+  const writeJson = async (filePath, data) => {
+    const keySource = getKeySource() || (allowEphemeralKey() ? 'ephemeral' : null);
+    if (!keySource) {
+      throw new SecureStoreError(MISSING_KEY_MESSAGE);
+    }
+    if (keySource === 'ephemeral') {
+      await checkEphemeralWrite(filePath);
+    }
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = keySource === 'ephemeral' ? getEphemeralKey() : await resolveKey(keySource, keyDir, salt);
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf-8'), cipher.final()]);
+
+    const envelope = {
+      encrypted: ALGORITHM,
+      version: FORMAT_VERSION,
+      keySource,
+      ...(keySource === 'passphrase' ? { salt: salt.toString('base64') } : {}),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: ciphertext.toString('base64')
+    };
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(envelope, null, 2), { mode: SECURE_FILE_MODE });
+    // writeFile only applies the mode when it creates the file
+    await fs.chmod(filePath, SECURE_FILE_MODE);
+  };
+
+  /**
+   * Read a file written by writeJson
+   * Plaintext JSON written by earlier versions is returned as is
+   * @param {string} filePath File to read
+   * @returns {Promise<*>} Decrypted data, or null when the file doesn't exist
+   */
+  const readJson = async (filePath) => {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const data = JSON.parse(content);
+    if (!isEnvelope(data)) {
+      return data;
+    }
+
+    const salt = data.salt ? Buffer.from(data.salt, 'base64') : null;
+    const key = await resolveKey(data.keySource, keyDir, salt);
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(data.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(data.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(data.data, 'base64')), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf-8'));
+    } catch (error) {
+      throw new SecureStoreError(`Cannot decrypt ${filePath}: ${KEY_SOURCE_NAMES[data.keySource]} doesn't match the key it was encrypted with`);
+    }
+  };
+
+  /**
+   * Encrypt a file that is still stored as plaintext JSON, or with the key file of earlier versions, with the
+   * configured key
+   * @param {string} filePath File to migrate
+   * @returns {Promise<boolean>} Whether the file was encrypted
+   * @throws {SecureStoreError} When neither MLYTICS_MASTER_KEY nor MLYTICS_PASSPHRASE is set
+   */
+  const encryptPlaintextFile = async (filePath) => {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      return false; // Missing or not JSON
+    }
+    if (isEnvelope(data) && data.keySource !== 'key-file') {
+      return false;
+    }
+
+    await writeJson(filePath, isEnvelope(data) ? await readJson(filePath) : data);
+    return true;
+  };
+
+  return { readJson, writeJson, encryptPlaintextFile };
+};
@@ -0,0 +1,307 @@
+// Time ranges of the time-based tools: UNIX seconds, ISO-8601 dates or relative expressions, in an explicit timezone
+import { z } from 'zod';
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// A UNIX time above this is in milliseconds: in seconds it would be after the year 33000
+const MILLISECONDS_THRESHOLD = 1e12;
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const UNITS = {
+  minute: ['m', 'min', 'mins', 'minute', 'minutes'],
+  hour: ['h', 'hr', 'hrs', 'hour', 'hours'],
+  day: ['d', 'day', 'days'],
+  week: ['w', 'wk', 'wks', 'week', 'weeks'],
+  month: ['mo', 'mon', 'month', 'months'],
+  year: ['y', 'yr', 'yrs', 'year', 'years']
+};
+
+const UNIT_ALIASES = Object.fromEntries(Object.entries(UNITS).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit])));
+
+const EXPRESSION_EXAMPLES = '"last 7d", "last 24h", "today", "yesterday", "this week", "last month" or "2025-04-01/2025-04-07"';
+
+export const TimeRangeSchemaFields = {
+  time_range: z.string().optional()
+    .describe(`Time range as an expression instead of start_time and end_time: ${EXPRESSION_EXAMPLES}. Calendar days, weeks (from Monday) and months follow timezone`),
+  timezone: z.string().optional()
+    .describe(`IANA timezone of dates without an offset and of calendar expressions, such as Asia/Taipei (default: ${DEFAULT_TIMEZONE})`)
+};
+
+/**
+ * Schema of a start_time or end_time that also accepts dates
+ * @param {string} bound start or end
+ * @returns {z.ZodType} Optional number or string
+ */
+export const timeValueSchema = (bound) => z.union([z.number(), z.string()]).optional()
+  .describe(`${bound === 'start' ? 'Start' : 'End'} of the requested time period: UNIX timestamp in seconds (milliseconds are detected and converted), ISO-8601 date or date-time, or "now"`);
+
+export class TimeRangeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeRangeError';
+  }
+}
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    try {
+      formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    } catch {
+      throw new TimeRangeError(`Unknown timezone '${timezone}', use an IANA name such as UTC, Asia/Taipei or America/New_York`);
+    }
+  }
+  return formatters.get(timezone);
+};
+
+// Wall-clock date and time of an instant in the timezone
+const getZonedParts = (ms, timezone) => {
+  const parts = Object.fromEntries(getFormatter(timezone).formatToParts(new Date(ms))
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+};
+
+// Offset of the timezone from UTC at an instant, in milliseconds
+const getOffset = (ms, timezone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(ms, timezone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(ms / SECOND) * SECOND;
+};
+
+// Instant of a wall-clock time in the timezone; Date.UTC carries overflowing fields such as day 0 or month 13
+const zonedTimeToMs = (timezone, year, month, day = 1, hour = 0, minute = 0, second = 0) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset at the first guess can differ from the offset at the result around daylight saving changes
+  const guess = wallClock - getOffset(wallClock, timezone);
+  return wallClock - getOffset(guess, timezone);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Format an instant as ISO-8601 with the timezone's offset, e.g. 2025-04-01T00:00:00+08:00
+ * @param {number} ms Unix time in milliseconds
+ * @param {string} timezone IANA timezone
+ * @returns {string} ISO-8601 date-time
+ */
+export const formatInTimezone = (ms, timezone = DEFAULT_TIMEZONE) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(ms, timezone);
+  const offsetMinutes = Math.round(getOffset(ms, timezone) / MINUTE);
+  const offset = offsetMinutes === 0
+    ? 'Z'
+    : `${offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${offset}`;
+};
+
+/**
+ * Calendar day holding an instant in the timezone
+ * @param {number} ms Unix time in milliseconds
+ * @param {string} timezone IANA timezone
+ * @returns {Object} { date, start, end }: date is the calendar date as its UTC midnight in milliseconds, start and end
+ * the instants the day starts and ends at in the timezone, 23 or 25 hours apart around daylight saving changes
+ */
+export const getCalendarDay = (ms, timezone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(ms, timezone);
+  return {
+    date: Date.UTC(year, month - 1, day),
+    start: zonedTimeToMs(timezone, year, month, day),
+    end: zonedTimeToMs(timezone, year, month, day + 1)
+  };
+};
+
+// Start of the calendar day, week (from Monday), month or year holding an instant, shifted by a number of periods
+const startOfPeriod = (ms, unit, timezone, shift = 0) => {
+  const { year, month, day } = getZonedParts(ms, timezone);
+  switch (unit) {
+    case 'day':
+      return zonedTimeToMs(timezone, year, month, day + shift);
+    case 'week': {
+      const daysSinceMonday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+      return zonedTimeToMs(timezone, year, month, day - daysSinceMonday + 7 * shift);
+    }
+    case 'month':
+      return zonedTimeToMs(timezone, year, month + shift);
+    default:
+      return zonedTimeToMs(timezone, year + shift, 1);
+  }
+};
+
+// The same wall-clock time a number of calendar months earlier, with the day clamped to the end of shorter months
+const subtractMonths = (ms, months, timezone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(ms, timezone);
+  const lastDay = new Date(Date.UTC(year, month - 1 - months + 1, 0)).getUTCDate();
+  return zonedTimeToMs(timezone, year, month - months, Math.min(day, lastDay), hour, minute, second);
+};
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const ISO_ZONED_DATE_TIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+const isValidDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// A UNIX timestamp in seconds or milliseconds, in milliseconds
+const epochToMs = (value, name, notes) => {
+  if (!Number.isFinite(value) || value < 0) {
+    throw new TimeRangeError(`${name} must be a positive UNIX timestamp, got ${value}`);
+  }
+  if (value >= MILLISECONDS_THRESHOLD) {
+    notes.push(`${name} ${value} is in milliseconds, converted to seconds`);
+    return Math.floor(value);
+  }
+  return Math.floor(value) * SECOND;
+};
+
+// A point in time; a date alone is the start of the day, or its last second as the end of a range
+const parsePoint = (value, { name, bound, timezone, now, notes }) => {
+  if (typeof value === 'number') {
+    return epochToMs(value, name, notes);
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return epochToMs(Number(text), name, notes);
+  }
+  if (text.toLowerCase() === 'now') {
+    return now;
+  }
+
+  const date = text.match(ISO_DATE);
+  if (date) {
+    const [year, month, day] = date.slice(1).map(Number);
+    if (!isValidDate(year, month, day)) {
+      throw new TimeRangeError(`${name} '${text}' is not a valid date`);
+    }
+    return bound === 'end'
+      ? zonedTimeToMs(timezone, year, month, day + 1) - SECOND
+      : zonedTimeToMs(timezone, year, month, day);
+  }
+
+  const dateTime = text.match(ISO_LOCAL_DATE_TIME);
+  if (dateTime) {
+    const [year, month, day, hour, minute, second = 0] = dateTime.slice(1).map(part => (part === undefined ? undefined : Number(part)));
+    if (!isValidDate(year, month, day) || hour > 23 || minute > 59 || second > 59) {
+      throw new TimeRangeError(`${name} '${text}' is not a valid date-time`);
+    }
+    return zonedTimeToMs(timezone, year, month, day, hour, minute, second);
+  }
+
+  if (ISO_ZONED_DATE_TIME.test(text)) {
+    const ms = Date.parse(text.replace(' ', 'T'));
+    if (Number.isNaN(ms)) {
+      throw new TimeRangeError(`${name} '${text}' is not a valid date-time`);
+    }
+    return ms;
+  }
+
+  throw new TimeRangeError(`${name} '${text}' is not a UNIX timestamp, an ISO-8601 date such as 2025-04-01, a date-time such as 2025-04-01T08:00:00+08:00, or "now"`);
+};
+
+// A time_range expression, as start and end in milliseconds with the end included
+const parseExpression = (expression, { timezone, now, notes }) => {
+  const text = expression.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  // Two points: ISO-8601 interval or "<start> to <end>"
+  const bounds = expression.includes('/') ? expression.split('/') : expression.split(/\s+to\s+/i);
+  if (bounds.length === 2) {
+    return [
+      parsePoint(bounds[0], { name: 'time_range start', bound: 'start', timezone, now, notes }),
+      parsePoint(bounds[1], { name: 'time_range end', bound: 'end', timezone, now, notes })
+    ];
+  }
+
+  // Rolling windows ending now: "last 7d", "past 24 hours"
+  const rolling = text.match(/^(?:last|past) (\d+) ?([a-z]+)$/);
+  if (rolling) {
+    const count = Number(rolling[1]);
+    const unit = UNIT_ALIASES[rolling[2]];
+    if (!unit || count === 0) {
+      throw new TimeRangeError(`Unknown time_range '${expression}', use for example ${EXPRESSION_EXAMPLES}`);
+    }
+    switch (unit) {
+      case 'month':
+        return [subtractMonths(now, count, timezone), now];
+      case 'year':
+        return [subtractMonths(now, 12 * count, timezone), now];
+      default:
+        return [now - count * { minute: MINUTE, hour: HOUR, day: DAY, week: 7 * DAY }[unit], now];
+    }
+  }
+
+  // Calendar periods: the current one up to now, or the whole previous one
+  const calendar = text.match(/^(today|yesterday|this (?:week|month|year)|last (?:week|month|year))$/);
+  if (calendar) {
+    const [which, unit = 'day'] = calendar[1].split(' ');
+    if (which === 'today' || which === 'this') {
+      return [startOfPeriod(now, unit, timezone), now];
+    }
+    const start = startOfPeriod(now, unit, timezone, -1);
+    return [start, startOfPeriod(now, unit, timezone) - SECOND];
+  }
+
+  throw new TimeRangeError(`Unknown time_range '${expression}', use for example ${EXPRESSION_EXAMPLES}`);
+};
+
+/**
+ * Resolve the time range of a time-based tool, given either as start_time and end_time or as a time_range expression
+ * @param {Object} params Tool arguments
+ * @param {number|string} params.start_time UNIX timestamp (seconds or milliseconds), ISO-8601 date or date-time, or "now"
+ * @param {number|string} params.end_time Same as start_time, "now" when only start_time is given
+ * @param {string} params.time_range Expression such as "last 7d", "yesterday", "this month" or "2025-04-01/2025-04-07"
+ * @param {string} params.timezone IANA timezone of dates without an offset and of calendar expressions (default: UTC)
+ * @param {Object} options Resolution options
+ * @param {number} options.now Unix time in milliseconds of "now" (default: the current time)
+ * @returns {Object} start_time and end_time in UNIX seconds, start and end in ISO-8601 in the timezone, the timezone,
+ * the input they were resolved from, and notes on conversions made
+ */
+export const resolveTimeRange = ({ start_time, end_time, time_range, timezone = DEFAULT_TIMEZONE } = {}, { now = Date.now() } = {}) => {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  getFormatter(zone);
+  const notes = [];
+  const hasPoints = start_time !== undefined || end_time !== undefined;
+
+  let startMs;
+  let endMs;
+  if (time_range !== undefined) {
+    if (hasPoints) {
+      throw new TimeRangeError('Pass either time_range or start_time and end_time, not both');
+    }
+    [startMs, endMs] = parseExpression(time_range, { timezone: zone, now, notes });
+  } else {
+    if (start_time === undefined) {
+      throw new TimeRangeError(`A time range is required: pass time_range (for example ${EXPRESSION_EXAMPLES}), or start_time and end_time`);
+    }
+    startMs = parsePoint(start_time, { name: 'start_time', bound: 'start', timezone: zone, now, notes });
+    endMs = end_time === undefined ? now : parsePoint(end_time, { name: 'end_time', bound: 'end', timezone: zone, now, notes });
+  }
+
+  if (startMs > endMs) {
+    throw new TimeRangeError(`The time range starts (${formatInTimezone(startMs, zone)}) after it ends (${formatInTimezone(endMs, zone)})`);
+  }
+
+  return {
+    start_time: Math.floor(startMs / SECOND),
+    end_time: Math.floor(endMs / SECOND),
+    start: formatInTimezone(startMs, zone),
+    end: formatInTimezone(endMs, zone),
+    timezone: zone,
+    input: time_range !== undefined ? { time_range } : { start_time, ...(end_time !== undefined ? { end_time } : {}) },
+    ...(notes.length > 0 ? { notes } : {})
+  };
+};
@@ -0,0 +1,75 @@
+// Time-based one-time passwords (RFC 6238) for portal accounts with two-factor authentication
+import * as crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_DIGITS = 6;
+const DEFAULT_PERIOD = 30; // seconds
+const MIN_REMAINING = 3; // Seconds a code must still be valid for when it is submitted
+
+/**
+ * Decode a base32 secret as shown by authenticator setup pages, ignoring spaces, dashes and padding
+ * @param {string} secret Base32 secret
+ * @returns {Buffer} Secret bytes
+ */
+export const decodeBase32 = (secret) => {
+  const cleaned = (secret || '').toUpperCase().replace(/[\s=-]/g, '');
+  if (!cleaned || /[^A-Z2-7]/.test(cleaned)) {
+    throw new Error('TOTP secret must be a base32 string (letters A-Z and digits 2-7)');
+  }
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate the TOTP code for a secret
+ * @param {string} secret Base32 secret, or an otpauth:// URI holding one
+ * @param {Object} options Generation options
+ * @param {number} options.time Unix time in milliseconds (default: now)
+ * @param {number} options.digits Code length (default: 6)
+ * @param {number} options.period Time step in seconds (default: 30)
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, { time = Date.now(), digits = DEFAULT_DIGITS, period = DEFAULT_PERIOD } = {}) => {
+  const base32Secret = secret.startsWith('otpauth://') ? new URL(secret).searchParams.get('secret') : secret;
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / period)));
+
+  const hmac = crypto.createHmac('sha1', decodeBase32(base32Secret)).update(counter).digest();
+  // Dynamic truncation (RFC 4226, section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+};
+
+/**
+ * Seconds until the current code expires, to avoid submitting a code about to roll over
+ * @param {number} time Unix time in milliseconds (default: now)
+ * @param {number} period Time step in seconds (default: 30)
+ * @returns {number} Remaining seconds
+ */
+export const getTotpRemainingSeconds = (time = Date.now(), period = DEFAULT_PERIOD) => period - (Math.floor(time / 1000) % period);
+
+/**
+ * Generate a code that stays valid long enough to be submitted, waiting for the next time step when needed
+ * @param {string} secret Base32 secret, or an otpauth:// URI holding one
+ * @param {number} minRemaining Seconds the code must still be valid for (default: 3)
+ * @returns {Promise<string>} Zero-padded code
+ */
+export const generateFreshTotp = async (secret, minRemaining = MIN_REMAINING) => {
+  const remaining = getTotpRemainingSeconds();
+  if (remaining < minRemaining) {
+    await new Promise(resolve => setTimeout(resolve, remaining * 1000));
+  }
+  return generateTotp(secret);
+};
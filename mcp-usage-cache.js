@@ -0,0 +1,287 @@
+// Local time-series cache of historical usage: the points of each organization and usage type per UTC day (bucket),
+// so that days already fetched are served locally and only the missing ones are requested from the API
+import { promises as fs } from 'fs';
+import path from 'path';
+import { usageCacheFile, historicalReportsFile, loadDataOrDefault, saveData, readIntegerSetting } from './mcp-common.js';
+
+export const BUCKET_SECONDS = 24 * 60 * 60;
+export const DEFAULT_RETENTION_DAYS = 90;
+export const DEFAULT_MAX_BUCKETS = 50000;
+
+// The portal keeps aggregating a day's usage for a while after it ends; a day fetched before then is only used
+// when the API fails. Days end in the portal's timezone, so this counts from the end of the day each point stands for
+const SETTLE_SECONDS = 6 * 60 * 60;
+
+const CACHE_VERSION = 1;
+
+// Writes in progress per cache file, each store or prune waits for the previous one so none is lost
+const pendingWrites = new Map();
+
+const serializeWrite = (file, write) => {
+  const result = (pendingWrites.get(file) || Promise.resolve()).then(write);
+  const settled = result.catch(() => {});
+  pendingWrites.set(file, settled);
+  settled.then(() => {
+    if (pendingWrites.get(file) === settled) {
+      pendingWrites.delete(file);
+    }
+  });
+  return result;
+};
+
+/**
+ * Cache file of a profile, in its directory: profiles sharing an organization ID, on staging and production for
+ * example, don't share usage
+ * @param {Object} profile Resolved profile (mcp-profiles.js)
+ * @returns {string} usage_cache.json in the profile directory, the data directory for the default profile
+ */
+export const getUsageCacheFile = (profile) => path.join(profile.dir, path.basename(usageCacheFile));
+
+// Retention from MLYTICS_USAGE_CACHE_RETENTION_DAYS and size limit from MLYTICS_USAGE_CACHE_MAX_BUCKETS (0 disables the cache)
+export const getUsageCacheSettings = (env = process.env) => ({
+  retentionDays: readIntegerSetting('MLYTICS_USAGE_CACHE_RETENTION_DAYS', DEFAULT_RETENTION_DAYS, { env }),
+  maxBuckets: readIntegerSetting('MLYTICS_USAGE_CACHE_MAX_BUCKETS', DEFAULT_MAX_BUCKETS, { min: 0, env })
+});
+
+const seriesKey = (org_id, usage_type) => `${org_id}/${usage_type}`;
+
+const bucketStart = (seconds) => seconds - (((seconds % BUCKET_SECONDS) + BUCKET_SECONDS) % BUCKET_SECONDS);
+
+/**
+ * Points of a usage type in an API response, as [timestamp in seconds, value]
+ * @param {Object} response Historical usage response
+ * @param {string} usageType Usage type of the series
+ * @param {number} scale 1000 when the response timestamps are in milliseconds, 1 otherwise
+ * @returns {Array<Array<number>>} Points
+ */
+export const getResponsePoints = (response, usageType, scale = 1) => {
+  const diagram = response?.data?.diagrams?.[usageType];
+  return diagram ? diagram.labels.map((label, index) => [label / scale, diagram.datasets[index]]) : [];
+};
+
+/**
+ * Create the usage cache, one JSON file per profile keyed by organization
+ * @param {Object} options Cache options
+ * @param {string} options.file Cache file (default: usage_cache.json in the data directory, the default profile's)
+ * @param {number} options.retentionDays Days a fetched bucket is kept (default: 90)
+ * @param {number} options.maxBuckets Buckets kept over all series, the least recently fetched are dropped first; 0 disables the cache
+ * @param {Function} options.now Current Unix time in milliseconds (default: Date.now)
+ * @returns {Object} Cache with lookup, store and prune
+ */
+export const createUsageCache = ({
+  file = usageCacheFile,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  maxBuckets = DEFAULT_MAX_BUCKETS,
+  now = Date.now
+} = {}) => {
+  const enabled = maxBuckets > 0;
+
+  const load = async () => {
+    const cache = await loadDataOrDefault(file, null);
+    return cache?.version === CACHE_VERSION && cache.series ? cache : { version: CACHE_VERSION, series: {} };
+  };
+
+  // A profile directory may not exist yet when only settings were saved for it
+  const save = async (cache) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await saveData(file, cache);
+  };
+
+  const isExpired = (entry) => Date.parse(entry.fetched_at) < now() - retentionDays * BUCKET_SECONDS * 1000;
+
+  // Drop buckets past retention, then the least recently fetched ones over the size limit
+  const pruneSeries = (cache) => {
+    const kept = [];
+    let removed = 0;
+    for (const [key, buckets] of Object.entries(cache.series)) {
+      for (const [bucket, entry] of Object.entries(buckets)) {
+        if (isExpired(entry)) {
+          delete buckets[bucket];
+          removed++;
+        } else {
+          kept.push({ key, bucket, fetchedAt: Date.parse(entry.fetched_at) });
+        }
+      }
+    }
+
+    if (kept.length > maxBuckets) {
+      kept.sort((a, b) => a.fetchedAt - b.fetchedAt);
+      for (const { key, bucket } of kept.slice(0, kept.length - maxBuckets)) {
+        delete cache.series[key][bucket];
+        removed++;
+      }
+    }
+
+    for (const [key, buckets] of Object.entries(cache.series)) {
+      if (Object.keys(buckets).length === 0) {
+        delete cache.series[key];
+      }
+    }
+    return removed;
+  };
+
+  /**
+   * Cached points of a period and the parts of it that have to be fetched
+   * @param {Object} params Lookup parameters
+   * @param {string} params.org_id Organization ID
+   * @param {string} params.usage_type Usage type
+   * @param {number} params.start_time UNIX timestamp (seconds) of the start
+   * @param {number} params.end_time UNIX timestamp (seconds) of the end, included
+   * @param {boolean} params.includeUnsettled Also use days fetched before the portal finished aggregating them
+   * @returns {Promise<Object>} { points, missing, cachedBuckets, totalBuckets, cachedAt }: missing lists the
+   * uncached parts as { start_time, end_time }, cachedAt is when the oldest cached bucket used was fetched
+   */
+  const lookup = async ({ org_id, usage_type, start_time, end_time, includeUnsettled = false }) => {
+    const buckets = enabled ? (await load()).series[seriesKey(org_id, usage_type)] || {} : {};
+    const points = [];
+    const missing = [];
+    let cachedBuckets = 0;
+    let totalBuckets = 0;
+    let cachedAt = null;
+
+    for (let bucket = bucketStart(start_time); bucket <= end_time; bucket += BUCKET_SECONDS) {
+      totalBuckets++;
+      const entry = buckets[bucket];
+      if (entry && !isExpired(entry) && (entry.settled || includeUnsettled)) {
+        cachedBuckets++;
+        points.push(...entry.points.filter(([timestamp]) => timestamp <= end_time));
+        if (!cachedAt || entry.fetched_at < cachedAt) {
+          cachedAt = entry.fetched_at;
+        }
+        continue;
+      }
+
+      // Consecutive uncached buckets make one part to fetch
+      const from = Math.max(bucket, start_time);
+      const to = Math.min(bucket + BUCKET_SECONDS - 1, end_time);
+      const previous = missing[missing.length - 1];
+      if (previous && previous.end_time === from - 1) {
+        previous.end_time = to;
+      } else {
+        missing.push({ start_time: from, end_time: to });
+      }
+    }
+
+    return { points, missing, cachedBuckets, totalBuckets, cachedAt };
+  };
+
+  /**
+   * Store fetched periods; only the buckets a period covers entirely are kept, a partial day would pass for a whole one
+   * @param {Array<Object>} periods Fetched periods as { org_id, usage_type, start_time, end_time, points, fetchedAt },
+   * points as [timestamp in seconds, value], fetchedAt in Unix milliseconds (default: now)
+   * @returns {Promise<number>} Number of buckets stored
+   */
+  const store = async (periods) => {
+    if (!enabled || periods.length === 0) {
+      return 0;
+    }
+
+    return serializeWrite(file, async () => {
+      const cache = await load();
+      let stored = 0;
+      for (const { org_id, usage_type, start_time, end_time, points, fetchedAt = now() } of periods) {
+        const key = seriesKey(org_id, usage_type);
+        for (let bucket = bucketStart(start_time + BUCKET_SECONDS - 1); bucket + BUCKET_SECONDS - 1 <= end_time; bucket += BUCKET_SECONDS) {
+          // A newer fetch of the bucket is kept over an older one, which matters when importing the old report log
+          if (cache.series[key]?.[bucket] && Date.parse(cache.series[key][bucket].fetched_at) > fetchedAt) {
+            continue;
+          }
+          // A point stands for the day starting at its timestamp, e.g. 16:00 UTC for the portal's +08:00 days
+          const bucketPoints = points.filter(([timestamp]) => timestamp >= bucket && timestamp < bucket + BUCKET_SECONDS);
+          const lastDayStart = bucketPoints.reduce((latest, [timestamp]) => Math.max(latest, timestamp), bucket);
+          cache.series[key] = cache.series[key] || {};
+          cache.series[key][bucket] = {
+            fetched_at: new Date(fetchedAt).toISOString(),
+            settled: fetchedAt >= (lastDayStart + BUCKET_SECONDS + SETTLE_SECONDS) * 1000,
+            points: bucketPoints
+          };
+          stored++;
+        }
+      }
+
+      if (stored > 0) {
+        pruneSeries(cache);
+        await save(cache);
+      }
+      return stored;
+    });
+  };
+
+  // Apply retention and the size limit to the cache file, returning the number of buckets removed
+  const prune = async () => {
+    if (!enabled) {
+      return 0;
+    }
+    return serializeWrite(file, async () => {
+      const cache = await load();
+      const removed = pruneSeries(cache);
+      if (removed > 0) {
+        await save(cache);
+      }
+      return removed;
+    });
+  };
+
+  return { enabled, lookup, store, prune };
+};
+
+/**
+ * Import the live reports of the append-only historical_reports.json written by earlier versions into the cache.
+ * The log is removed once every live report is in the cache, and kept as historical_reports.json.bak otherwise; it
+ * is left alone while the cache is disabled
+ * @param {Object} options Migration options
+ * @param {Object} options.cache Usage cache (default: one with the settings from the environment)
+ * @param {string} options.reportsFile Report log (default: historical_reports.json in the data directory)
+ * @returns {Promise<number>} Number of buckets imported
+ */
+export const migrateHistoricalReports = async ({
+  cache = createUsageCache(getUsageCacheSettings()),
+  reportsFile = historicalReportsFile
+} = {}) => {
+  if (!cache.enabled) {
+    return 0;
+  }
+  const reports = await loadDataOrDefault(reportsFile, null);
+  if (!Array.isArray(reports)) {
+    return 0;
+  }
+
+  // Mock reports were never real usage
+  const periods = reports
+    .filter(report => !report.is_mock)
+    .map(report => ({
+      org_id: report.org_id,
+      usage_type: report.usage_type,
+      start_time: report.start_time,
+      end_time: report.end_time,
+      points: report.response?.data?.diagrams?.[report.usage_type]
+        ? getResponsePoints(report.response, report.usage_type, report.convert_milli_timestamp ? 1000 : 1)
+        : null,
+      fetchedAt: Date.parse(report.timestamp)
+    }));
+  const valid = periods.filter(period => period.points && period.fetchedAt);
+  const imported = await cache.store(valid);
+
+  // A report is in the cache when it has whole days and all of them are still there, past retention and size limits
+  let complete = valid.length === periods.length;
+  for (const { org_id, usage_type, start_time, end_time } of complete ? valid : []) {
+    const first = bucketStart(start_time + BUCKET_SECONDS - 1);
+    const last = bucketStart(end_time + 1) - 1;
+    const { missing } = first < last
+      ? await cache.lookup({ org_id, usage_type, start_time: first, end_time: last, includeUnsettled: true })
+      : { missing: [null] };
+    if (missing.length > 0) {
+      complete = false;
+      break;
+    }
+  }
+
+  if (complete) {
+    await fs.rm(reportsFile, { force: true });
+    console.error(`Imported ${imported} cached days from ${reports.length} reports of historical_reports.json into the usage cache`);
+  } else {
+    await fs.rename(reportsFile, `${reportsFile}.bak`);
+    console.error(`Imported ${imported} cached days from ${reports.length} reports of historical_reports.json into the usage cache; some reports could not be imported, the log is kept as ${reportsFile}.bak`);
+  }
+  return imported;
+};
@@ -0,0 +1,273 @@
+// Reconcile a desired DNS record set with the records of a Mlytics zone
+import * as crypto from 'crypto';
+import {
+  DNS_RECORD_TYPES,
+  DOMAIN_VALUE_TYPES,
+  DEFAULT_TTL,
+  getRRSetValues,
+  normalizeRecordName,
+  normalizeTxtValue,
+  serializeRecordValues,
+  toFqdn,
+  toRRSetDetail,
+  updateLocalDnsRecords
+} from './mcp-dns.js';
+import { validateRecordSet } from './mcp-dns-validation.js';
+
+// Compare values the way DNS does: domain names are case-insensitive and the trailing dot is optional, TXT
+// character strings compared in canonical form
+const normalizeValue = (type, value) => {
+  const text = String(value).trim();
+  if (DOMAIN_VALUE_TYPES.includes(type)) {
+    return normalizeRecordName(text);
+  }
+  if (type === 'MX' || type === 'SRV') {
+    // The target is the last field, after the priority (and weight and port for SRV)
+    const parts = text.split(/\s+/);
+    return [...parts.slice(0, -1), normalizeRecordName(parts[parts.length - 1])].join(' ');
+  }
+  if (type === 'TXT') {
+    // A long plain value and the character strings it is split into are the same data
+    return normalizeTxtValue(text);
+  }
+  return text;
+};
+
+const sortedValues = (type, values) => values.map(value => normalizeValue(type, value)).sort();
+
+// Records Mlytics manages itself and that are never created, changed or removed by a plan
+const isManagedByMlytics = (record, domain) => record.type === 'SOA' || (record.type === 'NS' && record.name === domain);
+
+/**
+ * Compute the changes needed to turn the current rrsets into the desired record set
+ * @param {Array<Object>} currentRRSets RRSets as returned by list-dns-records
+ * @param {Array<Object>} desiredRecords Desired records: { name, type, ttl, values, proxied }
+ * @param {Object} options Plan options
+ * @param {string} options.domain Zone domain, relative names are expanded against it
+ * @param {boolean} options.prune Delete records that are not in the desired set
+ * @returns {Object} { create, update, delete, unchanged, ignored, errors }
+ */
+export const computeZonePlan = (currentRRSets, desiredRecords, { domain, prune = true }) => {
+  const plan = { create: [], update: [], delete: [], unchanged: [], ignored: [], errors: [] };
+
+  const desired = new Map();
+  for (const record of desiredRecords) {
+    const name = toFqdn(record.name, domain);
+    const key = `${name}|${record.type}`;
+
+    if (desired.has(key)) {
+      plan.errors.push({ name, type: record.type, message: `${name} ${record.type} is listed more than once, merge its values into one entry` });
+      continue;
+    }
+    if (name !== domain && !name.endsWith(`.${domain}`)) {
+      plan.errors.push({ name, type: record.type, message: `${name} is outside the zone ${domain}` });
+      continue;
+    }
+
+    desired.set(key, {
+      name,
+      type: record.type,
+      ttl: record.ttl ?? DEFAULT_TTL,
+      proxied: record.proxied ?? false,
+      values: sortedValues(record.type, serializeRecordValues(record.type, record.values))
+    });
+  }
+
+  const seen = new Set();
+  for (const rrset of currentRRSets) {
+    const current = {
+      id: rrset.id,
+      name: toFqdn(rrset.name, domain),
+      type: rrset.type,
+      ttl: rrset.ttl ?? DEFAULT_TTL,
+      proxied: Boolean(rrset.proxied),
+      values: sortedValues(rrset.type, getRRSetValues(rrset))
+    };
+    const key = `${current.name}|${current.type}`;
+
+    if (isManagedByMlytics(current, domain) || !DNS_RECORD_TYPES.includes(current.type)) {
+      plan.ignored.push({ ...current, reason: isManagedByMlytics(current, domain) ? 'Managed by Mlytics' : `Record type ${current.type} is not managed by plans` });
+      continue;
+    }
+
+    const target = desired.get(key);
+    if (!target || seen.has(key)) {
+      // Not desired, or a duplicate rrset for a name and type that is already matched
+      if (prune) {
+        plan.delete.push(current);
+      } else {
+        plan.ignored.push({ ...current, reason: 'Not in the desired records and prune is disabled' });
+      }
+      continue;
+    }
+    seen.add(key);
+
+    const changes = {};
+    if (current.ttl !== target.ttl) {
+      changes.ttl = { from: current.ttl, to: target.ttl };
+    }
+    if (current.proxied !== target.proxied) {
+      changes.proxied = { from: current.proxied, to: target.proxied };
+    }
+    if (JSON.stringify(current.values) !== JSON.stringify(target.values)) {
+      changes.values = { from: current.values, to: target.values };
+    }
+
+    if (Object.keys(changes).length > 0) {
+      plan.update.push({ ...target, id: current.id, changes });
+    } else {
+      plan.unchanged.push({ ...target, id: current.id });
+    }
+  }
+
+  for (const [key, target] of desired) {
+    if (!seen.has(key)) {
+      if (isManagedByMlytics(target, domain)) {
+        plan.ignored.push({ ...target, reason: 'Managed by Mlytics' });
+      } else {
+        plan.create.push(target);
+      }
+    }
+  }
+
+  // The desired records and the ones left in place must still form a valid zone
+  const conflicts = validateRecordSet([
+    ...plan.ignored.map(({ name, type }) => ({ name, type })),
+    ...Array.from(desired.values(), ({ name, type }) => ({ name, type, field: `${name}|${type}` }))
+  ], domain);
+  for (const { field, message } of conflicts) {
+    const [name, type] = field.split('|');
+    if (type) {
+      plan.errors.push({ name, type, message });
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * Fingerprint of the actions in a plan, used to check the zone didn't change between plan and apply
+ * @param {Object} plan Plan from computeZonePlan
+ * @returns {string} Short hex digest
+ */
+export const getPlanId = (plan) => {
+  const actions = {
+    create: plan.create,
+    update: plan.update.map(({ id, name, type, ttl, proxied, values }) => ({ id, name, type, ttl, proxied, values })),
+    delete: plan.delete.map(({ id }) => id)
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(actions)).digest('hex').slice(0, 16);
+};
+
+const formatValues = (values) => `[${values.join(', ')}]`;
+
+/**
+ * Render a plan as Terraform-style lines: + create, ~ update, - delete
+ * @param {Object} plan Plan from computeZonePlan
+ * @returns {Array<string>} One line per change plus a summary
+ */
+export const formatPlan = (plan) => {
+  const lines = [];
+
+  for (const record of plan.create) {
+    lines.push(`+ ${record.name} ${record.type} ttl=${record.ttl} ${formatValues(record.values)}`);
+  }
+  for (const record of plan.update) {
+    const changes = Object.entries(record.changes).map(([field, { from, to }]) =>
+      (field === 'values' ? `values ${formatValues(from)} -> ${formatValues(to)}` : `${field} ${from} -> ${to}`)
+    );
+    lines.push(`~ ${record.name} ${record.type} ${changes.join(', ')}`);
+  }
+  for (const record of plan.delete) {
+    lines.push(`- ${record.name} ${record.type} ttl=${record.ttl} ${formatValues(record.values)}`);
+  }
+
+  lines.push(`Plan: ${plan.create.length} to create, ${plan.update.length} to update, ${plan.delete.length} to delete, ${plan.unchanged.length} unchanged`);
+  return lines;
+};
+
+// RRSet payload for the create and update endpoints
+const toPayload = ({ name, type, ttl, proxied, values }) => ({
+  type,
+  name,
+  ttl,
+  proxied,
+  detail: toRRSetDetail(values)
+});
+
+/**
+ * Apply a plan through the rrset endpoints and sync dns_records.json
+ * Deletions run first so a record can change type (e.g. A to CNAME) in one apply
+ * @param {Object} api API client
+ * @param {string} zoneId Zone (site) ID
+ * @param {Object} plan Plan from computeZonePlan
+ * @param {Object} auth Authentication passed to the client
+ * @returns {Promise<Array<Object>>} Result of each change: { action, name, type, status, id, error }
+ */
+export const applyZonePlan = async (api, zoneId, plan, auth) => {
+  const results = [];
+  const deletedIds = [];
+  const savedRecords = [];
+  const now = new Date().toISOString();
+
+  const run = async (action, record, call) => {
+    try {
+      const responseData = await call();
+      const id = action === 'create' ? responseData.data.rrsets[0].id : record.id;
+      results.push({ action, name: record.name, type: record.type, status: 'applied', id });
+
+      if (action === 'delete') {
+        deletedIds.push(String(id));
+      } else {
+        savedRecords.push({
+          id,
+          site_id: zoneId,
+          name: record.name,
+          type: record.type,
+          ttl: record.ttl,
+          proxied: record.proxied,
+          values: record.values,
+          updated_at: now,
+          api_response: responseData
+        });
+      }
+    } catch (error) {
+      results.push({
+        action,
+        name: record.name,
+        type: record.type,
+        status: 'failed',
+        id: record.id ?? null,
+        error: error.message,
+        code: error.code ?? error.status ?? null
+      });
+    }
+  };
+
+  for (const record of plan.delete) {
+    await run('delete', record, () => api.deleteRRSet(zoneId, record.id, auth));
+  }
+  for (const record of plan.update) {
+    await run('update', record, () => api.updateRRSet(zoneId, record.id, toPayload(record), auth));
+  }
+  for (const record of plan.create) {
+    await run('create', record, () => api.createRRSet(zoneId, toPayload(record), auth));
+  }
+
+  if (deletedIds.length > 0 || savedRecords.length > 0) {
+    await updateLocalDnsRecords(dnsRecords => {
+      const remaining = dnsRecords.filter(r => !deletedIds.includes(String(r.id)));
+      for (const saved of savedRecords) {
+        const existing = remaining.find(r => String(r.id) === String(saved.id));
+        if (existing) {
+          Object.assign(existing, saved);
+        } else {
+          remaining.push({ ...saved, created_at: now });
+        }
+      }
+      return remaining;
+    });
+  }
+
+  return results;
+};
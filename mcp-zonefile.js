@@ -0,0 +1,431 @@
+// BIND / RFC 1035 zone file parsing and zone export rendering
+import {
+  DNS_RECORD_TYPES,
+  DOMAIN_VALUE_TYPES,
+  DEFAULT_TTL,
+  toFqdn,
+  normalizeRecordName,
+  getRRSetValues,
+  splitTxtValue,
+  formatTxtValue,
+  normalizeTxtValue
+} from './mcp-dns.js';
+
+// Record classes that may appear between the owner name and the type
+const RECORD_CLASSES = ['IN', 'CH', 'HS', 'CS'];
+
+// Types recognised while parsing, whether or not the rrset API supports them
+const KNOWN_RECORD_TYPES = [
+  'A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA', 'SRV', 'CAA', 'PTR',
+  'ALIAS', 'ANAME', 'SPF', 'DS', 'DNSKEY', 'NAPTR', 'SSHFP', 'TLSA', 'HINFO', 'LOC', 'RP', 'HTTPS', 'SVCB'
+];
+
+// Multipliers for TTLs written with units, e.g. 1h30m
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parse a TTL value such as 3600, 1h or 1d12h
+ * @param {string} value TTL token
+ * @returns {number|null} TTL in seconds or null when the token isn't a TTL
+ */
+export const parseTtl = (value) => {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (!/^(\d+[smhdw])+$/i.test(value)) {
+    return null;
+  }
+  let seconds = 0;
+  for (const [, amount, unit] of value.toLowerCase().matchAll(/(\d+)([smhdw])/g)) {
+    seconds += Number(amount) * TTL_UNITS[unit];
+  }
+  return seconds;
+};
+
+// Split a zone file into logical lines: comments removed, parentheses joined, quotes kept
+const tokenizeZoneFile = (text) => {
+  const entries = [];
+  let tokens = [];
+  let startsWithBlank = false;
+  let startLine = 1;
+  let depth = 0;
+  let lineNumber = 1;
+  let i = 0;
+
+  const pushEntry = () => {
+    if (tokens.length > 0) {
+      entries.push({ tokens, startsWithBlank, line: startLine });
+    }
+    tokens = [];
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\n') {
+      lineNumber++;
+      i++;
+      if (depth === 0) {
+        pushEntry();
+        startLine = lineNumber;
+        startsWithBlank = text[i] === ' ' || text[i] === '\t';
+      }
+      continue;
+    }
+
+    if (char === ';') {
+      // Comment until the end of the line
+      while (i < text.length && text[i] !== '\n') {
+        i++;
+      }
+      continue;
+    }
+
+    if (char === ' ' || char === '\t' || char === '\r') {
+      i++;
+      continue;
+    }
+
+    if (char === '(') {
+      depth++;
+      i++;
+      continue;
+    }
+
+    if (char === ')') {
+      depth = Math.max(0, depth - 1);
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      // Quoted string, keeping escaped characters
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          value += text[i + 1];
+          i += 2;
+          continue;
+        }
+        if (text[i] === '\n') {
+          lineNumber++;
+        }
+        value += text[i];
+        i++;
+      }
+      i++; // Closing quote
+      tokens.push({ value, quoted: true });
+      continue;
+    }
+
+    let value = '';
+    while (i < text.length && !' \t\r\n;()"'.includes(text[i])) {
+      value += text[i];
+      i++;
+    }
+    tokens.push({ value, quoted: false });
+  }
+
+  pushEntry();
+  return entries;
+};
+
+/**
+ * Parse a zone file into individual resource records
+ * @param {string} text Zone file content
+ * @param {Object} options Parse options
+ * @param {string} options.origin Origin used until a $ORIGIN directive, e.g. example.com
+ * @param {number} options.defaultTtl TTL used until a $TTL directive
+ * @returns {Object} { origin, records, errors } with names expanded to fully qualified form
+ */
+export const parseZoneFile = (text, { origin: initialOrigin = null, defaultTtl = null } = {}) => {
+  const records = [];
+  const errors = [];
+  let origin = initialOrigin ? initialOrigin.replace(/\.$/, '').toLowerCase() : null;
+  let ttl = defaultTtl;
+  let lastTtl = null;
+  let lastOwner = null;
+
+  for (const { tokens, startsWithBlank, line } of tokenizeZoneFile(text)) {
+    const words = tokens.map(t => t.value);
+    const directive = words[0].toUpperCase();
+
+    if (!tokens[0].quoted && directive === '$ORIGIN') {
+      origin = (words[1] || '').replace(/\.$/, '').toLowerCase();
+      continue;
+    }
+    if (!tokens[0].quoted && directive === '$TTL') {
+      const parsed = parseTtl(words[1] || '');
+      if (parsed === null) {
+        errors.push({ line, message: `Invalid $TTL value '${words[1]}'` });
+      } else {
+        ttl = parsed;
+      }
+      continue;
+    }
+    if (directive.startsWith('$')) {
+      errors.push({ line, message: `Unsupported directive ${directive}` });
+      continue;
+    }
+
+    // Owner name, or the previous owner when the line starts with blank space
+    let position = 0;
+    let owner;
+    if (startsWithBlank) {
+      owner = lastOwner;
+    } else {
+      owner = words[0];
+      position = 1;
+    }
+
+    if (!owner) {
+      errors.push({ line, message: 'Record without an owner name' });
+      continue;
+    }
+
+    // Optional TTL and class, in either order
+    let recordTtl = null;
+    let recordClass = 'IN';
+    for (let n = 0; n < 2 && position < words.length; n++) {
+      const word = words[position];
+      if (RECORD_CLASSES.includes(word.toUpperCase())) {
+        recordClass = word.toUpperCase();
+        position++;
+      } else if (parseTtl(word) !== null && recordTtl === null) {
+        recordTtl = parseTtl(word);
+        position++;
+      }
+    }
+
+    const type = (words[position] || '').toUpperCase();
+    if (!KNOWN_RECORD_TYPES.includes(type) && !/^TYPE\d+$/.test(type)) {
+      errors.push({ line, message: `Unknown record type '${words[position] || ''}'` });
+      continue;
+    }
+
+    const rdataTokens = tokens.slice(position + 1);
+    if (rdataTokens.length === 0) {
+      errors.push({ line, message: `${type} record without data` });
+      continue;
+    }
+
+    if (!origin && !owner.endsWith('.')) {
+      errors.push({ line, message: `Relative name '${owner}' used before any $ORIGIN` });
+      continue;
+    }
+
+    const name = toFqdn(owner, origin);
+    lastOwner = `${name}.`;
+
+    // RFC 1035: without $TTL, a record without TTL inherits the previous one
+    const effectiveTtl = recordTtl ?? ttl ?? lastTtl ?? DEFAULT_TTL;
+    lastTtl = effectiveTtl;
+
+    records.push({
+      line,
+      name,
+      ttl: effectiveTtl,
+      class: recordClass,
+      type,
+      rdata: rdataTokens,
+      origin
+    });
+  }
+
+  return { origin, records, errors };
+};
+
+/**
+ * Turn the raw rdata tokens of a record into the value string sent to the rrset API
+ * Domain names in CNAME, NS, PTR, ALIAS, MX and SRV data are expanded against the record's origin
+ * and written without the trailing dot
+ * @param {Object} record Record from parseZoneFile
+ * @returns {string} Record value
+ */
+export const formatRecordValue = (record) => {
+  const words = record.rdata.map(t => t.value);
+  const { origin } = record;
+
+  if (DOMAIN_VALUE_TYPES.includes(record.type)) {
+    return toFqdn(words[0], origin);
+  }
+
+  switch (record.type) {
+    case 'MX':
+      return `${words[0]} ${toFqdn(words[1] || '', origin)}`;
+    case 'SRV':
+      return `${words.slice(0, 3).join(' ')} ${toFqdn(words[3] || '', origin)}`;
+    case 'CAA':
+      // The value is always written quoted, whether or not it was in the file
+      return `${words[0]} ${words[1]} "${(words[2] || '').replace(/["\\]/g, '\\$&')}"`;
+    case 'TXT':
+    case 'SPF':
+      // Several character strings stay quoted so their boundaries survive, as export-zone writes them
+      return formatTxtValue(words);
+    default:
+      return words.join(' ');
+  }
+};
+
+/**
+ * Group parsed records into rrsets the Mlytics API accepts
+ * @param {Array<Object>} records Records from parseZoneFile
+ * @param {string} origin Domain of the zone the records are imported into
+ * @returns {Object} { rrsets, skipped, warnings }
+ */
+export const groupRecordsIntoRRSets = (records, origin) => {
+  const rrsets = new Map();
+  const skipped = [];
+  const warnings = [];
+
+  for (const record of records) {
+    if (record.class !== 'IN') {
+      skipped.push({ line: record.line, name: record.name, type: record.type, reason: `Class ${record.class} is not supported` });
+      continue;
+    }
+    if (record.name !== origin && !record.name.endsWith(`.${origin}`)) {
+      skipped.push({ line: record.line, name: record.name, type: record.type, reason: `Name is outside the zone ${origin}` });
+      continue;
+    }
+    if (record.type === 'SOA') {
+      skipped.push({ line: record.line, name: record.name, type: record.type, reason: 'SOA is managed by Mlytics' });
+      continue;
+    }
+    if (record.type === 'NS' && record.name === origin) {
+      skipped.push({ line: record.line, name: record.name, type: record.type, reason: 'Apex NS records are managed by Mlytics' });
+      continue;
+    }
+    if (!DNS_RECORD_TYPES.includes(record.type)) {
+      skipped.push({ line: record.line, name: record.name, type: record.type, reason: `Record type ${record.type} is not supported by add-dns-record` });
+      continue;
+    }
+
+    const key = `${record.name}|${record.type}`;
+    const value = formatRecordValue(record);
+
+    if (!rrsets.has(key)) {
+      rrsets.set(key, {
+        name: record.name,
+        type: record.type,
+        ttl: record.ttl,
+        values: [],
+        lines: []
+      });
+    }
+
+    const rrset = rrsets.get(key);
+    if (rrset.ttl !== record.ttl) {
+      warnings.push({
+        line: record.line,
+        message: `${record.name} ${record.type} has records with different TTLs (${rrset.ttl} and ${record.ttl}), using ${Math.min(rrset.ttl, record.ttl)}`
+      });
+      rrset.ttl = Math.min(rrset.ttl, record.ttl);
+    }
+    if (rrset.values.includes(value)) {
+      warnings.push({ line: record.line, message: `Duplicate ${record.type} value '${value}' for ${record.name} ignored` });
+      continue;
+    }
+    rrset.values.push(value);
+    rrset.lines.push(record.line);
+  }
+
+  return { rrsets: Array.from(rrsets.values()), skipped, warnings };
+};
+
+/**
+ * Normalize rrsets from list-dns-records into a stable, sorted form
+ * @param {Array<Object>} rrsets RRSets as returned by the API
+ * @param {string} domain Zone domain
+ * @returns {Array<Object>} Records with fully qualified names and string values, TXT values in canonical form
+ */
+export const normalizeRRSets = (rrsets, domain) => rrsets
+  .map(rrset => ({
+    id: rrset.id ?? null,
+    name: toFqdn(rrset.name, domain),
+    type: rrset.type,
+    ttl: rrset.ttl ?? DEFAULT_TTL,
+    proxied: Boolean(rrset.proxied),
+    values: getRRSetValues(rrset).map(value => (rrset.type === 'TXT' ? normalizeTxtValue(value) : String(value))).sort()
+  }))
+  // Apex first, then by name and type
+  .sort((a, b) => (b.name === domain) - (a.name === domain) || a.name.localeCompare(b.name) || a.type.localeCompare(b.type));
+
+// Owner name relative to the zone, '@' for the apex
+const toRelativeName = (name, domain) => {
+  if (name === domain) {
+    return '@';
+  }
+  return name.endsWith(`.${domain}`) ? name.slice(0, -(domain.length + 1)) : `${name}.`;
+};
+
+// Quote TXT data, one quoted string per character string
+const quoteTxtValue = (value) => splitTxtValue(value)
+  .map(string => `"${string.replace(/["\\]/g, '\\$&')}"`)
+  .join(' ');
+
+// Record data as written in a zone file
+const renderRecordData = (type, value) => {
+  if (DOMAIN_VALUE_TYPES.includes(type)) {
+    return `${normalizeRecordName(value)}.`;
+  }
+  if (type === 'MX' || type === 'SRV') {
+    // Domain names are written absolute, the target being the last field
+    const parts = value.split(/\s+/);
+    return [...parts.slice(0, -1), `${normalizeRecordName(parts[parts.length - 1])}.`].join(' ');
+  }
+  if (type === 'TXT') {
+    return quoteTxtValue(value);
+  }
+  return value;
+};
+
+/**
+ * Render normalized records as a BIND zone file
+ * The output has no timestamps so successive exports of the same zone are identical
+ * @param {Array<Object>} records Records from normalizeRRSets
+ * @param {Object} zone Zone details
+ * @param {string} zone.domain Zone domain
+ * @param {string} zone.siteId Mlytics site ID
+ * @returns {string} Zone file content
+ */
+export const renderZoneFile = (records, { domain, siteId }) => {
+  const lines = [
+    `; Zone ${domain} exported from Mlytics site ${siteId}`,
+    '; SOA and apex NS records are managed by Mlytics',
+    `$ORIGIN ${domain}.`,
+    `$TTL ${DEFAULT_TTL}`,
+    ''
+  ];
+
+  for (const record of records) {
+    const owner = toRelativeName(record.name, domain);
+    const comment = record.proxied ? ' ; proxied' : '';
+    for (const value of record.values) {
+      lines.push(`${owner}\t${record.ttl}\tIN\t${record.type}\t${renderRecordData(record.type, value)}${comment}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Quote a CSV field when it contains a separator, quote or newline
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render normalized records as CSV with one row per value
+ * @param {Array<Object>} records Records from normalizeRRSets
+ * @returns {string} CSV content with a header row
+ */
+export const renderZoneCsv = (records) => {
+  const rows = [['id', 'name', 'type', 'ttl', 'proxied', 'value']];
+  for (const record of records) {
+    for (const value of record.values) {
+      rows.push([record.id ?? '', record.name, record.type, record.ttl, record.proxied, value]);
+    }
+  }
+  return `${rows.map(row => row.map(csvField).join(',')).join('\n')}\n`;
+};
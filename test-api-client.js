@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Tests for the Mlytics API client: envelopes, errors, authentication headers and retries, over a stubbed fetch
+// Run with: node test-api-client.js
+
+import assert from 'assert';
+import { createMlyticsApiClient, MlyticsApiError } from './mcp-api-client.js';
+
+const BASE_URLS = { openapi: 'https://openapi.test', portal: 'https://portal.test' };
+
+const envelope = (data, { status = 'success', message = null, code = 200 } = {}) => ({ meta: { status, message, code }, data });
+
+// Fetch stand-in answering each call with the next of the given answers, recording the calls
+const stubFetch = (answers) => {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, ...init });
+    const answer = answers[Math.min(calls.length, answers.length) - 1];
+    if (typeof answer === 'function') {
+      return answer(init);
+    }
+    const { status = 200, statusText = '', body, headers = {} } = answer;
+    return new Response(typeof body === 'string' ? body : JSON.stringify(body), { status, statusText, headers });
+  };
+  return { fetch, calls };
+};
+
+const client = (answers, options = {}) => {
+  const stub = stubFetch(answers);
+  return { ...stub, api: createMlyticsApiClient({ baseUrls: BASE_URLS, retryDelay: 1, fetch: stub.fetch, ...options }) };
+};
+
+console.log('Checking requests...');
+let { api, calls } = client([{ body: envelope([{ id: 'zone-1' }]) }]);
+assert.deepStrictEqual((await api.listZones({ apiKey: 'key-1' })).data, [{ id: 'zone-1' }]);
+assert.strictEqual(calls[0].url, 'https://openapi.test/api/v2/mdns/zone/all/');
+assert.strictEqual(calls[0].method, 'GET');
+assert.strictEqual(calls[0].headers.apikey, 'key-1');
+assert.strictEqual(calls[0].body, undefined);
+
+({ api, calls } = client([{ body: envelope({ rrsets: [] }) }]));
+await api.createRRSet('zone/1', { name: 'www', type: 'A' }, { jwt: 'token-1' });
+assert.strictEqual(calls[0].url, 'https://openapi.test/api/v2/mdns/zone/zone%2F1/rrset/');
+assert.strictEqual(calls[0].headers.Authorization, 'Bearer token-1');
+assert.strictEqual(calls[0].headers['content-type'], 'application/json');
+assert.deepStrictEqual(JSON.parse(calls[0].body), { name: 'www', type: 'A' });
+
+// Undefined query parameters are left out
+({ api, calls } = client([{ body: envelope({}) }]));
+await api.getHistoricalUsage({ org_id: '42', usage_type: 'dns_query_usage_sum', start_time: 1, end_time: 2 }, { jwt: 'token-1' });
+assert.strictEqual(calls[0].url, 'https://portal.test/analytics/v2/historicalReport/diagram/usage/?org_id=42&usage_type=dns_query_usage_sum&start_time=1&end_time=2');
+
+console.log('Checking errors...');
+({ api, calls } = client([{ status: 400, body: envelope(null, { status: 'error', message: 'Invalid domain', code: 4001 }) }]));
+await assert.rejects(api.createZone({ domain_name: 'bad' }, { apiKey: 'key-1' }), error => {
+  assert.ok(error instanceof MlyticsApiError);
+  assert.strictEqual(error.message, 'Invalid domain');
+  assert.strictEqual(error.status, 400);
+  assert.strictEqual(error.code, 4001);
+  assert.strictEqual(error.method, 'POST');
+  assert.strictEqual(error.url, 'https://openapi.test/api/v2/mdns/zone/');
+  return true;
+});
+
+// A 200 whose envelope is not a success is an error too, and bodies that are not JSON are kept as text
+({ api } = client([{ body: envelope(null, { status: 'error', message: 'Quota exceeded', code: 4290 }) }]));
+await assert.rejects(api.listZones({ apiKey: 'key-1' }), { message: 'Quota exceeded', status: 200, code: 4290 });
+({ api } = client([{ status: 404, statusText: 'Not Found', body: 'Not Found' }]));
+await assert.rejects(api.listZones({ apiKey: 'key-1' }), error => error.message === 'HTTP 404 Not Found' && error.body === 'Not Found');
+
+console.log('Checking retries...');
+// Server errors of idempotent methods are retried with exponential backoff
+({ api, calls } = client([{ status: 503, body: '' }, { status: 502, body: '' }, { body: envelope([]) }], { retryDelay: 20, retries: 2 }));
+let started = Date.now();
+assert.deepStrictEqual((await api.listZones({ apiKey: 'key-1' })).data, []);
+assert.strictEqual(calls.length, 3);
+assert.ok(Date.now() - started >= 55);
+
+// Until the retries run out
+({ api, calls } = client([{ status: 500, body: '' }], { retries: 2 }));
+await assert.rejects(api.deleteZone('zone-1', { apiKey: 'key-1' }), { status: 500 });
+assert.strictEqual(calls.length, 3);
+
+// A POST may not be replayed after a server error, only after a 429
+({ api, calls } = client([{ status: 500, body: '' }]));
+await assert.rejects(api.createZone({ domain_name: 'example.com' }, { apiKey: 'key-1' }), { status: 500 });
+assert.strictEqual(calls.length, 1);
+({ api, calls } = client([{ status: 429, body: '' }, { body: envelope({ id: 'zone-1' }) }]));
+assert.deepStrictEqual((await api.createZone({ domain_name: 'example.com' }, { apiKey: 'key-1' })).data, { id: 'zone-1' });
+assert.strictEqual(calls.length, 2);
+
+// Client errors are not retried
+({ api, calls } = client([{ status: 401, body: envelope(null, { status: 'error', message: 'Unauthorized', code: 401 }) }]));
+await assert.rejects(api.listZones({ apiKey: 'key-1' }), { status: 401 });
+assert.strictEqual(calls.length, 1);
+
+// Retry-After wins over the backoff
+({ api, calls } = client([{ status: 429, body: '', headers: { 'retry-after': '0' } }, { body: envelope([]) }], { retryDelay: 5000 }));
+started = Date.now();
+await api.listZones({ apiKey: 'key-1' });
+assert.strictEqual(calls.length, 2);
+assert.ok(Date.now() - started < 1000);
+
+console.log('Checking network errors and timeouts...');
+({ api, calls } = client([() => {
+  throw new Error('connect ECONNREFUSED');
+}, { body: envelope([]) }]));
+assert.deepStrictEqual((await api.listZones({ apiKey: 'key-1' })).data, []);
+assert.strictEqual(calls.length, 2);
+
+({ api, calls } = client([() => {
+  throw new Error('connect ECONNREFUSED');
+}]));
+await assert.rejects(api.createZone({ domain_name: 'example.com' }, { apiKey: 'key-1' }), error => error.status === null && error.cause?.message === 'connect ECONNREFUSED');
+assert.strictEqual(calls.length, 1);
+
+// Each attempt is aborted after the timeout
+const hang = ({ signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' })));
+});
+({ api, calls } = client([hang], { timeout: 20, retries: 1 }));
+await assert.rejects(api.listZones({ apiKey: 'key-1' }), { message: 'Request timed out after 20ms' });
+assert.strictEqual(calls.length, 2);
+
+console.log('All API client tests passed');
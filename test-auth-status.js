@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Tests for the token claims stored on login and the auth-status tool
+// Run with: node test-auth-status.js
+
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { useTemporaryDataDir, makeJwt } from './test-helpers.js';
+
+const DATA_DIR = await useTemporaryDataDir('auth-status');
+
+const { storeLoginToken, getAuthStatus, isJwtValid } = await import('./mcp-auth.js');
+const { createCredentialProvider } = await import('./mcp-credentials.js');
+const { MlyticsApiError } = await import('./mcp-api-client.js');
+const { secureStore } = await import('./mcp-common.js');
+const { createToolRegistry } = await import('./mcp-registry.js');
+const { default: authStatus } = await import('./tools/auth-status.js');
+
+const NOW = Math.floor(Date.now() / 1000);
+
+// API stand-in accepting the tokens in accepted, answering 401 to the others
+const accepted = new Set();
+const api = {
+  getCredit: async ({ jwt }) => {
+    if (!accepted.has(jwt)) {
+      throw new MlyticsApiError('Unauthorized', { status: 401, code: 401 });
+    }
+    return { data: { used: 0 } };
+  }
+};
+
+const registry = createToolRegistry([authStatus]);
+const profile = { name: 'default', dir: DATA_DIR, baseUrls: {} };
+const context = { api, credentials: createCredentialProvider({ profile }) };
+const callAuthStatus = async (args = {}) => JSON.parse((await registry.callTool('auth-status', args, context)).content[0].text);
+
+const authFile = path.join(DATA_DIR, 'auth.json');
+
+// Log in with a token, pretending the login happened at timestamp when given
+const login = async (jwt, timestamp) => {
+  const authData = await storeLoginToken({ jwt, tokenKey: 'jwtToken', email: 'user@example.com', method: 'http' }, authFile);
+  if (timestamp) {
+    await secureStore.writeJson(authFile, { ...authData, timestamp });
+  }
+  return authData;
+};
+
+async function main() {
+  console.log('Checking the status without a login...');
+  let result = await callAuthStatus();
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.data, { profile: 'default', loggedIn: false });
+  assert.match(result.message, /Not logged in with profile default/);
+
+  console.log('Checking stored claims...');
+  const jwt = makeJwt({ sub: 'user-1', org_id: 42, iat: NOW - 60, exp: NOW + 3600 });
+  const authData = await login(jwt);
+  assert.strictEqual(authData.subject, 'user-1');
+  assert.strictEqual(authData.orgId, '42');
+  assert.strictEqual(authData.issuedAt, new Date((NOW - 60) * 1000).toISOString());
+  assert.strictEqual(authData.expiresAt, new Date((NOW + 3600) * 1000).toISOString());
+
+  result = await callAuthStatus();
+  assert.strictEqual(result.data.loggedIn, true);
+  assert.strictEqual(result.data.email, 'user@example.com');
+  assert.strictEqual(result.data.orgId, '42');
+  assert.strictEqual(result.data.expired, false);
+  assert.strictEqual(result.data.expiryEstimated, false);
+  assert.ok(Math.abs(result.data.expiresInSeconds - 3600) < 5);
+  assert.strictEqual(result.data.verified, undefined);
+  assert.match(result.message, /logged in as user@example\.com \(organization 42\), the token expires at /);
+  // The token itself is never part of the status
+  assert.ok(!JSON.stringify(result).includes(jwt));
+
+  console.log('Checking verification...');
+  accepted.add(jwt);
+  result = await callAuthStatus({ verify: true });
+  assert.strictEqual(result.data.verified, true);
+  assert.strictEqual(result.data.verificationResult, 'valid');
+  assert.ok(result.data.verifiedAt);
+
+  accepted.delete(jwt);
+  result = await callAuthStatus({ verify: true });
+  assert.strictEqual(result.data.verified, false);
+  assert.strictEqual(result.data.verificationResult, 'rejected');
+  assert.match(result.message, /the token was rejected by the Mlytics API/);
+  // The result is recorded with the token
+  assert.strictEqual((await getAuthStatus(authFile)).verificationResult, 'rejected');
+
+  console.log('Checking expiry...');
+  await login(makeJwt({ sub: 'user-1', exp: NOW - 10 }));
+  result = await callAuthStatus();
+  assert.strictEqual(result.data.expired, true);
+  assert.match(result.message, /the token expired at /);
+  assert.strictEqual(await isJwtValid(authFile), false);
+
+  // Within the margin absorbing clock skew, a token is no longer used but not reported expired yet
+  await login(makeJwt({ sub: 'user-1', exp: NOW + 30 }));
+  assert.strictEqual(await isJwtValid(authFile), false);
+  assert.strictEqual((await callAuthStatus()).data.expired, false);
+
+  // Tokens without exp are assumed to last 24 hours from the login
+  await login(makeJwt({ sub: 'user-1' }), new Date((NOW - 25 * 3600) * 1000).toISOString());
+  result = await callAuthStatus();
+  assert.strictEqual(result.data.expiryEstimated, true);
+  assert.strictEqual(result.data.expired, true);
+  await login(makeJwt({ sub: 'user-1' }));
+  result = await callAuthStatus();
+  assert.strictEqual(result.data.expired, false);
+  assert.match(result.message, /\(estimated, the token has no exp claim\)/);
+
+  console.log('All auth status tests passed');
+}
+
+try {
+  await main();
+} finally {
+  await fs.rm(DATA_DIR, { recursive: true, force: true });
+}
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// Tests for the credential provider refreshing the portal token when it expires or is rejected
+// Run with: node test-credentials.js
+
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { useTemporaryDataDir, makeJwt } from './test-helpers.js';
+
+const DATA_DIR = await useTemporaryDataDir('credentials');
+for (const name of ['MLYTICS_EMAIL', 'MLYTICS_PASSWORD', 'MLYTICS_TOTP_SECRET']) {
+  delete process.env[name];
+}
+
+const { createCredentialProvider, AuthenticationError } = await import('./mcp-credentials.js');
+const { storeLoginToken, getAuthStatus, LoginError } = await import('./mcp-auth.js');
+const { MlyticsApiError } = await import('./mcp-api-client.js');
+
+const NOW = Math.floor(Date.now() / 1000);
+const CREDENTIALS = { email: 'user@example.com', password: 'correct-horse' };
+
+const EXPIRED_JWT = makeJwt({ sub: 'user-1', exp: NOW - 3600 });
+
+// Login stand-in issuing a new token per call, optionally failing, counting its calls
+const createLogin = ({ fail = false } = {}) => {
+  const login = async ({ email, password, authFile }) => {
+    login.calls.push({ email, password });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    if (login.fail) {
+      throw new LoginError('The portal rejected the login: Invalid email or password', { code: 'LOGIN_REJECTED' });
+    }
+    return storeLoginToken({ jwt: makeJwt({ sub: 'user-1', exp: NOW + 3600, n: login.calls.length }), tokenKey: 'jwtToken', email, method: 'http' }, authFile);
+  };
+  login.calls = [];
+  login.fail = fail;
+  return login;
+};
+
+const apiError = (status) => new MlyticsApiError(`HTTP ${status}`, { status, code: status });
+
+async function main() {
+  const profile = { name: 'default', dir: DATA_DIR, baseUrls: {} };
+  const authFile = path.join(DATA_DIR, 'auth.json');
+
+  console.log('Checking that nothing is available without a login...');
+  let login = createLogin();
+  let credentials = createCredentialProvider({ login, profile });
+  assert.strictEqual(await credentials.canAuthenticate(), false);
+  await assert.rejects(credentials.getJwt(), AuthenticationError);
+  assert.strictEqual(login.calls.length, 0);
+
+  console.log('Checking that a valid token is used as is...');
+  const validJwt = makeJwt({ sub: 'user-1', exp: NOW + 3600 });
+  await storeLoginToken({ jwt: validJwt, tokenKey: 'jwtToken', email: CREDENTIALS.email, method: 'http' }, authFile);
+  assert.strictEqual(await credentials.canAuthenticate(), true);
+  assert.strictEqual(await credentials.getJwt(), validJwt);
+  assert.strictEqual(login.calls.length, 0);
+
+  console.log('Checking that an expired token is refreshed...');
+  await storeLoginToken({ jwt: EXPIRED_JWT, tokenKey: 'jwtToken', email: CREDENTIALS.email, method: 'http' }, authFile);
+  // Without credentials the expired token is still tried
+  assert.strictEqual(await credentials.getJwt(), EXPIRED_JWT);
+  await credentials.saveLoginCredentials(CREDENTIALS);
+  // Concurrent calls share a single login
+  const jwts = await Promise.all([credentials.getJwt(), credentials.getJwt(), credentials.getJwt()]);
+  assert.strictEqual(login.calls.length, 1);
+  assert.deepStrictEqual(login.calls[0], CREDENTIALS);
+  assert.ok(jwts.every(jwt => jwt === jwts[0] && jwt !== EXPIRED_JWT));
+  const status = await getAuthStatus(authFile);
+  assert.strictEqual(status.expired, false);
+  // The refreshed token is stored and used from now on
+  assert.strictEqual(await credentials.getJwt(), jwts[0]);
+  assert.strictEqual(login.calls.length, 1);
+
+  console.log('Checking that a rejected token is refreshed and the call retried once...');
+  const seen = [];
+  const result = await credentials.withJwt(async ({ jwt }) => {
+    seen.push(jwt);
+    if (seen.length === 1) {
+      throw apiError(401);
+    }
+    return 'ok';
+  });
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(login.calls.length, 2);
+  assert.strictEqual(seen[0], jwts[0]);
+  assert.notStrictEqual(seen[1], seen[0]);
+  // A second 401, or any other error, is not retried
+  await assert.rejects(credentials.withJwt(async () => { throw apiError(401); }), error => error.status === 401);
+  assert.strictEqual(login.calls.length, 3);
+  await assert.rejects(credentials.withJwt(async () => { throw apiError(500); }), error => error.status === 500);
+  assert.strictEqual(login.calls.length, 3);
+
+  console.log('Checking failed refreshes...');
+  await storeLoginToken({ jwt: EXPIRED_JWT, tokenKey: 'jwtToken', email: CREDENTIALS.email, method: 'http' }, authFile);
+  login = createLogin({ fail: true });
+  credentials = createCredentialProvider({ login, profile });
+  await assert.rejects(
+    Promise.all([credentials.getJwt(), credentials.getJwt()]),
+    error => error instanceof LoginError && error.code === 'LOGIN_REJECTED'
+  );
+  assert.strictEqual(login.calls.length, 1);
+  // The expired token is kept, and the next call tries again rather than reusing the failure
+  assert.strictEqual((await getAuthStatus(authFile)).expired, true);
+  login.fail = false;
+  assert.notStrictEqual(await credentials.getJwt(), EXPIRED_JWT);
+  assert.strictEqual(login.calls.length, 2);
+
+  // A call rejected with 401 fails with the login error when the refresh fails
+  login.fail = true;
+  await assert.rejects(credentials.withJwt(async () => { throw apiError(401); }), LoginError);
+
+  console.log('Checking mock mode...');
+  const mockDir = path.join(DATA_DIR, 'mock');
+  login = createLogin();
+  credentials = createCredentialProvider({ mock: true, login, profile: { name: 'mock', dir: mockDir, baseUrls: {} } });
+  assert.strictEqual(await credentials.canAuthenticate(), true);
+  assert.strictEqual(await credentials.getJwt(), 'mock-jwt');
+  await assert.rejects(credentials.withJwt(async () => { throw apiError(401); }), error => error.status === 401);
+  assert.strictEqual(login.calls.length, 0);
+
+  console.log('All credential provider tests passed');
+}
+
+try {
+  await main();
+} finally {
+  await fs.rm(DATA_DIR, { recursive: true, force: true });
+}
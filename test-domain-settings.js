@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// Tests for update-domain-settings comparing each requested field with the value the API reads back
+// Run with: node test-domain-settings.js
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { useTemporaryDataDir } from './test-helpers.js';
+
+const DATA_DIR = await useTemporaryDataDir('domain-settings');
+
+const { MlyticsApiError } = await import('./mcp-api-client.js');
+const { createToolRegistry } = await import('./mcp-registry.js');
+const { default: updateDomainSettings } = await import('./tools/update-domain-settings.js');
+
+// API stand-in answering the settings endpoints with the data given for each group
+const answers = {};
+const api = {
+  listZones: async () => ({ data: [{ id: 'zone-1', domain_name: 'example.com' }] }),
+  updateZoneCdnSettings: async () => answers.cdn_settings(),
+  updateZoneSecuritySettings: async () => answers.security_settings()
+};
+const registry = createToolRegistry([updateDomainSettings]);
+const context = { api, credentials: { getApiKey: async () => 'api-key' } };
+const update = async (settings) => JSON.parse((await registry.callTool('update-domain-settings', { domain: 'example.com', settings }, context)).content[0].text);
+
+async function main() {
+  console.log('Checking read-back values...');
+  answers.cdn_settings = async () => ({ data: { enable_cache: true, cache_ttl: 600 } });
+  let result = await update({ cdn_settings: { enable_cache: true, cache_ttl: 3600, query_string_handling: 'ignore' } });
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(result.data.applied, { 'cdn_settings.enable_cache': true });
+  assert.deepStrictEqual(result.data.rejected, { 'cdn_settings.cache_ttl': { requested: 3600, reason: 'API kept value 600' } });
+  assert.deepStrictEqual(result.data.unconfirmed, { 'cdn_settings.query_string_handling': { requested: 'ignore', reason: 'The API response does not include this field' } });
+  assert.strictEqual(result.message, '1 setting(s) applied, 1 rejected by Mlytics API, 1 sent but not confirmed in the response');
+
+  // A rejected field of the API's answer is not read, only the values are compared
+  answers.cdn_settings = async () => ({ data: { cache_ttl: 3600, rejected: { cache_ttl: 'not allowed' } } });
+  result = await update({ cdn_settings: { cache_ttl: 3600 } });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.data.applied, { 'cdn_settings.cache_ttl': 3600 });
+  assert.strictEqual(result.data.unconfirmed, undefined);
+  assert.strictEqual(result.message, 'Domain settings updated successfully via Mlytics API');
+
+  // Fields missing from the answer are not counted as applied
+  answers.cdn_settings = async () => ({ data: null });
+  result = await update({ cdn_settings: { enable_cache: false } });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.data.applied, {});
+  assert.deepStrictEqual(Object.keys(result.data.unconfirmed), ['cdn_settings.enable_cache']);
+  assert.match(result.message, /0 setting\(s\) applied, 0 rejected by Mlytics API, 1 sent but not confirmed/);
+
+  console.log('Checking API errors...');
+  answers.security_settings = async () => {
+    throw new MlyticsApiError('plan does not include security', { status: 403, code: 4030 });
+  };
+  result = await update({ security_settings: { enable_waf: true } });
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(result.data.rejected, {
+    'security_settings.enable_waf': { requested: true, reason: 'plan does not include security', status: 403, code: 4030 }
+  });
+
+  console.log('All domain settings tests passed');
+}
+
+try {
+  await main();
+} finally {
+  await fs.rm(DATA_DIR, { recursive: true, force: true });
+}
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// Tests for fetching long historical report ranges in windows and for the data source policy
+// Run with: node test-historical-windows.js
+
+import assert from 'assert';
+import { splitTimeRange, mapWithConcurrency, fetchHistoricalUsage } from './mcp-historical.js';
+import { getHistoricalReports } from './tools/get-historical-reports.js';
+
+const DAY = 86400;
+const START = 1735689600; // 2025-01-01T00:00:00Z
+
+// API stand-in with one point per day; the bucket holding the window's end is reported too, like the portal does
+// for windows ending mid-day
+const fetchDaily = (failing = []) => async ({ start_time, end_time }) => {
+  if (failing.includes(start_time)) {
+    throw new Error(`window ${start_time} failed`);
+  }
+  const labels = [];
+  for (let day = start_time - (start_time % DAY); day <= end_time; day += DAY) {
+    labels.push(day);
+  }
+  return {
+    meta: { status: 'success', code: 200 },
+    data: {
+      query: { start_time, end_time, compare_start_time: 0, compare_end_time: 0 },
+      diagrams: { cdn_request_sum: { labels, datasets: labels.map(label => (label - START) / DAY), compare_result: { comparable: true } } }
+    }
+  };
+};
+
+console.log('Checking windows...');
+const windows = splitTimeRange(START, START + 70 * DAY - 1, 31);
+assert.deepStrictEqual(windows, [
+  { start_time: START, end_time: START + 31 * DAY - 1 },
+  { start_time: START + 31 * DAY, end_time: START + 62 * DAY - 1 },
+  { start_time: START + 62 * DAY, end_time: START + 70 * DAY - 1 }
+]);
+assert.strictEqual(splitTimeRange(START, START, 31).length, 1);
+
+console.log('Checking bounded concurrency...');
+let inFlight = 0;
+let maxInFlight = 0;
+const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+  inFlight++;
+  maxInFlight = Math.max(maxInFlight, inFlight);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  inFlight--;
+  if (item === 4) {
+    throw new Error('four');
+  }
+  return item * 2;
+});
+assert.strictEqual(maxInFlight, 3);
+assert.deepStrictEqual(results.map(result => result.value ?? result.error.message), [2, 4, 6, 'four', 10, 12, 14]);
+
+console.log('Checking stitching...');
+const params = { usage_type: 'cdn_request_sum', start_time: START, end_time: START + 70 * DAY - 1 };
+let report = await fetchHistoricalUsage(fetchDaily(), { ...params, windowDays: 31 });
+let diagram = report.response.data.diagrams.cdn_request_sum;
+assert.strictEqual(report.windows.length, 3);
+assert.strictEqual(diagram.labels.length, 70);
+assert.deepStrictEqual(diagram.datasets, Array.from({ length: 70 }, (_, day) => day));
+assert.strictEqual(diagram.compare_result.comparable, false);
+assert.strictEqual(report.response.data.query.start_time, START);
+assert.strictEqual(report.response.data.query.compare_start_time, undefined);
+
+// Windows that don't fall on day boundaries repeat the day they split, it is kept once
+report = await fetchHistoricalUsage(fetchDaily(), { ...params, start_time: START + 3600, windowDays: 10 });
+diagram = report.response.data.diagrams.cdn_request_sum;
+assert.strictEqual(new Set(diagram.labels).size, diagram.labels.length);
+assert.strictEqual(diagram.labels.length, 70);
+
+// A single window is passed through with the API's comparison
+report = await fetchHistoricalUsage(fetchDaily(), { ...params, windowDays: 100 });
+assert.strictEqual(report.response.data.diagrams.cdn_request_sum.compare_result.comparable, true);
+
+console.log('Checking failed windows...');
+report = await fetchHistoricalUsage(fetchDaily([START + 31 * DAY]), { ...params, windowDays: 31 });
+assert.deepStrictEqual(report.failedWindows.map(window => window.start_time), [START + 31 * DAY]);
+assert.strictEqual(report.response.data.diagrams.cdn_request_sum.labels.length, 39);
+
+await assert.rejects(
+  fetchHistoricalUsage(fetchDaily(windows.map(window => window.start_time)), { ...params, windowDays: 31 }),
+  /window 1735689600 failed/
+);
+
+console.log('Checking data sources in mock mode...');
+// The mock backend stands in for the API, its answers are never reported as live data
+const mockContext = {
+  api: { getHistoricalUsage: (params) => fetchDaily()(params) },
+  mode: 'mock',
+  profile: { name: 'default' },
+  credentials: { canAuthenticate: async () => true, withJwt: (fn) => fn({ jwt: 'mock-jwt' }) }
+};
+const reportArgs = { org_id: '42', usage_type: ['cdn_request_sum'], start_time: START, end_time: START + 7 * DAY };
+let result = await getHistoricalReports({ ...reportArgs, data_source: 'live-only' }, mockContext);
+assert.strictEqual(result.success, false);
+assert.strictEqual(result.data, undefined);
+assert.match(result.message, /server is in mock mode/);
+
+result = await getHistoricalReports({ ...reportArgs, data_source: 'live-with-cached-fallback' }, mockContext);
+assert.strictEqual(result.success, true);
+assert.strictEqual(result.data_source, 'mock');
+assert.strictEqual(result.is_mock, true);
+
+console.log('All historical window tests passed');
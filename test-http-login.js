@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// Tests for the HTTP login strategy against a local stub of the portal's login API
+// Run with: node test-http-login.js
+
+import assert from 'assert';
+import http from 'http';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { useTemporaryDataDir, makeJwt } from './test-helpers.js';
+
+const DATA_DIR = await useTemporaryDataDir('login');
+
+const { createMlyticsApiClient } = await import('./mcp-api-client.js');
+const { getAuthStatus, LoginError } = await import('./mcp-auth.js');
+const { httpLogin, portalLogin } = await import('./mcp-login.js');
+const { generateTotp } = await import('./mcp-totp.js');
+const { createMockApiClient } = await import('./mcp-mock-client.js');
+
+const TOTP_SECRET = 'JBSWY3DPEHPK3PXP';
+
+// exp in 2100, org_id 42
+const JWT = makeJwt({ sub: 'user-1', org_id: 42, exp: 4102444800 });
+
+// Accounts of the stub: mfa@ needs a one-time code, captcha@ a captcha, notoken@ gets an empty answer
+const PASSWORD = 'correct-horse';
+
+const send = (res, status, meta, data) => {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify({ meta, data }));
+};
+
+const handleLogin = ({ email, password, otp }, res) => {
+  if (password !== PASSWORD) {
+    return send(res, 401, { status: 'error', code: 4010, message: 'Invalid email or password' }, null);
+  }
+  if (email.startsWith('captcha@')) {
+    return send(res, 403, { status: 'error', code: 4031, message: 'Captcha required' }, { captcha_required: true });
+  }
+  if (email.startsWith('mfa@')) {
+    if (!otp) {
+      return send(res, 401, { status: 'error', code: 4012, message: 'One-time code required' }, { mfa_required: true });
+    }
+    if (otp !== generateTotp(TOTP_SECRET)) {
+      return send(res, 401, { status: 'error', code: 4013, message: 'Invalid one-time code' }, null);
+    }
+  }
+  if (email.startsWith('notoken@')) {
+    return send(res, 200, { status: 'success', code: 200, message: null }, {});
+  }
+  send(res, 200, { status: 'success', code: 200, message: null }, { token: JWT });
+};
+
+const stub = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (req.method === 'POST' && req.url === '/auth/v2/login/') {
+      return handleLogin(JSON.parse(body), res);
+    }
+    send(res, 404, { status: 'error', code: 4040, message: 'Not found' }, null);
+  });
+});
+
+const expectLoginError = async (promise, code) => {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof LoginError, `expected a LoginError, got ${error}`);
+    assert.strictEqual(error.code, code, error.message);
+    return true;
+  });
+};
+
+async function main() {
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${stub.address().port}`;
+  const api = createMlyticsApiClient({ baseUrls: { portal: baseUrl }, retries: 0 });
+  const authFile = path.join(DATA_DIR, 'auth.json');
+
+  // RFC 6238 appendix B test vectors for SHA-1: the secret is the ASCII string 12345678901234567890
+  console.log('Checking TOTP codes...');
+  const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  assert.strictEqual(generateTotp(RFC_SECRET, { time: 59 * 1000, digits: 8 }), '94287082');
+  assert.strictEqual(generateTotp(RFC_SECRET, { time: 1111111109 * 1000, digits: 8 }), '07081804');
+  assert.strictEqual(generateTotp(RFC_SECRET, { time: 20000000000 * 1000, digits: 8 }), '65353130');
+  // The default is the last 6 digits, secrets are accepted as shown by setup pages
+  assert.strictEqual(generateTotp(RFC_SECRET, { time: 59 * 1000 }), '287082');
+  assert.strictEqual(generateTotp('gezd gnbv gy3t qojq gezd gnbv gy3t qojq', { time: 1111111109 * 1000 }), '081804');
+  assert.strictEqual(generateTotp(`otpauth://totp/Mlytics:user?secret=${RFC_SECRET}`, { time: 59 * 1000 }), '287082');
+
+  console.log('Logging in with email and password...');
+  const authData = await httpLogin({ email: 'user@example.com', password: PASSWORD, authFile, api });
+  assert.strictEqual(authData.jwt, JWT);
+  assert.strictEqual(authData.method, 'http');
+  assert.strictEqual(authData.loginPath, 'full');
+  const status = await getAuthStatus(authFile);
+  assert.strictEqual(status.loggedIn, true);
+  assert.strictEqual(status.orgId, '42');
+  assert.strictEqual(status.expiresAt, '2100-01-01T00:00:00.000Z');
+
+  console.log('Checking rejected logins...');
+  await expectLoginError(httpLogin({ email: 'user@example.com', password: 'wrong', authFile, api }), 'LOGIN_REJECTED');
+  await expectLoginError(httpLogin({ email: 'captcha@example.com', password: PASSWORD, authFile, api }), 'CAPTCHA_REQUIRED');
+  await expectLoginError(httpLogin({ email: 'notoken@example.com', password: PASSWORD, authFile, api }), 'TOKEN_NOT_FOUND');
+
+  console.log('Checking two-factor authentication...');
+  await expectLoginError(httpLogin({ email: 'mfa@example.com', password: PASSWORD, authFile, api }), 'MFA_REQUIRED');
+  await expectLoginError(httpLogin({ email: 'mfa@example.com', password: PASSWORD, totpCode: '000000', authFile, api }), 'MFA_FAILED');
+  const mfaAuth = await httpLogin({ email: 'mfa@example.com', password: PASSWORD, totpSecret: TOTP_SECRET, authFile, api });
+  assert.strictEqual(mfaAuth.jwt, JWT);
+
+  console.log('Logging in against the mock backend...');
+  const mockAuth = await portalLogin({ strategy: 'auto', email: 'user@example.com', password: 'anything', authFile, api: createMockApiClient() });
+  assert.strictEqual(mockAuth.method, 'http');
+  assert.strictEqual(mockAuth.subject, 'user@example.com');
+  assert.strictEqual((await getAuthStatus(authFile)).expired, false);
+
+  console.log('Checking the browser fallback...');
+  const browserCalls = [];
+  const browserLogin = async (params) => {
+    browserCalls.push(params);
+    return { jwt: JWT, method: 'browser' };
+  };
+  const missingApi = createMlyticsApiClient({ baseUrls: { portal: `${baseUrl}/missing` }, retries: 0 });
+
+  const fallback = await portalLogin({ strategy: 'auto', email: 'user@example.com', password: PASSWORD, authFile, api: missingApi, browserLogin });
+  assert.strictEqual(fallback.method, 'browser');
+  assert.strictEqual(browserCalls.length, 1);
+
+  // A wrong password is not retried in the browser
+  await expectLoginError(portalLogin({ strategy: 'auto', email: 'user@example.com', password: 'wrong', authFile, api, browserLogin }), 'LOGIN_REJECTED');
+  assert.strictEqual(browserCalls.length, 1);
+
+  // The http strategy never opens a browser
+  await expectLoginError(portalLogin({ strategy: 'http', email: 'user@example.com', password: PASSWORD, authFile, api: missingApi, browserLogin }), 'LOGIN_API_UNAVAILABLE');
+  assert.strictEqual(browserCalls.length, 1);
+
+  // Without a browser, auto reports why the login API failed
+  const unavailable = async () => {
+    throw new LoginError('Playwright is not installed', { code: 'BROWSER_UNAVAILABLE' });
+  };
+  await expectLoginError(portalLogin({ strategy: 'auto', email: 'user@example.com', password: PASSWORD, authFile, api: missingApi, browserLogin: unavailable }), 'LOGIN_API_UNAVAILABLE');
+
+  const viaHttp = await portalLogin({ strategy: 'auto', email: 'user@example.com', password: PASSWORD, authFile, api, browserLogin });
+  assert.strictEqual(viaHttp.method, 'http');
+  assert.strictEqual(browserCalls.length, 1);
+
+  console.log('All HTTP login tests passed');
+}
+
+try {
+  await main();
+} finally {
+  stub.close();
+  await fs.rm(DATA_DIR, { recursive: true, force: true });
+}
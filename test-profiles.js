@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Tests for named profiles: switching between them and keeping their credentials apart
+// Run with: node test-profiles.js
+
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { useTemporaryDataDir, makeJwt } from './test-helpers.js';
+
+const DATA_DIR = await useTemporaryDataDir('profiles');
+process.env.MLYTICS_MODE = 'live';
+// Environment credentials, which only the default profile may use
+process.env.MLYTICS_API_KEY = 'env-api-key';
+process.env.MLYTICS_EMAIL = 'default@example.com';
+process.env.MLYTICS_PASSWORD = 'default-password';
+delete process.env.MLYTICS_TOTP_SECRET;
+delete process.env.MLYTICS_LOGIN_STRATEGY;
+
+const { resolveProfile, getProfileDir, ProfileError } = await import('./mcp-profiles.js');
+const { createCredentialProvider } = await import('./mcp-credentials.js');
+const { storeLoginToken } = await import('./mcp-auth.js');
+const { createToolRegistry } = await import('./mcp-registry.js');
+const { default: switchProfile } = await import('./tools/switch-profile.js');
+const { default: listProfiles } = await import('./tools/list-profiles.js');
+
+const registry = createToolRegistry([switchProfile, listProfiles]);
+const call = async (name, args = {}) => JSON.parse((await registry.callTool(name, args, {})).content[0].text);
+
+// Login stand-in storing a token for the email in the auth.json it is given
+const logins = [];
+const login = async ({ email, password, authFile, strategy }) => {
+  logins.push({ email, password, authFile, strategy });
+  return storeLoginToken({ jwt: makeJwt({ sub: email, exp: Math.floor(Date.now() / 1000) + 3600 }), tokenKey: 'jwtToken', email, method: 'http' }, authFile);
+};
+
+async function main() {
+  console.log('Checking the default profile...');
+  let profile = await resolveProfile();
+  assert.strictEqual(profile.name, 'default');
+  assert.strictEqual(profile.dir, DATA_DIR);
+  assert.strictEqual(profile.loginStrategy, 'auto');
+  await assert.rejects(resolveProfile('prod'), ProfileError);
+
+  console.log('Creating and switching profiles...');
+  let result = await call('switch-profile', { name: 'prod' });
+  assert.strictEqual(result.success, false);
+  assert.match(result.message, /Set create to true/);
+
+  result = await call('switch-profile', { name: 'prod', create: true, apiKey: 'prod-api-key', orgId: '42', portalApiBaseUrl: 'https://portal.prod.example', loginStrategy: 'http' });
+  assert.strictEqual(result.success, true);
+  assert.match(result.message, /Created and switched to profile prod, updated orgId, portalApiBaseUrl, loginStrategy, apiKey/);
+  assert.strictEqual(result.data.active, true);
+  assert.strictEqual(result.data.hasApiKey, true);
+  assert.strictEqual(result.data.loggedIn, false);
+  // Secrets are stored encrypted, never in the response or profiles.json
+  assert.ok(!JSON.stringify(result).includes('prod-api-key'));
+  assert.ok(!(await fs.readFile(path.join(DATA_DIR, 'profiles.json'), 'utf-8')).includes('prod-api-key'));
+  assert.ok(!(await fs.readFile(path.join(getProfileDir('prod'), 'api_key.json'), 'utf-8')).includes('prod-api-key'));
+
+  await call('switch-profile', { name: 'staging', create: true, apiKey: 'staging-api-key' });
+  result = await call('switch-profile', { name: 'prod' });
+  assert.strictEqual(result.message, 'Switched to profile prod');
+
+  profile = await resolveProfile();
+  assert.strictEqual(profile.name, 'prod');
+  assert.strictEqual(profile.dir, path.join(DATA_DIR, 'profiles', 'prod'));
+  assert.strictEqual(profile.orgId, '42');
+  assert.strictEqual(profile.baseUrls.portal, 'https://portal.prod.example');
+  assert.strictEqual(profile.loginStrategy, 'http');
+  assert.strictEqual((await resolveProfile('staging')).orgId, null);
+
+  result = await call('list-profiles');
+  assert.deepStrictEqual(result.data.map(p => [p.name, p.active]), [['default', false], ['prod', true], ['staging', false]]);
+  assert.match(result.message, /3 profiles, active profile: prod/);
+
+  assert.strictEqual((await call('switch-profile', { name: '../escape', create: true })).success, false);
+
+  console.log('Checking that API keys are kept apart...');
+  const providers = Object.fromEntries(await Promise.all(['default', 'prod', 'staging'].map(async (name) => [
+    name,
+    createCredentialProvider({ login, profile: await resolveProfile(name) })
+  ])));
+  assert.strictEqual(await providers.default.getApiKey(), 'env-api-key');
+  assert.strictEqual(await providers.prod.getApiKey(), 'prod-api-key');
+  assert.strictEqual(await providers.staging.getApiKey(), 'staging-api-key');
+  // An explicit key wins everywhere
+  assert.strictEqual(await providers.prod.getApiKey('given-key'), 'given-key');
+
+  // MLYTICS_API_KEY and the cred file only apply to the default profile
+  await call('switch-profile', { name: 'nokey', create: true });
+  const noKey = createCredentialProvider({ login, profile: await resolveProfile('nokey') });
+  await assert.rejects(noKey.getApiKey(), /no API key stored/);
+
+  console.log('Checking that logins are kept apart...');
+  // MLYTICS_EMAIL and MLYTICS_PASSWORD only log in the default profile
+  assert.strictEqual(await providers.default.canAuthenticate(), true);
+  assert.strictEqual(await providers.prod.canAuthenticate(), false);
+  await assert.rejects(providers.prod.getJwt(), /No authentication token found/);
+  assert.strictEqual(logins.length, 0);
+
+  await providers.prod.login({ email: 'prod@example.com', password: 'prod-password' });
+  assert.deepStrictEqual(logins[0], {
+    email: 'prod@example.com',
+    password: 'prod-password',
+    authFile: path.join(getProfileDir('prod'), 'auth.json'),
+    strategy: 'http'
+  });
+  assert.strictEqual(JSON.parse(Buffer.from((await providers.prod.getJwt()).split('.')[1], 'base64url')).sub, 'prod@example.com');
+  assert.strictEqual(await providers.staging.canAuthenticate(), false);
+
+  // The default profile logs in with the environment credentials into its own auth.json
+  const defaultJwt = await providers.default.getJwt();
+  assert.strictEqual(JSON.parse(Buffer.from(defaultJwt.split('.')[1], 'base64url')).sub, 'default@example.com');
+  assert.strictEqual(logins[1].authFile, path.join(DATA_DIR, 'auth.json'));
+  assert.strictEqual(logins[1].strategy, 'auto');
+
+  // Credentials remembered in one profile don't refresh another
+  await providers.staging.saveLoginCredentials({ email: 'staging@example.com', password: 'staging-password' });
+  assert.strictEqual(await providers.staging.canAuthenticate(), true);
+  assert.strictEqual(await noKey.canAuthenticate(), false);
+
+  result = await call('list-profiles');
+  const byName = Object.fromEntries(result.data.map(p => [p.name, p]));
+  assert.strictEqual(byName.prod.email, 'prod@example.com');
+  assert.strictEqual(byName.default.email, 'default@example.com');
+  assert.strictEqual(byName.staging.loggedIn, false);
+  assert.ok(!JSON.stringify(result).includes('password'));
+
+  console.log('All profile tests passed');
+}
+
+try {
+  await main();
+} finally {
+  await fs.rm(DATA_DIR, { recursive: true, force: true });
+}
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// Tests for the encrypted storage of tokens, login credentials and API keys
+// Run with: node test-secure-store.js
+
+import assert from 'assert';
+import * as crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createSecureStore, getKeySource, SecureStoreError, KEY_FILE_NAME, SECURE_FILE_MODE } from './mcp-secure-store.js';
+
+const DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'mlytics-secure-store-test-'));
+const MASTER_KEY = '11'.repeat(32);
+const DATA = { apiKey: 'key-1234', nested: { email: 'user@example.com' } };
+
+const store = createSecureStore({ keyDir: DIR });
+const file = (name) => path.join(DIR, name);
+const readRaw = async (name) => JSON.parse(await fs.readFile(file(name), 'utf-8'));
+
+const setKeys = ({ masterKey, passphrase } = {}) => {
+  delete process.env.MLYTICS_MASTER_KEY;
+  delete process.env.MLYTICS_PASSPHRASE;
+  if (masterKey) {
+    process.env.MLYTICS_MASTER_KEY = masterKey;
+  }
+  if (passphrase) {
+    process.env.MLYTICS_PASSPHRASE = passphrase;
+  }
+};
+
+try {
+  console.log('Checking round trips...');
+  setKeys({ masterKey: MASTER_KEY });
+  await store.writeJson(file('master.json'), DATA);
+  const envelope = await readRaw('master.json');
+  assert.strictEqual(envelope.keySource, 'master-key');
+  assert.ok(!JSON.stringify(envelope).includes('key-1234'));
+  assert.strictEqual((await fs.stat(file('master.json'))).mode & 0o777, SECURE_FILE_MODE);
+  assert.deepStrictEqual(await store.readJson(file('master.json')), DATA);
+
+  setKeys({ passphrase: 'correct horse' });
+  await store.writeJson(file('passphrase.json'), DATA);
+  assert.strictEqual((await readRaw('passphrase.json')).keySource, 'passphrase');
+  assert.deepStrictEqual(await store.readJson(file('passphrase.json')), DATA);
+  assert.strictEqual(await store.readJson(file('missing.json')), null);
+
+  console.log('Checking wrong keys...');
+  setKeys({ masterKey: '22'.repeat(32) });
+  await assert.rejects(store.readJson(file('master.json')), error => error instanceof SecureStoreError && /MLYTICS_MASTER_KEY doesn't match/.test(error.message));
+  setKeys({ passphrase: 'wrong' });
+  await assert.rejects(store.readJson(file('passphrase.json')), error => error instanceof SecureStoreError && /MLYTICS_PASSPHRASE doesn't match/.test(error.message));
+  await assert.rejects(store.readJson(file('master.json')), /encrypted with MLYTICS_MASTER_KEY, which is not set/);
+  setKeys({ masterKey: 'too short' });
+  await assert.rejects(store.writeJson(file('short.json'), DATA), /must be 32 bytes/);
+
+  console.log('Checking that nothing is stored without a key...');
+  setKeys();
+  assert.strictEqual(getKeySource(), null);
+  await assert.rejects(store.writeJson(file('nokey.json'), DATA), error => error instanceof SecureStoreError && /MLYTICS_MASTER_KEY .*or MLYTICS_PASSPHRASE/.test(error.message));
+  await assert.rejects(fs.access(file('nokey.json')));
+  await assert.rejects(fs.access(file(KEY_FILE_NAME)));
+
+  console.log('Checking the temporary key of mock mode...');
+  const mockStore = createSecureStore({ keyDir: DIR, allowEphemeralKey: () => true });
+  await mockStore.writeJson(file('ephemeral.json'), DATA);
+  assert.strictEqual((await readRaw('ephemeral.json')).keySource, 'ephemeral');
+  assert.strictEqual((await fs.stat(file('ephemeral.json'))).mode & 0o777, SECURE_FILE_MODE);
+  assert.deepStrictEqual(await mockStore.readJson(file('ephemeral.json')), DATA);
+  await mockStore.writeJson(file('ephemeral.json'), { apiKey: 'key-5678' });
+  assert.deepStrictEqual(await mockStore.readJson(file('ephemeral.json')), { apiKey: 'key-5678' });
+  // Files kept across runs are left alone
+  const masterEnvelope = await readRaw('master.json');
+  await assert.rejects(mockStore.writeJson(file('master.json'), DATA), error => error instanceof SecureStoreError && /encrypted with MLYTICS_MASTER_KEY, set/.test(error.message));
+  assert.deepStrictEqual(await readRaw('master.json'), masterEnvelope);
+  await fs.writeFile(file('plain-mock.json'), JSON.stringify(DATA));
+  await assert.rejects(mockStore.writeJson(file('plain-mock.json'), {}), /stored in plaintext/);
+  assert.deepStrictEqual(await readRaw('plain-mock.json'), DATA);
+  // A configured key wins
+  setKeys({ masterKey: MASTER_KEY });
+  await mockStore.writeJson(file('mock-master.json'), DATA);
+  assert.strictEqual((await readRaw('mock-master.json')).keySource, 'master-key');
+  setKeys();
+
+  console.log('Checking plaintext migration...');
+  await fs.writeFile(file('plain.json'), JSON.stringify(DATA));
+  await assert.rejects(store.encryptPlaintextFile(file('plain.json')), SecureStoreError);
+  assert.deepStrictEqual(await readRaw('plain.json'), DATA);
+
+  setKeys({ masterKey: MASTER_KEY });
+  assert.deepStrictEqual(await store.readJson(file('plain.json')), DATA);
+  assert.strictEqual(await store.encryptPlaintextFile(file('plain.json')), true);
+  assert.strictEqual((await readRaw('plain.json')).encrypted, 'aes-256-gcm');
+  assert.deepStrictEqual(await store.readJson(file('plain.json')), DATA);
+  // Encrypted, missing and non-JSON files are left alone
+  assert.strictEqual(await store.encryptPlaintextFile(file('plain.json')), false);
+  assert.strictEqual(await store.encryptPlaintextFile(file('missing.json')), false);
+  await fs.writeFile(file('notjson'), 'not json');
+  assert.strictEqual(await store.encryptPlaintextFile(file('notjson')), false);
+
+  console.log('Checking files encrypted with a generated key file...');
+  const legacyKey = crypto.randomBytes(32);
+  await fs.writeFile(file(KEY_FILE_NAME), legacyKey.toString('base64'));
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', legacyKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(DATA), 'utf-8'), cipher.final()]);
+  await fs.writeFile(file('legacy.json'), JSON.stringify({
+    encrypted: 'aes-256-gcm',
+    version: 1,
+    keySource: 'key-file',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: ciphertext.toString('base64')
+  }));
+
+  setKeys();
+  assert.deepStrictEqual(await store.readJson(file('legacy.json')), DATA);
+  setKeys({ masterKey: MASTER_KEY });
+  assert.strictEqual(await store.encryptPlaintextFile(file('legacy.json')), true);
+  assert.strictEqual((await readRaw('legacy.json')).keySource, 'master-key');
+  assert.deepStrictEqual(await store.readJson(file('legacy.json')), DATA);
+
+  console.log('All secure store tests passed');
+} finally {
+  await fs.rm(DIR, { recursive: true, force: true });
+}
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Tests for the marking of the tools serving synthetic data, in live mode too
+// Run with: node test-synthetic-data.js
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { useTemporaryDataDir } from './test-helpers.js';
+
+const DATA_DIR = await useTemporaryDataDir('synthetic-data');
+process.env.MLYTICS_MODE = 'live';
+
+const { createToolRegistry } = await import('./mcp-registry.js');
+const { default: getPerformanceData } = await import('./tools/get-performance-data.js');
+const { default: getCostData } = await import('./tools/get-cost-data.js');
+const { default: optimizeStrategy } = await import('./tools/optimize-strategy.js');
+
+const registry = createToolRegistry([getPerformanceData, getCostData, optimizeStrategy]);
+const call = async (name, args = {}) => JSON.parse((await registry.callTool(name, args, { mode: 'live' })).content[0].text);
+
+async function main() {
+  console.log('Checking synthetic data markers...');
+  for (const [name, args] of [['get-performance-data', { timeRange: '1h' }], ['get-cost-data', {}], ['optimize-strategy', {}]]) {
+    const result = await call(name, args);
+    assert.strictEqual(result.success, true, name);
+    assert.strictEqual(result.data_source, 'mock', name);
+    assert.strictEqual(result.is_mock, true, name);
+    assert.match(result.message, /^(Synthetic|Strategy optimized from synthetic)/, name);
+    assert.match(registry.listTools().find(tool => tool.name === name).description, /synthetic/, name);
+  }
+
+  console.log('All synthetic data tests passed');
+}
+
+try {
+  await main();
+} finally {
+  await fs.rm(DATA_DIR, { recursive: true, force: true });
+}
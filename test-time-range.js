@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// Tests for the time ranges of the time-based tools
+// Run with: node test-time-range.js
+
+import assert from 'assert';
+import { resolveTimeRange, formatInTimezone, TimeRangeError } from './mcp-time-range.js';
+
+// Wednesday 2025-04-09 10:30 UTC
+const now = Date.parse('2025-04-09T10:30:00Z');
+
+const range = (params) => resolveTimeRange(params, { now });
+
+const expectError = (params, pattern) => {
+  assert.throws(() => range(params), (error) => {
+    assert.ok(error instanceof TimeRangeError, `expected a TimeRangeError, got ${error}`);
+    assert.match(error.message, pattern);
+    return true;
+  });
+};
+
+console.log('Checking UNIX timestamps...');
+let result = range({ start_time: 1743264000, end_time: 1743955199 });
+assert.strictEqual(result.start_time, 1743264000);
+assert.strictEqual(result.end_time, 1743955199);
+assert.strictEqual(result.start, '2025-03-29T16:00:00Z');
+assert.strictEqual(result.notes, undefined);
+
+result = range({ start_time: 1743264000000, end_time: '1743955199' });
+assert.strictEqual(result.start_time, 1743264000);
+assert.strictEqual(result.end_time, 1743955199);
+assert.deepStrictEqual(result.notes, ['start_time 1743264000000 is in milliseconds, converted to seconds']);
+
+console.log('Checking ISO-8601 dates...');
+result = range({ start_time: '2025-04-01', end_time: '2025-04-07', timezone: 'Asia/Taipei' });
+assert.strictEqual(result.start, '2025-04-01T00:00:00+08:00');
+assert.strictEqual(result.end, '2025-04-07T23:59:59+08:00');
+assert.strictEqual(result.start_time, Date.parse('2025-03-31T16:00:00Z') / 1000);
+
+result = range({ start_time: '2025-04-01T08:00', end_time: '2025-04-01T09:00:00Z', timezone: 'Asia/Taipei' });
+assert.strictEqual(result.start_time, Date.parse('2025-04-01T00:00:00Z') / 1000);
+assert.strictEqual(result.end_time, Date.parse('2025-04-01T09:00:00Z') / 1000);
+
+result = range({ start_time: '2025-04-08' });
+assert.strictEqual(result.end_time, now / 1000);
+
+console.log('Checking relative expressions...');
+result = range({ time_range: 'last 7d' });
+assert.strictEqual(result.start, '2025-04-02T10:30:00Z');
+assert.strictEqual(result.end, '2025-04-09T10:30:00Z');
+assert.strictEqual(range({ time_range: 'past 24 hours' }).start, '2025-04-08T10:30:00Z');
+assert.strictEqual(range({ time_range: 'last 1 month' }).start, '2025-03-09T10:30:00Z');
+
+result = range({ time_range: 'yesterday', timezone: 'Asia/Taipei' });
+assert.strictEqual(result.start, '2025-04-08T00:00:00+08:00');
+assert.strictEqual(result.end, '2025-04-08T23:59:59+08:00');
+
+assert.strictEqual(range({ time_range: 'today' }).start, '2025-04-09T00:00:00Z');
+assert.strictEqual(range({ time_range: 'This Week' }).start, '2025-04-07T00:00:00Z');
+assert.strictEqual(range({ time_range: 'this month' }).start, '2025-04-01T00:00:00Z');
+
+result = range({ time_range: 'last week' });
+assert.strictEqual(result.start, '2025-03-31T00:00:00Z');
+assert.strictEqual(result.end, '2025-04-06T23:59:59Z');
+
+// The month spans the start of daylight saving time
+result = range({ time_range: 'last month', timezone: 'America/New_York' });
+assert.strictEqual(result.start, '2025-03-01T00:00:00-05:00');
+assert.strictEqual(result.end, '2025-03-31T23:59:59-04:00');
+
+result = range({ time_range: '2025-01-01/2025-03-31' });
+assert.strictEqual(result.start_time, Date.parse('2025-01-01T00:00:00Z') / 1000);
+assert.strictEqual(result.end_time, Date.parse('2025-04-01T00:00:00Z') / 1000 - 1);
+assert.deepStrictEqual(range({ time_range: '2025-01-01 to 2025-03-31' }).end, result.end);
+
+console.log('Checking invalid ranges...');
+expectError({}, /time range is required/);
+expectError({ time_range: 'last 7d', start_time: 1743264000 }, /either time_range or start_time/);
+expectError({ time_range: 'next week' }, /Unknown time_range/);
+expectError({ time_range: 'last 7 fortnights' }, /Unknown time_range/);
+expectError({ time_range: 'last 7d', timezone: 'Mars/Olympus' }, /Unknown timezone/);
+expectError({ start_time: '2025-02-30' }, /not a valid date/);
+expectError({ start_time: 'last tuesday' }, /not a UNIX timestamp/);
+expectError({ start_time: -1 }, /positive UNIX timestamp/);
+expectError({ start_time: '2025-04-07', end_time: '2025-04-01' }, /starts .* after it ends/);
+
+assert.strictEqual(formatInTimezone(Date.parse('2025-01-15T12:00:00Z'), 'Asia/Kolkata'), '2025-01-15T17:30:00+05:30');
+
+console.log('All time range tests passed');
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// Tests for the local time-series cache of historical usage
+// Run with: node test-usage-cache.js
+
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createUsageCache, migrateHistoricalReports, getUsageCacheFile, BUCKET_SECONDS as DAY } from './mcp-usage-cache.js';
+import { fetchHistoricalUsage } from './mcp-historical.js';
+
+const DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'mlytics-cache-test-'));
+const START = 1735689600; // 2025-01-01T00:00:00Z
+const NOW = Date.parse('2025-03-01T00:00:00Z');
+const series = { org_id: '42', usage_type: 'cdn_request_sum' };
+
+const dailyPoints = (from, days) => Array.from({ length: days }, (_, day) => [from + day * DAY, day]);
+
+// API stand-in with one point per day, recording the windows it was asked for
+const createApi = () => {
+  const calls = [];
+  const fetchWindow = async ({ start_time, end_time }) => {
+    calls.push({ start_time, end_time });
+    const labels = [];
+    for (let day = start_time - (start_time % DAY); day <= end_time; day += DAY) {
+      labels.push(day);
+    }
+    return { data: { query: {}, diagrams: { cdn_request_sum: { labels, datasets: labels.map(label => (label - START) / DAY) } } } };
+  };
+  return { calls, fetchWindow };
+};
+
+async function main() {
+  const file = path.join(DIR, 'usage_cache.json');
+  const cache = createUsageCache({ file, now: () => NOW });
+
+  console.log('Checking lookups...');
+  let lookup = await cache.lookup({ ...series, start_time: START, end_time: START + 10 * DAY - 1 });
+  assert.deepStrictEqual(lookup.missing, [{ start_time: START, end_time: START + 10 * DAY - 1 }]);
+  assert.strictEqual(lookup.totalBuckets, 10);
+
+  // Only whole days are stored: the period starts mid-day, so its first day is left out
+  const stored = await cache.store([{ ...series, start_time: START + 2 * DAY + 3600, end_time: START + 6 * DAY - 1, points: dailyPoints(START + 2 * DAY, 4) }]);
+  assert.strictEqual(stored, 3);
+
+  lookup = await cache.lookup({ ...series, start_time: START, end_time: START + 10 * DAY - 1 });
+  assert.strictEqual(lookup.cachedBuckets, 3);
+  assert.deepStrictEqual(lookup.points.map(([timestamp]) => timestamp), [START + 3 * DAY, START + 4 * DAY, START + 5 * DAY]);
+  assert.deepStrictEqual(lookup.missing, [
+    { start_time: START, end_time: START + 3 * DAY - 1 },
+    { start_time: START + 6 * DAY, end_time: START + 10 * DAY - 1 }
+  ]);
+  assert.strictEqual(lookup.cachedAt, new Date(NOW).toISOString());
+
+  // Another organization has its own series
+  lookup = await cache.lookup({ org_id: '43', usage_type: 'cdn_request_sum', start_time: START + 3 * DAY, end_time: START + 4 * DAY - 1 });
+  assert.strictEqual(lookup.cachedBuckets, 0);
+
+  console.log('Checking concurrent writes...');
+  const concurrentFile = path.join(DIR, 'profiles', 'staging', 'usage_cache.json');
+  const concurrent = createUsageCache({ file: concurrentFile, now: () => NOW });
+  await Promise.all(Array.from({ length: 5 }, (_, day) => concurrent.store([{ ...series, start_time: START + day * DAY, end_time: START + (day + 1) * DAY - 1, points: dailyPoints(START + day * DAY, 1) }])));
+  lookup = await concurrent.lookup({ ...series, start_time: START, end_time: START + 5 * DAY - 1 });
+  assert.strictEqual(lookup.cachedBuckets, 5);
+
+  // Each profile has its own file, the default one in the data directory
+  assert.strictEqual(getUsageCacheFile({ name: 'staging', dir: path.join(DIR, 'profiles', 'staging') }), concurrentFile);
+  lookup = await cache.lookup({ ...series, start_time: START, end_time: START + DAY - 1 });
+  assert.strictEqual(lookup.cachedBuckets, 0);
+
+  console.log('Checking days still being aggregated...');
+  const today = Date.parse('2025-02-28T00:00:00Z') / 1000;
+  await cache.store([{ ...series, start_time: today, end_time: today + DAY - 1, points: [[today, 5]] }]);
+  lookup = await cache.lookup({ ...series, start_time: today, end_time: today + DAY - 1 });
+  assert.strictEqual(lookup.cachedBuckets, 0);
+  lookup = await cache.lookup({ ...series, start_time: today, end_time: today + DAY - 1, includeUnsettled: true });
+  assert.strictEqual(lookup.cachedBuckets, 1);
+
+  // Portal days in +08:00 are labeled 16:00 UTC and end 16:00 UTC the next day, after the end of their UTC bucket
+  const portalCache = createUsageCache({ file: path.join(DIR, 'portal_cache.json'), now: () => NOW });
+  const portalDay = 1743264000; // 2025-03-30T00:00:00+08:00
+  const bucket = Date.parse('2025-03-29T00:00:00Z') / 1000;
+  const storePortalDay = (fetchedAt) => portalCache.store([{ ...series, start_time: bucket, end_time: bucket + DAY - 1, points: [[portalDay, 7]], fetchedAt: Date.parse(fetchedAt) }]);
+  await storePortalDay('2025-03-30T12:00:00Z');
+  lookup = await portalCache.lookup({ ...series, start_time: bucket, end_time: bucket + DAY - 1 });
+  assert.strictEqual(lookup.cachedBuckets, 0);
+  await storePortalDay('2025-03-30T22:00:00Z');
+  lookup = await portalCache.lookup({ ...series, start_time: bucket, end_time: bucket + DAY - 1 });
+  assert.strictEqual(lookup.cachedBuckets, 1);
+  assert.deepStrictEqual(lookup.points, [[portalDay, 7]]);
+
+  console.log('Checking fetches of missing days only...');
+  const api = createApi();
+  const params = { ...series, start_time: START, end_time: START + 10 * DAY - 1, windowDays: 31, cache };
+  let report = await fetchHistoricalUsage(api.fetchWindow, params);
+  assert.deepStrictEqual(api.calls, [
+    { start_time: START, end_time: START + 3 * DAY - 1 },
+    { start_time: START + 6 * DAY, end_time: START + 10 * DAY - 1 }
+  ]);
+  assert.strictEqual(report.cachedBuckets, 3);
+  assert.deepStrictEqual(report.response.data.diagrams.cdn_request_sum.labels, dailyPoints(START, 10).map(([timestamp]) => timestamp));
+
+  report = await fetchHistoricalUsage(api.fetchWindow, { ...params, convert_milli_timestamp: true });
+  assert.strictEqual(api.calls.length, 2);
+  assert.strictEqual(report.cachedBuckets, 10);
+  assert.strictEqual(report.response.data.diagrams.cdn_request_sum.labels[0], START * 1000);
+
+  console.log('Checking retention and size limits...');
+  const small = createUsageCache({ file, maxBuckets: 5, now: () => NOW });
+  assert.strictEqual(await small.prune(), 6);
+  const expiring = createUsageCache({ file, retentionDays: 1, now: () => NOW + 2 * DAY * 1000 });
+  assert.strictEqual(await expiring.prune(), 5);
+  const disabled = createUsageCache({ file, maxBuckets: 0 });
+  assert.strictEqual(await disabled.store([{ ...series, start_time: START, end_time: START + DAY - 1, points: [] }]), 0);
+
+  console.log('Checking the import of historical_reports.json...');
+  const reportsFile = path.join(DIR, 'historical_reports.json');
+  await fs.writeFile(reportsFile, JSON.stringify([
+    { ...series, start_time: START, end_time: START + 2 * DAY - 1, convert_milli_timestamp: true, timestamp: '2025-02-01T00:00:00.000Z', response: { data: { diagrams: { cdn_request_sum: { labels: [START * 1000, (START + DAY) * 1000], datasets: [7, 8] } } } } },
+    { ...series, is_mock: true, start_time: START + 2 * DAY, end_time: START + 3 * DAY - 1, timestamp: '2025-02-01T00:00:00.000Z', response: { data: { diagrams: { cdn_request_sum: { labels: [START + 2 * DAY], datasets: [99] } } } } }
+  ]));
+  assert.strictEqual(await migrateHistoricalReports({ cache, reportsFile }), 2);
+  await assert.rejects(fs.access(reportsFile));
+  lookup = await cache.lookup({ ...series, start_time: START, end_time: START + 3 * DAY - 1 });
+  assert.deepStrictEqual(lookup.points, [[START, 7], [START + DAY, 8]]);
+  assert.deepStrictEqual(lookup.missing, [{ start_time: START + 2 * DAY, end_time: START + 3 * DAY - 1 }]);
+
+  // The log is left alone while the cache is disabled
+  const liveReport = { ...series, start_time: START, end_time: START + 2 * DAY - 1, timestamp: '2025-02-01T00:00:00.000Z', response: { data: { diagrams: { cdn_request_sum: { labels: [START, START + DAY], datasets: [7, 8] } } } } };
+  await fs.writeFile(reportsFile, JSON.stringify([liveReport]));
+  assert.strictEqual(await migrateHistoricalReports({ cache: createUsageCache({ file, maxBuckets: 0 }), reportsFile }), 0);
+  await fs.access(reportsFile);
+
+  // Reports past retention are pruned as soon as they are imported, the log is kept as a backup
+  const expiredFile = path.join(DIR, 'expired_cache.json');
+  const shortRetention = createUsageCache({ file: expiredFile, retentionDays: 7, now: () => NOW });
+  assert.strictEqual(await migrateHistoricalReports({ cache: shortRetention, reportsFile }), 2);
+  await assert.rejects(fs.access(reportsFile));
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(`${reportsFile}.bak`, 'utf8')), [liveReport]);
+  lookup = await shortRetention.lookup({ ...series, start_time: START, end_time: START + 2 * DAY - 1 });
+  assert.strictEqual(lookup.cachedBuckets, 0);
+
+  console.log('All usage cache tests passed');
+}
+
+try {
+  await main();
+} finally {
+  await fs.rm(DIR, { recursive: true, force: true });
+}
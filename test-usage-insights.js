@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// Tests for the daily usage statistics and anomaly detection of usage-insights
+// Run with: node test-usage-insights.js
+
+import assert from 'assert';
+import { summarizeDailyUsage } from './mcp-analytics.js';
+
+const DAY = 86400;
+const START = 1735689600; // 2025-01-01T00:00:00Z, a Wednesday
+
+// Daily series with quiet weekends and a few percent of noise
+const weeklySeries = (days) => {
+  const labels = [];
+  const values = [];
+  for (let i = 0; i < days; i++) {
+    const weekday = new Date((START + i * DAY) * 1000).getUTCDay();
+    labels.push(START + i * DAY);
+    values.push((weekday === 0 || weekday === 6 ? 1000 : 3000) * (1 + (((i * 37) % 11) - 5) / 100));
+  }
+  return { labels, values };
+};
+
+console.log('Checking statistics...');
+let summary = summarizeDailyUsage(
+  [START, START + 3600, START + DAY, START + 2 * DAY, START + 3 * DAY],
+  [10, 5, 20, null, 40]
+);
+assert.strictEqual(summary.total, 75);
+assert.strictEqual(summary.days, 3);
+assert.strictEqual(summary.missing_days, 1);
+assert.deepStrictEqual(summary.daily, { mean: 25, median: 20, p95: 38, min: 15, max: 40 });
+assert.deepStrictEqual(summary.peak, { date: '2025-01-04', weekday: 'Saturday', value: 40 });
+assert.strictEqual(summary.week_over_week, null);
+assert.ok(summary.anomaly_detection.skipped);
+assert.strictEqual(summarizeDailyUsage([START], [null]), null);
+
+// Days the period only partly covers count in the total only
+summary = summarizeDailyUsage([START, START + DAY, START + 2 * DAY], [100, 10, 100], { start_time: START + 3600, end_time: START + 2 * DAY + 3600 });
+assert.strictEqual(summary.total, 210);
+assert.deepStrictEqual(summary.partial_days, ['2025-01-01', '2025-01-03']);
+assert.strictEqual(summary.days, 1);
+assert.strictEqual(summary.peak.value, 10);
+
+console.log('Checking days in a timezone...');
+// The portal labels its +08:00 days at 16:00 UTC: 1743264000 is Sunday 2025-03-30 in Taipei
+const PORTAL_START = 1743264000;
+const portalLabels = Array.from({ length: 14 }, (_, i) => PORTAL_START + i * DAY);
+const portalValues = portalLabels.map((label, i) => (i === 6 ? 5000 : 1000 + i));
+const portalPeriod = { start_time: PORTAL_START, end_time: PORTAL_START + 14 * DAY - 1 };
+summary = summarizeDailyUsage(portalLabels, portalValues, { ...portalPeriod, timezone: 'Asia/Taipei' });
+assert.deepStrictEqual(summary.partial_days, []);
+assert.strictEqual(summary.days, 14);
+assert.strictEqual(summary.first_day, '2025-03-30');
+assert.strictEqual(summary.last_day, '2025-04-12');
+assert.deepStrictEqual(summary.peak, { date: '2025-04-05', weekday: 'Saturday', value: 5000 });
+assert.strictEqual(summary.week_over_week.current_week.start, '2025-04-06');
+// In UTC the same points fall on the day before, and the first one starts before the period
+summary = summarizeDailyUsage(portalLabels, portalValues, portalPeriod);
+assert.deepStrictEqual(summary.partial_days, ['2025-03-29']);
+assert.deepStrictEqual(summary.peak, { date: '2025-04-04', weekday: 'Friday', value: 5000 });
+
+console.log('Checking week over week...');
+let { labels, values } = weeklySeries(28);
+values = values.map((value, index) => (index >= 21 ? value * 2 : value));
+summary = summarizeDailyUsage(labels, values);
+assert.strictEqual(summary.week_over_week.current_week.start, '2025-01-22');
+assert.strictEqual(summary.week_over_week.previous_week.end, '2025-01-21');
+assert.ok(Math.abs(summary.week_over_week.change_pct - 100) < 5);
+
+console.log('Checking anomalies...');
+({ labels, values } = weeklySeries(42));
+summary = summarizeDailyUsage(labels, values);
+assert.strictEqual(summary.anomaly_detection.seasonality, 'weekday');
+assert.ok(summary.weekday_factors.Sunday < 0.5 && summary.weekday_factors.Monday > 1.1);
+// Weekends are quiet every week, not anomalous
+assert.deepStrictEqual(summary.anomalies, []);
+
+values[20] = 9000; // Tuesday 2025-01-21
+values[25] = 200; // Sunday 2025-01-26
+summary = summarizeDailyUsage(labels, values);
+assert.deepStrictEqual(summary.anomalies.map(day => [day.date, day.direction]), [['2025-01-21', 'spike'], ['2025-01-26', 'drop']]);
+assert.ok(Math.abs(summary.anomalies[0].expected - 3000) < 300);
+// The spike doesn't raise the factor of its weekday
+assert.ok(Math.abs(summary.weekday_factors.Tuesday - summary.weekday_factors.Monday) < 0.1);
+assert.deepStrictEqual(summarizeDailyUsage(labels, values, { anomalyThreshold: 30 }).anomalies.map(day => day.date), ['2025-01-21']);
+
+// A 3000 on a Saturday is a spike, the same value on a Monday is not
+({ labels, values } = weeklySeries(42));
+values[24] = 3000; // Saturday 2025-01-25
+values[26] = 3000; // Monday 2025-01-27
+summary = summarizeDailyUsage(labels, values);
+assert.deepStrictEqual(summary.anomalies.map(day => day.date), ['2025-01-25']);
+
+// Without weekday patterns, over gaps, days are compared with the median as they are
+values.splice(10, 1);
+labels.splice(10, 1);
+summary = summarizeDailyUsage(labels, values);
+assert.strictEqual(summary.anomaly_detection.seasonality, 'none');
+assert.strictEqual(summary.weekday_factors, null);
+
+// A weekday without traffic can't be divided by, days are compared with their weekday's median instead
+({ labels, values } = weeklySeries(28));
+values = values.map((value, index) => (new Date(labels[index] * 1000).getUTCDay() === 0 ? 0 : value));
+summary = summarizeDailyUsage(labels, values);
+assert.strictEqual(summary.weekday_factors.Sunday, 0);
+assert.strictEqual(summary.anomaly_detection.seasonality, 'weekday (additive)');
+assert.deepStrictEqual(summary.anomalies, []);
+values[18] = 2500; // Sunday 2025-01-19
+summary = summarizeDailyUsage(labels, values);
+assert.deepStrictEqual(summary.anomalies.map(day => [day.date, day.direction, day.expected]), [['2025-01-19', 'spike', 0]]);
+assert.ok(Number.isFinite(summary.anomalies[0].score));
+
+// A flat series has no anomaly, even with a median absolute deviation of 0
+summary = summarizeDailyUsage(labels, labels.map(() => 500));
+assert.deepStrictEqual(summary.anomalies, []);
+
+console.log('All usage insights tests passed');
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { useTemporaryDataDir } from './test-helpers.js';
+
+const DATA_DIR = await useTemporaryDataDir('zone-file');
+const { parseZoneFile, groupRecordsIntoRRSets, normalizeRRSets, renderZoneFile, renderZoneCsv } = await import('./mcp-zonefile.js');
+const { validateRecordValues } = await import('./mcp-dns-validation.js');
+const { findRRSet } = await import('./mcp-dns.js');
+const { createToolRegistry } = await import('./mcp-registry.js');
+const { default: importZoneFile } = await import('./tools/import-zone-file.js');
+const { default: exportZone } = await import('./tools/export-zone.js');
+
+const ZONE_FILE = `
+$ORIGIN example.com.
+$TTL 1h
+@   IN SOA ns1.example.com. admin.example.com. (
+        2024010101 ; serial
+        7200 3600 1209600 3600 )
+    IN NS ns1.mlytics.com.
+    IN MX 10 mail
+    IN MX 20 mail2.example.net.
+    IN A 192.0.2.1
+    IN A 192.0.2.2
+www 300 IN CNAME @
+mail IN A 192.0.2.10
+txt IN TXT "v=spf1 include:_spf.example.com " "~all"
+_sip._tcp IN SRV 10 5 5060 sip
+    IN SRV 20 5 5060 sip2.example.net.
+@ IN CAA 0 issue "letsencrypt.org"
+@ IN CAA 0 iodef mailto:security@example.com
+cdn IN ALIAS lb.example.net.
+old IN HINFO "PC" "Linux"
+$ORIGIN sub.example.com.
+api 600 A 192.0.2.20
+`;
+
+// Tool context for a zone holding the given rrsets
+const zoneContext = (rrsets) => ({
+  api: {
+    listZones: async () => ({ data: [{ id: 'zone-1', domain_name: 'example.com' }] }),
+    listRRSets: async () => ({ data: rrsets })
+  },
+  credentials: { getApiKey: async () => 'api-key' }
+});
+const registry = createToolRegistry([importZoneFile, exportZone]);
+
+// Dry run of import-zone-file against a zone holding the given rrsets
+const planImport = async (zoneFile, rrsets) => {
+  const response = await registry.callTool('import-zone-file', { siteId: 'zone-1', zoneFile }, zoneContext(rrsets));
+  return JSON.parse(response.content[0].text);
+};
+
+// export-zone writing to outputFile
+const exportTo = async (outputFile) => {
+  const rrsets = [{ id: 'r1', name: 'www', type: 'A', ttl: 300, records: [{ value: '192.0.2.1' }] }];
+  const response = await registry.callTool('export-zone', { siteId: 'zone-1', outputFile }, zoneContext(rrsets));
+  return JSON.parse(response.content[0].text);
+};
+
+async function main() {
+  console.log('Parsing zone file...');
+  const parsed = parseZoneFile(ZONE_FILE);
+  assert.deepStrictEqual(parsed.errors, []);
+  assert.strictEqual(parsed.records.length, 16);
+
+  const { rrsets, skipped } = groupRecordsIntoRRSets(parsed.records, 'example.com');
+  console.log(`Grouped into ${rrsets.length} rrsets, ${skipped.length} records skipped`);
+
+  const byKey = Object.fromEntries(rrsets.map(r => [`${r.name} ${r.type}`, r]));
+  assert.deepStrictEqual(byKey['example.com A'].values, ['192.0.2.1', '192.0.2.2']);
+  assert.deepStrictEqual(byKey['example.com MX'].values, ['10 mail.example.com', '20 mail2.example.net']);
+  assert.deepStrictEqual(byKey['www.example.com CNAME'], { name: 'www.example.com', type: 'CNAME', ttl: 300, values: ['example.com'], lines: [12] });
+  assert.deepStrictEqual(byKey['txt.example.com TXT'].values, ['"v=spf1 include:_spf.example.com " "~all"']);
+  assert.strictEqual(byKey['api.sub.example.com A'].ttl, 600);
+  assert.deepStrictEqual(byKey['_sip._tcp.example.com SRV'].values, ['10 5 5060 sip.example.com', '20 5 5060 sip2.example.net']);
+  assert.deepStrictEqual(byKey['example.com CAA'].values, ['0 issue "letsencrypt.org"', '0 iodef "mailto:security@example.com"']);
+  assert.deepStrictEqual(byKey['cdn.example.com ALIAS'].values, ['lb.example.net']);
+  assert.deepStrictEqual(skipped.map(s => s.type), ['SOA', 'NS', 'HINFO']);
+
+  console.log('Checking parse errors...');
+  const broken = parseZoneFile('www IN A 192.0.2.1\n$INCLUDE other.zone\n', {});
+  assert.deepStrictEqual(broken.errors.map(e => e.line), [1, 2]);
+
+  console.log('Round-tripping through export...');
+  const records = normalizeRRSets(rrsets.map((r, i) => ({ ...r, id: `r${i}` })), 'example.com');
+  const exported = renderZoneFile(records, { domain: 'example.com', siteId: 'site-1' });
+  const reparsed = groupRecordsIntoRRSets(parseZoneFile(exported).records, 'example.com');
+  assert.deepStrictEqual(
+    normalizeRRSets(reparsed.rrsets, 'example.com').map(({ id, ...r }) => r),
+    records.map(({ id, ...r }) => r)
+  );
+  assert.deepStrictEqual(reparsed.skipped, []);
+
+  const longTxt = normalizeRRSets([{ name: 'long', type: 'TXT', ttl: 60, values: ['x'.repeat(300)] }], 'example.com');
+  const longParsed = parseZoneFile(renderZoneFile(longTxt, { domain: 'example.com', siteId: 'site-1' }));
+  assert.deepStrictEqual(normalizeRRSets(groupRecordsIntoRRSets(longParsed.records, 'example.com').rrsets, 'example.com')[0].values, longTxt[0].values);
+  assert.deepStrictEqual(longTxt[0].values, [`"${'x'.repeat(255)}" "${'x'.repeat(45)}"`]);
+
+  // Character strings split elsewhere than every 255 characters keep their boundaries
+  const dkim = `"v=DKIM1; k=rsa; p=${'A'.repeat(230)}" "${'B'.repeat(170)}"`;
+  const dkimImported = groupRecordsIntoRRSets(parseZoneFile(`$ORIGIN example.com.\nsel._domainkey 300 IN TXT ( ${dkim} )\n`).records, 'example.com').rrsets;
+  assert.deepStrictEqual(dkimImported[0].values, [dkim]);
+  const dkimExported = renderZoneFile(normalizeRRSets(dkimImported, 'example.com'), { domain: 'example.com', siteId: 'site-1' });
+  assert.ok(dkimExported.includes(`sel._domainkey\t300\tIN\tTXT\t${dkim}`));
+  assert.deepStrictEqual(groupRecordsIntoRRSets(parseZoneFile(dkimExported).records, 'example.com').rrsets[0].values, [dkim]);
+
+  // The 255 limit applies to each character string, not to the whole TXT data
+  assert.deepStrictEqual(validateRecordValues('TXT', [dkim]), []);
+  assert.deepStrictEqual(validateRecordValues('TXT', ['x'.repeat(300)]), []);
+  assert.match(validateRecordValues('TXT', [`"${'x'.repeat(256)}" "y"`])[0].message, /character string 1 is 256 bytes/);
+  assert.match(validateRecordValues('TXT', ['x'.repeat(70000)])[0].message, /maximum is 65535/);
+
+  const csv = renderZoneCsv(records);
+  assert.ok(csv.startsWith('id,name,type,ttl,proxied,value\n'));
+  assert.strictEqual(csv.trim().split('\n').length, 1 + records.reduce((n, r) => n + r.values.length, 0));
+
+  console.log('Checking CNAME conflicts on import...');
+  // A new A record next to an existing CNAME, and a new CNAME next to an existing A record
+  let result = await planImport('$ORIGIN example.com.\nwww IN A 192.0.2.1\n', [{ id: 'r1', name: 'www', type: 'CNAME', records: [{ value: 'example.com' }] }]);
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(result.data.create, []);
+  assert.deepStrictEqual(result.data.errors.map(e => [e.name, e.type]), [['www.example.com', 'A']]);
+  assert.match(result.data.errors[0].message, /is a CNAME/);
+
+  result = await planImport('$ORIGIN example.com.\nwww IN CNAME @\n', [{ id: 'r1', name: 'www.example.com.', type: 'A', records: [{ value: '192.0.2.1' }] }]);
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(result.data.create, []);
+  assert.deepStrictEqual(result.data.errors.map(e => [e.name, e.type]), [['www.example.com', 'CNAME']]);
+
+  // Both sides in the file
+  result = await planImport('$ORIGIN example.com.\nwww IN CNAME @\nwww IN A 192.0.2.1\nmail IN A 192.0.2.10\n', []);
+  assert.deepStrictEqual(result.data.errors.map(e => e.type).sort(), ['A', 'CNAME']);
+  assert.deepStrictEqual(result.data.create.map(r => r.name), ['mail.example.com']);
+
+  console.log('Checking export files...');
+  let exportResult = await exportTo('exports/example.com.zone');
+  assert.strictEqual(exportResult.success, true);
+  assert.match(await fs.readFile(path.join(DATA_DIR, 'exports', 'example.com.zone'), 'utf-8'), /192\.0\.2\.1/);
+  assert.strictEqual((await exportTo('../outside.zone')).success, false);
+
+  // Symbolic links can't lead the write outside the data directory, whether at the file or in its directories
+  const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'mlytics-zone-file-outside-'));
+  try {
+    await fs.writeFile(path.join(outside, 'target'), 'untouched');
+    await fs.symlink(path.join(outside, 'target'), path.join(DATA_DIR, 'exports', 'link.zone'));
+    await fs.symlink(outside, path.join(DATA_DIR, 'linked-dir'));
+    for (const outputFile of ['exports/link.zone', 'linked-dir/example.com.zone', 'linked-dir/sub/example.com.zone']) {
+      exportResult = await exportTo(outputFile);
+      assert.strictEqual(exportResult.success, false, outputFile);
+      assert.match(exportResult.message, /not a symbolic link/);
+    }
+    assert.deepStrictEqual(await fs.readdir(outside), ['target']);
+    assert.strictEqual(await fs.readFile(path.join(outside, 'target'), 'utf-8'), 'untouched');
+  } finally {
+    await fs.rm(outside, { recursive: true, force: true });
+  }
+
+  console.log('Finding records by name...');
+  const listed = [
+    { id: 'r1', name: 'www.example.com.', type: 'A' },
+    { id: 'r2', name: 'example.com.', type: 'MX' },
+    { id: 'r3', name: 'mail', type: 'A' }
+  ];
+  const find = (name, type, domain = 'example.com') => findRRSet(listed, { name, type, domain }).rrset?.id;
+  assert.strictEqual(find('www', 'A'), 'r1');
+  assert.strictEqual(find('WWW.example.com', 'A'), 'r1');
+  assert.strictEqual(find('@', 'MX'), 'r2');
+  assert.strictEqual(find('mail.example.com.', 'A'), 'r3');
+  assert.strictEqual(find('www', 'AAAA'), undefined);
+  assert.strictEqual(find('www.example.com.', 'A', undefined), 'r1');
+
+  console.log('\nExported zone file:');
+  console.log(exported);
+  console.log('All zone file tests passed');
+}
+
+try {
+  await main();
+} finally {
+  await fs.rm(DATA_DIR, { recursive: true, force: true });
+}
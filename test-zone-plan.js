@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+// Tests for the plans reconciling a desired record set with the records of a zone
+// Run with: node test-zone-plan.js
+
+import assert from 'assert';
+import { computeZonePlan, getPlanId, formatPlan } from './mcp-zone-plan.js';
+import { createToolRegistry } from './mcp-registry.js';
+import applyZone from './tools/apply-zone.js';
+
+const DOMAIN = 'example.com';
+
+const rrset = (id, name, type, values, ttl = 3600) => ({ id, name, type, ttl, records: values.map(value => ({ value })) });
+
+const CURRENT = [
+  rrset('soa', 'example.com.', 'SOA', ['ns1.mlytics.com. admin.example.com. 1 7200 3600 1209600 3600']),
+  rrset('ns', 'example.com.', 'NS', ['ns1.mlytics.com.', 'ns2.mlytics.com.']),
+  rrset('r1', 'www.example.com.', 'A', ['192.0.2.2', '192.0.2.1']),
+  rrset('r2', '@', 'MX', ['10 Mail.Example.com.'], 300),
+  rrset('r3', 'old', 'TXT', ['"v=spf1 -all"']),
+  rrset('r4', 'host', 'HINFO', ['"PC" "Linux"'])
+];
+
+const DESIRED = [
+  // Same values in another order and case, with or without the trailing dot
+  { name: 'www', type: 'A', values: ['192.0.2.1', '192.0.2.2'] },
+  { name: '@', type: 'MX', values: [{ priority: 10, target: 'mail.example.com' }] },
+  { name: 'api.example.com.', type: 'AAAA', ttl: 600, values: ['2001:db8::1'] }
+];
+
+console.log('Checking plans...');
+let plan = computeZonePlan(CURRENT, DESIRED, { domain: DOMAIN });
+assert.deepStrictEqual(plan.create, [{ name: 'api.example.com', type: 'AAAA', ttl: 600, proxied: false, values: ['2001:db8::1'] }]);
+assert.deepStrictEqual(plan.update.map(r => [r.id, r.changes]), [['r2', { ttl: { from: 300, to: 3600 } }]]);
+assert.deepStrictEqual(plan.delete.map(r => r.id), ['r3']);
+assert.deepStrictEqual(plan.unchanged.map(r => r.id), ['r1']);
+// SOA and apex NS records belong to Mlytics, unknown types are left alone
+assert.deepStrictEqual(plan.ignored.map(r => [r.id, r.reason]), [
+  ['soa', 'Managed by Mlytics'],
+  ['ns', 'Managed by Mlytics'],
+  ['r4', 'Record type HINFO is not managed by plans']
+]);
+assert.deepStrictEqual(plan.errors, []);
+assert.deepStrictEqual(formatPlan(plan), [
+  '+ api.example.com AAAA ttl=600 [2001:db8::1]',
+  '~ example.com MX ttl 300 -> 3600',
+  '- old.example.com TXT ttl=3600 [v=spf1 -all]',
+  'Plan: 1 to create, 1 to update, 1 to delete, 1 unchanged'
+]);
+
+// Without pruning, records missing from the desired set are kept
+plan = computeZonePlan(CURRENT, DESIRED, { domain: DOMAIN, prune: false });
+assert.deepStrictEqual(plan.delete, []);
+assert.ok(plan.ignored.some(r => r.id === 'r3' && /prune is disabled/.test(r.reason)));
+
+// A zone matching the desired records needs no change, quoted or not
+plan = computeZonePlan(CURRENT, [
+  DESIRED[0],
+  { ...DESIRED[1], ttl: 300 },
+  { name: 'old', type: 'TXT', values: ['v=spf1 -all'] }
+], { domain: DOMAIN });
+assert.deepStrictEqual([plan.create, plan.update, plan.delete], [[], [], []]);
+assert.deepStrictEqual(plan.unchanged.map(r => r.id), ['r1', 'r2', 'r3']);
+assert.strictEqual(formatPlan(plan).pop(), 'Plan: 0 to create, 0 to update, 0 to delete, 3 unchanged');
+
+console.log('Checking invalid desired records...');
+plan = computeZonePlan([], [
+  { name: 'www', type: 'A', values: ['192.0.2.1'] },
+  { name: 'WWW.example.com', type: 'A', values: ['192.0.2.2'] },
+  { name: 'www.example.net.', type: 'A', values: ['192.0.2.3'] }
+], { domain: DOMAIN });
+assert.deepStrictEqual(plan.errors.map(e => e.message), [
+  'www.example.com A is listed more than once, merge its values into one entry',
+  'www.example.net is outside the zone example.com'
+]);
+assert.deepStrictEqual(plan.create.map(r => r.values), [['192.0.2.1']]);
+
+console.log('Checking plan IDs...');
+const planId = getPlanId(computeZonePlan(CURRENT, DESIRED, { domain: DOMAIN }));
+assert.match(planId, /^[0-9a-f]{16}$/);
+assert.strictEqual(getPlanId(computeZonePlan([...CURRENT].reverse(), [...DESIRED].reverse(), { domain: DOMAIN })), planId);
+// Any change to the zone or the desired records gives another ID
+assert.notStrictEqual(getPlanId(computeZonePlan(CURRENT.slice(0, 3), DESIRED, { domain: DOMAIN })), planId);
+assert.notStrictEqual(getPlanId(computeZonePlan(CURRENT, DESIRED.slice(1), { domain: DOMAIN })), planId);
+
+console.log('Checking CNAME conflicts with the records left in place...');
+// An existing CNAME kept because prune is disabled, and a new A record at its name
+plan = computeZonePlan(
+  [rrset('r1', 'www.example.com.', 'CNAME', ['example.com.'])],
+  [{ name: 'www', type: 'A', values: ['192.0.2.1'] }],
+  { domain: DOMAIN, prune: false }
+);
+assert.deepStrictEqual(plan.errors.map(e => [e.name, e.type]), [['www.example.com', 'A']]);
+assert.match(plan.errors[0].message, /www\.example\.com is a CNAME/);
+
+// An existing A record kept in place, and a new CNAME at its name
+plan = computeZonePlan(
+  [rrset('r1', 'www', 'A', ['192.0.2.1'])],
+  [{ name: 'www', type: 'CNAME', values: ['example.com'] }],
+  { domain: DOMAIN, prune: false }
+);
+assert.deepStrictEqual(plan.errors.map(e => [e.name, e.type]), [['www.example.com', 'CNAME']]);
+assert.match(plan.errors[0].message, /already has A records/);
+
+// Pruned records are deleted first, so a record can change type
+plan = computeZonePlan(
+  [rrset('r1', 'www', 'A', ['192.0.2.1'])],
+  [{ name: 'www', type: 'CNAME', values: ['example.com'] }],
+  { domain: DOMAIN }
+);
+assert.deepStrictEqual(plan.errors, []);
+assert.deepStrictEqual(plan.delete.map(r => r.id), ['r1']);
+assert.deepStrictEqual(plan.create.map(r => r.type), ['CNAME']);
+
+// Both sides in the desired records
+plan = computeZonePlan([], [
+  { name: 'www', type: 'CNAME', values: ['example.com'] },
+  { name: 'www', type: 'AAAA', values: ['2001:db8::1'] }
+], { domain: DOMAIN });
+assert.deepStrictEqual(plan.errors.map(e => e.type).sort(), ['AAAA', 'CNAME']);
+
+console.log('Checking apply-zone refusals...');
+// The plan ID is only handed out by plan-zone, a refused apply never tells it
+const deleted = [];
+const api = {
+  listZones: async () => ({ data: [{ id: 'zone-1', domain_name: 'example.com' }] }),
+  listRRSets: async () => ({ data: CURRENT }),
+  deleteRRSet: async (zoneId, id) => deleted.push(id)
+};
+const context = { api, credentials: { getApiKey: async () => 'api-key' } };
+const registry = createToolRegistry([applyZone]);
+const apply = async (args) => JSON.parse((await registry.callTool('apply-zone', { siteId: 'zone-1', records: DESIRED, ...args }, context)).content[0].text);
+
+let result = await apply({});
+assert.strictEqual(result.success, false);
+assert.match(result.message, /deletes 1 rrsets/);
+assert.deepStrictEqual(result.data.delete.map(r => r.id), ['r3']);
+assert.ok(!JSON.stringify(result).includes(planId));
+
+result = await apply({ planId: '0000000000000000' });
+assert.strictEqual(result.success, false);
+assert.match(result.message, /changed since plan 0000000000000000/);
+assert.ok(!JSON.stringify(result).includes(planId));
+assert.deepStrictEqual(deleted, []);
+
+console.log('All zone plan tests passed');
@@ -0,0 +1,101 @@
+// add-dns-record: create an rrset in a Mlytics zone
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse, loadDataOrDefault, saveData, dnsRecordsFile } from '../mcp-common.js';
+import {
+  DNS_RECORD_TYPES,
+  DnsRecordValueSchema,
+  extractRRSets,
+  normalizeRecordName,
+  serializeRecordValues,
+  toRRSetDetail
+} from '../mcp-dns.js';
+import { refineDnsRecord, findRecordConflicts, createValidationErrorResponse } from '../mcp-dns-validation.js';
+
+export const AddDnsRecordSchema = z.object({
+  siteId: z.string(),
+  name: z.string(),
+  type: z.enum(DNS_RECORD_TYPES),
+  ttl: z.number().optional(),
+  values: z.array(DnsRecordValueSchema)
+    .describe('Record values as strings, or objects with priority/target (MX), priority/weight/port/target (SRV) or flags/tag/value (CAA)'),
+  proxied: z.boolean().optional(),
+  apiKey: z.string().optional(),
+}).superRefine(refineDnsRecord);
+
+export default defineTool({
+  name: 'add-dns-record',
+  description: 'Add a DNS record to a site',
+  schema: AddDnsRecordSchema,
+  handler: async ({ siteId, name: recordName, type, ttl, values, proxied, apiKey: providedApiKey }, { api, credentials }) => {
+    try {
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      // Check the record against the zone's existing records before creating it
+      const zonesResponse = await api.listZones({ apiKey });
+      const zone = zonesResponse.data.find(z => String(z.id) === String(siteId));
+
+      if (!zone) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: `Site '${siteId}' not found in Mlytics CDN`,
+          data: {
+            available_sites: zonesResponse.data.map(z => ({ id: z.id, domain: z.domain_name }))
+          }
+        }));
+      }
+
+      const listing = await api.listRRSets(zone.id, { apiKey });
+      const conflicts = findRecordConflicts(
+        { name: recordName, type },
+        extractRRSets(listing.data),
+        normalizeRecordName(zone.domain_name)
+      );
+      if (conflicts.length > 0) {
+        return createValidationErrorResponse(conflicts);
+      }
+
+      // Prepare the request payload, structured values are sent in their zone file form
+      const recordValues = serializeRecordValues(type, values);
+      const detail = toRRSetDetail(recordValues);
+
+      const payload = {
+        type,
+        name: recordName,
+        ttl: ttl || 3600,
+        proxied: proxied !== undefined ? proxied : false,
+        detail
+      };
+
+      // Call the Mlytics API to create a DNS record
+      const responseData = await api.createRRSet(siteId, payload, { apiKey });
+
+      // Save DNS record data locally as well
+      const newRecord = {
+        id: responseData.data.rrsets[0].id,
+        site_id: siteId,
+        name: recordName,
+        type,
+        ttl: ttl || 3600,
+        proxied: proxied !== undefined ? proxied : false,
+        values: recordValues,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        api_response: responseData
+      };
+
+      const dnsRecords = await loadDataOrDefault(dnsRecordsFile, []);
+      dnsRecords.push(newRecord);
+      await saveData(dnsRecordsFile, dnsRecords);
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: newRecord,
+        message: 'DNS record added successfully via Mlytics API'
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
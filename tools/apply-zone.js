@@ -0,0 +1,74 @@
+// apply-zone: apply the plan-zone changes to a site's DNS records
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse } from '../mcp-common.js';
+import { formatPlan, applyZonePlan } from '../mcp-zone-plan.js';
+import { PlanZoneSchema, planZone } from './plan-zone.js';
+
+export const ApplyZoneSchema = PlanZoneSchema.extend({
+  planId: z.string().optional()
+    .describe('plan_id returned by plan-zone, required when the plan deletes records; the apply is refused if the plan no longer matches the zone'),
+});
+
+export default defineTool({
+  name: 'apply-zone',
+  description: 'Reconcile the DNS records of a site with a desired record set by creating, updating and deleting rrsets. Run plan-zone first and pass its planId, which is required when the plan deletes records',
+  schema: ApplyZoneSchema,
+  handler: async ({ planId: expectedPlanId, apiKey: providedApiKey, ...args }, { api, credentials }) => {
+    try {
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      // The plan is computed again so it reflects the zone as it is now
+      const { response, zone, domain, plan, planId } = await planZone(api, args, { apiKey });
+      if (response) {
+        return response;
+      }
+
+      if (plan.errors.length > 0) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          data: { site_id: zone.id, domain, errors: plan.errors },
+          message: `The desired records have ${plan.errors.length} errors, nothing was applied`
+        }));
+      }
+
+      // Deletions are only applied from a reviewed plan: a partial record list would otherwise wipe the rest of the zone.
+      // Refusals never include the plan ID, which only plan-zone hands out
+      if (!expectedPlanId && plan.delete.length > 0) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          data: { site_id: zone.id, domain, summary: formatPlan(plan), delete: plan.delete },
+          message: `The plan deletes ${plan.delete.length} rrsets from ${domain}, nothing was applied. Review it with plan-zone and pass its planId to apply it, or set prune to false to keep records missing from the desired set`
+        }));
+      }
+
+      if (expectedPlanId && expectedPlanId !== planId) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          data: { site_id: zone.id, domain, summary: formatPlan(plan) },
+          message: `The zone or the desired records changed since plan ${expectedPlanId}, review the new plan with plan-zone and apply it with its planId instead`
+        }));
+      }
+
+      const results = await applyZonePlan(api, zone.id, plan, { apiKey });
+      const failed = results.filter(r => r.status === 'failed').length;
+
+      return createTextResponse(JSON.stringify({
+        success: failed === 0,
+        data: {
+          site_id: zone.id,
+          domain,
+          plan_id: planId,
+          summary: formatPlan(plan),
+          results
+        },
+        message: results.length === 0
+          ? `No changes: ${domain} already matches the desired records`
+          : `Applied ${results.length - failed} of ${results.length} changes to ${domain}${failed ? `, ${failed} failed` : ''}`
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
@@ -0,0 +1,59 @@
+// auth-status: who is logged in to the Mlytics Portal and when the token expires
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse } from '../mcp-common.js';
+import { getAuthStatus, verifyJwt, getStoredJwt } from '../mcp-auth.js';
+
+export const AuthStatusSchema = z.object({
+  verify: z.boolean().optional().default(false)
+    .describe('Also ask the Mlytics API whether the stored token is accepted (default: false)'),
+});
+
+export default defineTool({
+  name: 'auth-status',
+  description: 'Show who is logged in to the Mlytics Portal, their organization and when the stored token expires, optionally verifying the token against the API',
+  schema: AuthStatusSchema,
+  handler: async ({ verify }, { api, credentials }) => {
+    try {
+      const { authFile, profile } = credentials;
+      const status = { profile: profile.name, ...await getAuthStatus(authFile) };
+
+      if (!status.loggedIn) {
+        return createTextResponse(JSON.stringify({
+          success: true,
+          data: status,
+          message: `Not logged in with profile ${profile.name}. Use the automated-login tool to log in to the Mlytics Portal`
+        }));
+      }
+
+      if (verify) {
+        const accepted = await verifyJwt(api, await getStoredJwt(authFile), authFile);
+        Object.assign(status, await getAuthStatus(authFile), { verified: accepted });
+      }
+
+      const who = status.email || status.subject || 'unknown user';
+      const org = status.orgId ? ` (organization ${status.orgId})` : '';
+      let state;
+      if (status.verified === false) {
+        state = 'the token was rejected by the Mlytics API';
+      } else if (status.expired) {
+        state = `the token expired at ${status.expiresAt}`;
+      } else if (status.expiresAt) {
+        state = `the token expires at ${status.expiresAt}${status.expiryEstimated ? ' (estimated, the token has no exp claim)' : ''}`;
+      } else {
+        state = 'the token expiry is unknown';
+      }
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: status,
+        message: `Profile ${profile.name}: logged in as ${who}${org}, ${state}`
+      }));
+    } catch (error) {
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: `Error checking authentication status: ${error.message}`
+      }));
+    }
+  }
+});
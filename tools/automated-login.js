@@ -0,0 +1,72 @@
+// automated-login: log in to the Mlytics Portal and store the JWT
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse } from '../mcp-common.js';
+import { LoginError } from '../mcp-auth.js';
+import { LOGIN_STRATEGIES } from '../mcp-login.js';
+import { REVEAL_SECRETS } from '../mcp-redact.js';
+
+export const LoginSchema = z.object({
+  email: z.string().email().describe('User email for Mlytics Portal login'),
+  password: z.string().min(6).describe('User password for Mlytics Portal login'),
+  headless: z.boolean().optional().default(true)
+    .describe('Whether to run the browser in headless mode (default: true)'),
+  strategy: z.enum(LOGIN_STRATEGIES).optional()
+    .describe("How to get the token for this call: http (the portal login API), browser (Playwright) or auto (the API, then the browser). Defaults to the profile's loginStrategy"),
+  remember: z.boolean().optional().default(false)
+    .describe('Store the credentials (readable by the owner only) so the token is refreshed automatically when it expires'),
+  reuseSession: z.boolean().optional().default(true)
+    .describe('Resume the browser session saved by the last browser login of this email instead of filling in the login form, while the portal still accepts it (default: true)'),
+  totpCode: z.string().regex(/^\d{6,8}$/, 'Use the 6 to 8 digit code').optional()
+    .describe('One-time code from the authenticator app, for accounts with two-factor authentication and no TOTP secret on the profile'),
+  revealToken: z.boolean().optional().default(false)
+    .describe('Include the JWT in the response (default: false). The token is stored either way; only reveal it when it is needed outside this server'),
+});
+
+export default defineTool({
+  name: 'automated-login',
+  description: 'Log in to Mlytics Portal through its login API or a headless browser (with two-factor authentication when needed) and store the JWT token for API calls',
+  schema: LoginSchema,
+  handler: async ({ remember, revealToken, totpCode, strategy, headless, reuseSession, ...loginCredentials }, { credentials }) => {
+    try {
+      // The token is stored in the profile the call runs with, using its login strategy, TOTP secret and login selectors
+      const authData = await credentials.login({
+        ...loginCredentials,
+        headless,
+        reuseSession,
+        totpCode,
+        ...(strategy ? { strategy } : {})
+      });
+
+      if (remember) {
+        await credentials.saveLoginCredentials(loginCredentials);
+      }
+
+      // The JWT is only part of the response when explicitly requested, it is redacted otherwise
+      const response = createTextResponse(JSON.stringify({
+        success: true,
+        data: {
+          email: authData.email,
+          profile: credentials.profile.name,
+          loggedInAt: authData.timestamp,
+          method: authData.method,
+          loginPath: authData.loginPath,
+          subject: authData.subject,
+          orgId: authData.orgId,
+          expiresAt: authData.expiresAt,
+          tokenStored: true,
+          credentialsRemembered: remember,
+          ...(revealToken ? { jwt: authData.jwt } : {})
+        },
+        message: 'Successfully logged in and stored JWT token'
+      }));
+      return revealToken ? { ...response, [REVEAL_SECRETS]: true } : response;
+    } catch (error) {
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: `Login failed: ${error.message}`,
+        ...(error instanceof LoginError ? { error: { code: error.code, diagnostics: error.diagnostics } } : {})
+      }));
+    }
+  }
+});
@@ -0,0 +1,138 @@
+// capacity-forecast: capacity planning projections per usage type
+import { z } from 'zod';
+import * as crypto from 'crypto';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, loadDataOrDefault, saveData, capacityForecastsFile } from '../mcp-common.js';
+import { generateCapacityForecast, USAGE_TYPES } from '../mcp-analytics.js';
+import { resolveTimeRange, TimeRangeSchemaFields, TimeRangeError } from '../mcp-time-range.js';
+
+// Days of history analyzed when neither historical_days nor time_range is given
+const DEFAULT_HISTORICAL_DAYS = 90;
+
+export const CapacityForecastSchema = z.object({
+  org_id: z.string().optional()
+    .describe('Organization ID for which data is being requested (default: the profile\'s orgId, or the organization of the logged in user)'),
+  usage_type: z.enum(USAGE_TYPES)
+    .describe('Type of usage data to forecast'),
+  historical_days: z.number().optional()
+    .describe(`Number of days of historical data to analyze, up to now (default: ${DEFAULT_HISTORICAL_DAYS}); not together with time_range`),
+  time_range: z.string().optional()
+    .describe('Historical period to analyze as an expression such as "last 90d", "this year" or "2025-01-01/2025-03-31", instead of historical_days; the forecast starts where it ends'),
+  timezone: TimeRangeSchemaFields.timezone,
+  forecast_days: z.number().optional().default(90)
+    .describe('Number of days to forecast into the future (default: 90)'),
+  growth_rate: z.number().optional().default(0.05) // Default 5% monthly growth rate
+    .describe('Monthly growth rate assumption as decimal (default: 0.05 for 5%)'),
+  include_seasonality: z.boolean().optional().default(true)
+    .describe('Whether to include seasonal patterns in forecast (default: true)'),
+  confidence_interval: z.number().min(0).max(0.99).optional().default(0.95) // 95% confidence interval
+    .describe('Confidence interval for forecast (0-0.99, default: 0.95 for 95%)'),
+  threshold_warning: z.number().optional().default(0.7) // 70% capacity warning
+    .describe('Capacity threshold for warnings as decimal (default: 0.7 for 70%)'),
+  threshold_critical: z.number().optional().default(0.9) // 90% capacity critical
+    .describe('Capacity threshold for critical alerts as decimal (default: 0.9 for 90%)'),
+  apiKey: z.string().optional(),
+});
+
+export default defineTool({
+  name: 'capacity-forecast',
+  description: 'Generate capacity planning forecasts with historical analysis, projections, and recommendations, over historical_days up to now or a historical time_range such as "last 90d"',
+  schema: CapacityForecastSchema,
+  handler: async ({
+    org_id: providedOrgId,
+    usage_type,
+    historical_days: providedHistoricalDays,
+    time_range,
+    timezone,
+    forecast_days,
+    growth_rate,
+    include_seasonality,
+    confidence_interval,
+    threshold_warning,
+    threshold_critical
+  }, { credentials }) => {
+    // A time_range sets the historical period, whole days ending at its end; it can't be combined with historical_days
+    if (time_range !== undefined && providedHistoricalDays !== undefined) {
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: 'Pass either time_range or historical_days, not both'
+      }));
+    }
+    let range = null;
+    let historical_days = providedHistoricalDays ?? DEFAULT_HISTORICAL_DAYS;
+    if (time_range !== undefined) {
+      try {
+        range = resolveTimeRange({ time_range, timezone });
+      } catch (error) {
+        if (!(error instanceof TimeRangeError)) {
+          throw error;
+        }
+        return createTextResponse(JSON.stringify({ success: false, message: error.message }));
+      }
+      historical_days = Math.max(1, Math.round((range.end_time - range.start_time) / 86400));
+    }
+
+    try {
+      const org_id = providedOrgId || await credentials.getDefaultOrgId();
+      if (!org_id) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: 'org_id is required: pass it, or set a default orgId on the profile with switch-profile'
+        }));
+      }
+
+      // Generate the capacity forecast
+      const forecastData = generateCapacityForecast(
+        org_id,
+        usage_type,
+        historical_days,
+        forecast_days,
+        growth_rate,
+        include_seasonality,
+        confidence_interval,
+        threshold_warning,
+        threshold_critical,
+        range ? new Date((range.end_time + 1) * 1000) : new Date()
+      );
+
+      // Save the forecast to local storage
+      const forecasts = await loadDataOrDefault(capacityForecastsFile, []);
+
+      // Create a forecast record with metadata
+      const forecastRecord = {
+        id: crypto.randomUUID(),
+        org_id,
+        usage_type,
+        created_at: new Date().toISOString(),
+        parameters: {
+          historical_days,
+          ...(range ? { time_range: range } : {}),
+          forecast_days,
+          growth_rate,
+          include_seasonality,
+          confidence_interval,
+          threshold_warning,
+          threshold_critical
+        },
+        forecast: forecastData
+      };
+
+      // Add to forecasts history and save
+      forecasts.push(forecastRecord);
+      await saveData(capacityForecastsFile, forecasts);
+
+      // Return the forecast data
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: forecastData.data,
+        ...(range ? { time_range: range } : {}),
+        message: `Capacity forecast generated successfully for ${usage_type}${range ? ` from ${historical_days} days of history (${range.start} to ${range.end})` : ''}`
+      }));
+    } catch (error) {
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: `Error generating capacity forecast: ${error.message}`
+      }));
+    }
+  }
+});
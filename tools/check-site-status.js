@@ -0,0 +1,61 @@
+// check-site-status: look up a domain among the account's zones
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse } from '../mcp-common.js';
+
+export const CheckSiteStatusSchema = z.object({
+  domain: z.string(),
+  apiKey: z.string().optional(),
+});
+
+export default defineTool({
+  name: 'check-site-status',
+  description: 'Check the status of a specific domain in Mlytics CDN',
+  schema: CheckSiteStatusSchema,
+  handler: async ({ domain, apiKey: providedApiKey }, { api, credentials }) => {
+    try {
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      // Call the Mlytics API to list all sites
+      const responseData = await api.listZones({ apiKey });
+
+      // Find the site with the specified domain
+      const site = responseData.data.find(site => site.domain_name === domain);
+
+      if (site) {
+        // Map zone_status to a human-readable status
+        const statusMap = {
+          0: 'Pending',
+          1: 'Active',
+          2: 'Error',
+          3: 'Suspended'
+        };
+
+        const readableStatus = statusMap[site.zone_status] || 'Unknown';
+
+        return createTextResponse(JSON.stringify({
+          success: true,
+          data: {
+            id: site.id,
+            domain: site.domain_name,
+            status: readableStatus,
+            zone_status: site.zone_status,
+            raw: site
+          },
+          message: `Site '${domain}' found with status: ${readableStatus}`
+        }));
+      } else {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: `Site '${domain}' not found in Mlytics CDN`,
+          data: {
+            available_sites: responseData.data.map(site => site.domain_name)
+          }
+        }));
+      }
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
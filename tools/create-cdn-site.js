@@ -0,0 +1,60 @@
+// create-cdn-site: create a Mlytics zone for a domain
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse, loadDataOrDefault, saveData, sitesFile } from '../mcp-common.js';
+
+export const CreateSiteSchema = z.object({
+  domain: z.string(),
+  name: z.string().optional(),
+  description: z.string().optional(),
+  cdnProviders: z.array(z.string()).optional(),
+  apiKey: z.string().optional(),
+});
+
+export default defineTool({
+  name: 'create-cdn-site',
+  description: 'Create a new CDN site with specified domain and CDN providers',
+  schema: CreateSiteSchema,
+  handler: async ({ domain, name: siteName, description, cdnProviders, apiKey: providedApiKey }, { api, credentials }) => {
+    // Read API key from credentials file or use provided key
+    let apiKey;
+    try {
+      apiKey = await credentials.getApiKey(providedApiKey);
+    } catch (error) {
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: error.message
+      }));
+    }
+
+    // Call the real Mlytics API
+    try {
+      const responseData = await api.createZone({ domain_name: domain }, { apiKey });
+
+      // Save site data locally as well
+      const newSite = {
+        id: responseData.data.id,
+        domain,
+        name: siteName || domain,
+        description: description || '',
+        created_at: responseData.data.created_at,
+        updated_at: responseData.data.created_at,
+        cdn_providers: cdnProviders || ['mlytics'],
+        status: 'active',
+        api_response: responseData
+      };
+
+      const sites = await loadDataOrDefault(sitesFile, []);
+      sites.push(newSite);
+      await saveData(sitesFile, sites);
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: newSite,
+        message: 'Site created successfully via Mlytics API'
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
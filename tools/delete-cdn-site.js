@@ -0,0 +1,98 @@
+// delete-cdn-site: delete a Mlytics zone and forget it locally
+import { z } from 'zod';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { defineTool } from '../mcp-registry.js';
+import {
+  createTextResponse,
+  createApiErrorResponse,
+  loadDataOrDefault,
+  saveData,
+  sitesFile,
+  backupsDir
+} from '../mcp-common.js';
+import { extractRRSets, updateLocalDnsRecords } from '../mcp-dns.js';
+
+export const DeleteSiteSchema = z.object({
+  siteId: z.string().optional().describe('ID of the site (zone) to delete'),
+  domain: z.string().optional().describe('Domain of the site to delete, used when siteId is not known'),
+  confirm: z.string().describe('Must be the domain name of the site being deleted; this action cannot be undone'),
+  backup: z.boolean().optional().default(true)
+    .describe('Export the DNS records to the data directory before deleting (default: true)'),
+  apiKey: z.string().optional(),
+}).refine(args => Boolean(args.siteId || args.domain), {
+  message: 'Provide either siteId or domain',
+  path: ['siteId']
+});
+
+export default defineTool({
+  name: 'delete-cdn-site',
+  description: 'Delete a CDN site (zone) from Mlytics and the local site list, optionally backing up its DNS records first. Requires confirm set to the site domain',
+  schema: DeleteSiteSchema,
+  handler: async ({ siteId, domain, confirm, backup, apiKey: providedApiKey }, { api, credentials }) => {
+    try {
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      // Resolve the zone so the confirmation can be checked against its domain
+      const zonesResponse = await api.listZones({ apiKey });
+      const zone = zonesResponse.data.find(z => (siteId ? String(z.id) === String(siteId) : z.domain_name === domain));
+
+      if (!zone) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: `Site '${siteId || domain}' not found in Mlytics CDN`,
+          data: {
+            available_sites: zonesResponse.data.map(z => ({ id: z.id, domain: z.domain_name }))
+          }
+        }));
+      }
+
+      if (confirm !== zone.domain_name) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: `Deletion not confirmed: set confirm to '${zone.domain_name}' to delete this site`
+        }));
+      }
+
+      // Export the DNS records before they are gone
+      let backupFile = null;
+      if (backup) {
+        const rrsetsResponse = await api.listRRSets(zone.id, { apiKey });
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        backupFile = path.join(backupsDir, `${zone.domain_name}-${timestamp}.json`);
+
+        await fs.mkdir(backupsDir, { recursive: true });
+        await saveData(backupFile, {
+          site_id: zone.id,
+          domain: zone.domain_name,
+          exported_at: new Date().toISOString(),
+          zone,
+          rrsets: extractRRSets(rrsetsResponse.data)
+        });
+      }
+
+      const responseData = await api.deleteZone(zone.id, { apiKey });
+
+      // Remove the site and its records from local storage
+      const sites = await loadDataOrDefault(sitesFile, []);
+      const remainingSites = sites.filter(s => String(s.id) !== String(zone.id));
+      await saveData(sitesFile, remainingSites);
+      await updateLocalDnsRecords(dnsRecords => dnsRecords.filter(r => String(r.site_id) !== String(zone.id)));
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: {
+          id: zone.id,
+          domain: zone.domain_name,
+          backup_file: backupFile,
+          removed_from_local_sites: remainingSites.length !== sites.length,
+          api_response: responseData
+        },
+        message: `Site '${zone.domain_name}' deleted successfully via Mlytics API`
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
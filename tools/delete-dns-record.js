@@ -0,0 +1,69 @@
+// delete-dns-record: remove an rrset from a Mlytics zone
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse } from '../mcp-common.js';
+import {
+  DNS_RECORD_TYPES,
+  extractRRSets,
+  getRRSetValues,
+  findRRSet,
+  requireRecordSelector,
+  describeSelector,
+  updateLocalDnsRecords
+} from '../mcp-dns.js';
+
+export const DeleteDnsRecordSchema = z.object({
+  siteId: z.string(),
+  recordId: z.string().optional().describe('ID of the rrset to delete, as returned by list-dns-records'),
+  name: z.string().optional().describe('Record name, relative to the site domain or fully qualified, used with type when recordId is not known'),
+  type: z.enum(DNS_RECORD_TYPES).optional().describe('Record type, used with name when recordId is not known'),
+  apiKey: z.string().optional(),
+}).refine(...requireRecordSelector);
+
+export default defineTool({
+  name: 'delete-dns-record',
+  description: 'Delete a DNS record from a site, selected by record ID or by name and type',
+  schema: DeleteDnsRecordSchema,
+  handler: async ({ siteId, recordId, name, type, apiKey: providedApiKey }, { api, credentials }) => {
+    try {
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      // A name relative to the site domain, such as www, matches the record of www.example.com.
+      const zone = recordId ? null : (await api.listZones({ apiKey })).data.find(z => String(z.id) === String(siteId));
+
+      // Resolve the record through the same listing list-dns-records uses
+      const listing = await api.listRRSets(siteId, { apiKey });
+      const { rrset, error, matches } = findRRSet(extractRRSets(listing.data), { recordId, name, type, domain: zone?.domain_name });
+
+      if (!rrset) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: error,
+          data: matches ? { matching_record_ids: matches } : undefined
+        }));
+      }
+
+      const responseData = await api.deleteRRSet(siteId, rrset.id, { apiKey });
+
+      // Keep dns_records.json in sync with the remote zone
+      await updateLocalDnsRecords(dnsRecords => dnsRecords.filter(r => String(r.id) !== String(rrset.id)));
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: {
+          id: rrset.id,
+          site_id: siteId,
+          name: rrset.name,
+          type: rrset.type,
+          ttl: rrset.ttl,
+          values: getRRSetValues(rrset),
+          api_response: responseData
+        },
+        message: `DNS record ${describeSelector({ recordId, name, type })} deleted successfully via Mlytics API`
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
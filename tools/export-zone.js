@@ -0,0 +1,130 @@
+// export-zone: render a site's DNS records as a zone file, JSON or CSV
+import { z } from 'zod';
+import { promises as fs, constants as fsConstants } from 'fs';
+import path from 'path';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse, dataDir } from '../mcp-common.js';
+import { extractRRSets, normalizeRecordName } from '../mcp-dns.js';
+import { normalizeRRSets, renderZoneFile, renderZoneCsv } from '../mcp-zonefile.js';
+
+export const EXPORT_FORMATS = ['bind', 'json', 'csv'];
+
+export const ExportZoneSchema = z.object({
+  siteId: z.string(),
+  format: z.enum(EXPORT_FORMATS).optional().default('bind')
+    .describe('Output format: a BIND zone file, normalized JSON or CSV (default: bind)'),
+  outputFile: z.string().optional()
+    .describe('Also write the export to this path, relative to the data directory, e.g. exports/example.com.zone'),
+  apiKey: z.string().optional(),
+});
+
+// Whether a resolved path is the data directory or inside it
+const isInside = (realDataDir, target) => {
+  const relative = path.relative(realDataDir, target);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+/**
+ * Create the directory of an export with symbolic links resolved, refusing any that leads outside the data directory
+ * @param {string} dir Directory of the output file
+ * @returns {Promise<string|null>} Real path of the directory, or null when it is outside the data directory
+ */
+const resolveOutputDir = async (dir) => {
+  await fs.mkdir(dataDir, { recursive: true });
+  const realDataDir = await fs.realpath(dataDir);
+
+  // The closest existing ancestor is where the missing directories would be created
+  let ancestor = dir;
+  let realAncestor = await fs.realpath(ancestor).catch(() => null);
+  while (!realAncestor) {
+    ancestor = path.dirname(ancestor);
+    realAncestor = await fs.realpath(ancestor).catch(() => null);
+  }
+  if (!isInside(realDataDir, realAncestor)) {
+    return null;
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  const realDir = await fs.realpath(dir);
+  return isInside(realDataDir, realDir) ? realDir : null;
+};
+
+export default defineTool({
+  name: 'export-zone',
+  description: 'Export all DNS records of a site as a BIND zone file, normalized JSON or CSV, optionally writing it to a file in the data directory',
+  schema: ExportZoneSchema,
+  handler: async ({ siteId, format, outputFile, apiKey: providedApiKey }, { api, credentials }) => {
+    try {
+      // Exports can only be written inside the data directory
+      let outputPath = null;
+      if (outputFile) {
+        outputPath = path.resolve(dataDir, outputFile);
+        const relative = path.relative(dataDir, outputPath);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+          return createTextResponse(JSON.stringify({
+            success: false,
+            message: `outputFile must be a file inside the data directory (${dataDir})`
+          }));
+        }
+      }
+
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      const zonesResponse = await api.listZones({ apiKey });
+      const zone = zonesResponse.data.find(z => String(z.id) === String(siteId));
+
+      if (!zone) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: `Site '${siteId}' not found in Mlytics CDN`,
+          data: {
+            available_sites: zonesResponse.data.map(z => ({ id: z.id, domain: z.domain_name }))
+          }
+        }));
+      }
+
+      const domain = normalizeRecordName(zone.domain_name);
+      const rrsetsResponse = await api.listRRSets(zone.id, { apiKey });
+      const records = normalizeRRSets(extractRRSets(rrsetsResponse.data), domain);
+
+      let content;
+      if (format === 'bind') {
+        content = renderZoneFile(records, { domain, siteId: zone.id });
+      } else if (format === 'csv') {
+        content = renderZoneCsv(records);
+      } else {
+        content = `${JSON.stringify({ site_id: zone.id, domain, records }, null, 2)}\n`;
+      }
+
+      // Symbolic links in the directories or at the file itself could point the write outside the data directory
+      if (outputPath) {
+        const outputDir = await resolveOutputDir(path.dirname(outputPath));
+        const target = outputDir && path.join(outputDir, path.basename(outputPath));
+        const existing = target && await fs.lstat(target).catch(() => null);
+        if (!target || existing?.isSymbolicLink()) {
+          return createTextResponse(JSON.stringify({
+            success: false,
+            message: `outputFile must be a file inside the data directory (${dataDir}), not a symbolic link or under one leading outside it`
+          }));
+        }
+        await fs.writeFile(target, content, { flag: fsConstants.O_WRONLY | fsConstants.O_CREAT | fsConstants.O_TRUNC | fsConstants.O_NOFOLLOW });
+      }
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: {
+          site_id: zone.id,
+          domain,
+          format,
+          record_count: records.length,
+          output_file: outputPath,
+          content
+        },
+        message: `Exported ${records.length} DNS records of ${domain} as ${format}${outputPath ? ` to ${outputPath}` : ''}`
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
@@ -0,0 +1,29 @@
+// get-cost-data: traffic cost estimates per CDN
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse } from '../mcp-common.js';
+import { generateMockCostData } from '../mcp-analytics.js';
+
+export const GetCostDataSchema = z.object({
+  timeRange: z.enum(['1h', '6h', '24h', '7d', '30d']).optional(),
+  cdn: z.string().optional(),
+});
+
+export default defineTool({
+  name: 'get-cost-data',
+  description: 'Get synthetic cost data for CDNs, generated rather than billed, in live mode too (the response is marked with is_mock)',
+  schema: GetCostDataSchema,
+  handler: async ({ timeRange, cdn }) => {
+    // Generate mock cost data
+    const costData = generateMockCostData(timeRange, cdn);
+
+    // There is no source of per-CDN costs, so the data is flagged like mock historical reports
+    return createTextResponse(JSON.stringify({
+      success: true,
+      data: costData,
+      data_source: 'mock',
+      is_mock: true,
+      message: 'Synthetic cost data generated, not billed by Mlytics'
+    }));
+  }
+});
@@ -0,0 +1,276 @@
+// get-historical-reports: usage diagrams from the portal analytics API
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, getHistoricalDataSource, HISTORICAL_DATA_SOURCES } from '../mcp-common.js';
+import { MlyticsApiError } from '../mcp-api-client.js';
+import { generateMockHistoricalReport, USAGE_TYPES } from '../mcp-analytics.js';
+import { resolveTimeRange, formatInTimezone, timeValueSchema, TimeRangeSchemaFields, TimeRangeError } from '../mcp-time-range.js';
+import { fetchHistoricalUsage, getHistoricalFetchSettings } from '../mcp-historical.js';
+import { createUsageCache, getUsageCacheSettings, getUsageCacheFile } from '../mcp-usage-cache.js';
+
+export const GetHistoricalReportSchema = z.object({
+  org_id: z.string().optional()
+    .describe('Organization ID for which data is being requested (default: the profile\'s orgId, or the organization of the logged in user)'),
+  // A single usage type is still accepted as a string
+  usage_type: z.preprocess(value => (typeof value === 'string' ? [value] : value), z.array(z.enum(USAGE_TYPES)).min(1))
+    .describe(`Usage types to retrieve, aligned on shared timestamps when there are several: ${USAGE_TYPES.join(', ')}`),
+  start_time: timeValueSchema('start'),
+  end_time: timeValueSchema('end'),
+  ...TimeRangeSchemaFields,
+  convert_milli_timestamp: z.boolean().optional().default(false)
+    .describe('When true, timestamps in response will be in milliseconds. Default: false'),
+  data_source: z.enum(HISTORICAL_DATA_SOURCES).optional()
+    .describe('live-only: fail when the API does; live-with-cached-fallback: answer from the usage cache when the API fails and the cache covers the period; mock: synthetic data, never real usage. Default: MLYTICS_HISTORICAL_DATA_SOURCE, or live-with-cached-fallback'),
+  window_days: z.number().int().min(1).max(366).optional()
+    .describe('Longest period fetched in one API request, longer ranges are split into windows of this many days (default: MLYTICS_HISTORICAL_WINDOW_DAYS, or 31)'),
+  apiKey: z.string().optional(),
+});
+
+// Diagram of a usage type from cached points, timestamps in the requested unit
+const cachedDiagram = (points, scale) => ({
+  labels: points.map(([timestamp]) => timestamp * scale),
+  datasets: points.map(([, value]) => value),
+  compare_result: { comparable: false, reason: 'Not available for data served from the usage cache', result: null }
+});
+
+// Raised when a usage type has no live data and the policy allows no fallback for it
+class UsageTypeUnavailableError extends Error {
+  constructor(usageType, liveError, policy) {
+    super(policy === 'live-only'
+      ? `${usageType}: ${liveError.message}. No fallback with data_source live-only`
+      : `${usageType}: ${liveError.message}. The usage cache doesn't cover this period`);
+    this.name = 'UsageTypeUnavailableError';
+    this.usageType = usageType;
+    this.apiError = liveError instanceof MlyticsApiError && !liveError.isNetworkError
+      ? { status: liveError.status, code: liveError.code }
+      : undefined;
+  }
+}
+
+// All series aligned on the union of their timestamps, with null where a series has no value
+const mergeDiagrams = (diagrams) => {
+  const labels = [...new Set(Object.values(diagrams).flatMap(diagram => diagram.labels))].sort((a, b) => a - b);
+  const datasets = {};
+  for (const [usageType, diagram] of Object.entries(diagrams)) {
+    const values = new Map(diagram.labels.map((label, index) => [label, diagram.datasets[index]]));
+    datasets[usageType] = labels.map(label => (values.has(label) ? values.get(label) : null));
+  }
+  return { labels, datasets };
+};
+
+/**
+ * Historical usage of one or more usage types under the data source policy, shared with usage-insights
+ * @param {Object} args Arguments parsed with GetHistoricalReportSchema
+ * @param {Object} context Tool context ({ api, mode, profile, credentials })
+ * @returns {Promise<Object>} The get-historical-reports response, success false when the data is unavailable
+ */
+export const getHistoricalReports = async ({
+  org_id: providedOrgId,
+  usage_type,
+  start_time: startInput,
+  end_time: endInput,
+  time_range,
+  timezone,
+  convert_milli_timestamp,
+  data_source,
+  window_days,
+  apiKey: providedApiKey
+}, { api, mode, profile, credentials }) => {
+  let range;
+  try {
+    range = resolveTimeRange({ start_time: startInput, end_time: endInput, time_range, timezone });
+  } catch (error) {
+    if (!(error instanceof TimeRangeError)) {
+      throw error;
+    }
+    return { success: false, message: error.message };
+  }
+  const { start_time, end_time } = range;
+  const fetchSettings = getHistoricalFetchSettings();
+  const scale = convert_milli_timestamp ? 1000 : 1;
+  const org_id = providedOrgId || await credentials.getDefaultOrgId();
+  const usageTypes = [...new Set(usage_type)];
+
+  // Only real usage is cached, never the mock backend's, and each profile has its own cache
+  const cache = mode === 'mock' ? null : createUsageCache({ ...getUsageCacheSettings(), file: getUsageCacheFile(profile) });
+
+  // Report of one usage type under the data source policy
+  const getReport = async (type, policy) => {
+    // Synthetic data only when asked for, never as a stand-in for live data
+    if (policy === 'mock') {
+      const mockData = generateMockHistoricalReport(org_id, type, start_time, end_time, convert_milli_timestamp);
+      return { source: 'mock', data: mockData.data, meta: mockData.meta };
+    }
+
+    let liveError;
+    try {
+      // First try the portal token, refreshed by the credential provider when it expires, then the API key
+      const fetchWindow = async (window) => {
+        const fetchUsage = (auth) => api.getHistoricalUsage({
+          org_id,
+          usage_type: type,
+          start_time: window.start_time,
+          end_time: window.end_time,
+          convert_milli_timestamp
+        }, auth);
+        return await credentials.canAuthenticate()
+          ? credentials.withJwt(fetchUsage)
+          : fetchUsage({ apiKey: await credentials.getApiKey(providedApiKey) });
+      };
+
+      // Days in the usage cache are served from it, the others fetched in windows; the stitched report has the same
+      // shape as a single answer
+      const { response: responseData, windows, failedWindows, cachedBuckets } = await fetchHistoricalUsage(fetchWindow, {
+        org_id,
+        usage_type: type,
+        start_time,
+        end_time,
+        convert_milli_timestamp,
+        windowDays: window_days || fetchSettings.windowDays,
+        concurrency: fetchSettings.concurrency,
+        cache
+      });
+      for (const window of failedWindows) {
+        console.error(`Historical report window ${window.start_time}-${window.end_time} failed for ${type}: ${window.error.message}`);
+      }
+
+      // The mock backend answers in place of the API in mock mode, its data is just as synthetic
+      const source = mode === 'mock' ? 'mock' : 'live';
+      return { source, data: responseData.data, meta: responseData.meta, windows, failedWindows, cachedBuckets };
+    } catch (error) {
+      console.error(`Historical report API call failed for ${type}: ${error.message}`);
+      liveError = error;
+    }
+
+    // Days fetched before the portal finished aggregating them are good enough when the API is down
+    if (policy === 'live-with-cached-fallback' && cache) {
+      const cached = await cache.lookup({ org_id, usage_type: type, start_time, end_time, includeUnsettled: true });
+      if (cached.missing.length === 0) {
+        return {
+          source: 'cache',
+          data: {
+            query: { usage_type: type, start_time: start_time * scale, end_time: end_time * scale },
+            diagrams: { [type]: cachedDiagram(cached.points, scale) }
+          },
+          cachedAt: cached.cachedAt,
+          liveError: liveError.message
+        };
+      }
+    }
+
+    throw new UsageTypeUnavailableError(type, liveError, policy);
+  };
+
+  try {
+    if (!org_id) {
+      return {
+        success: false,
+        message: 'org_id is required: pass it, or set a default orgId on the profile with switch-profile'
+      };
+    }
+
+    const policy = data_source || getHistoricalDataSource();
+    // The mock backend answers in place of the API in mock mode, so there is no live data to return
+    if (policy === 'live-only' && mode === 'mock') {
+      return {
+        success: false,
+        data_source: policy,
+        time_range: range,
+        message: 'Live historical data unavailable: the server is in mock mode (MLYTICS_MODE=mock) and never calls the Mlytics API. Use data_source mock for synthetic data, or run the server in live mode'
+      };
+    }
+
+    const reports = {};
+    const failures = [];
+    for (const type of usageTypes) {
+      try {
+        reports[type] = await getReport(type, policy);
+      } catch (error) {
+        if (!(error instanceof UsageTypeUnavailableError)) {
+          throw error;
+        }
+        failures.push(error);
+      }
+    }
+
+    if (failures.length > 0) {
+      const apiError = failures.find(failure => failure.apiError)?.apiError;
+      return {
+        success: false,
+        data_source: policy,
+        time_range: range,
+        ...(apiError ? { error: apiError } : {}),
+        message: `Live historical data unavailable for ${failures.map(failure => failure.message).join('; ')}${policy === 'live-only' ? '' : '; use data_source mock for synthetic data'}`
+      };
+    }
+
+    const diagrams = Object.fromEntries(usageTypes.map(type => [type, reports[type].data.diagrams[type]]));
+    const sources = Object.fromEntries(usageTypes.map(type => [type, reports[type].source]));
+    const distinctSources = [...new Set(Object.values(sources))];
+    const first = reports[usageTypes[0]];
+    const cachedTypes = usageTypes.filter(type => sources[type] === 'cache');
+    const mockTypes = usageTypes.filter(type => sources[type] === 'mock');
+    const chunkedTypes = usageTypes.filter(type => reports[type].windows?.length > 1);
+    const partialTypes = usageTypes.filter(type => reports[type].failedWindows?.length > 0);
+    const cacheHitTypes = usageTypes.filter(type => reports[type].cachedBuckets > 0);
+
+    // Windows the API failed for, their periods are missing from the series
+    const describeWindow = ({ start_time: windowStart, end_time: windowEnd, error }) => ({
+      start_time: windowStart,
+      end_time: windowEnd,
+      start: formatInTimezone(windowStart * 1000, range.timezone),
+      end: formatInTimezone(windowEnd * 1000, range.timezone),
+      error: error.message,
+      ...(error instanceof MlyticsApiError && !error.isNetworkError ? { status: error.status, code: error.code } : {})
+    });
+    const failedWindows = Object.fromEntries(partialTypes.map(type => [type, reports[type].failedWindows.map(describeWindow)]));
+
+    // Everything the caller needs to know about data that isn't live goes in the message
+    const notes = [];
+    if (cachedTypes.length > 0) {
+      notes.push(`live data unavailable (${reports[cachedTypes[0]].liveError}), returning cached data for ${cachedTypes.map(type => `${type} retrieved at ${reports[type].cachedAt}`).join(', ')}, not live data`);
+    }
+    for (const type of partialTypes) {
+      notes.push(`${failedWindows[type].length} of ${reports[type].windows.length} windows failed for ${type}, no data from ${failedWindows[type].map(window => `${window.start} to ${window.end}`).join(', ')}`);
+    }
+    if (mockTypes.length > 0) {
+      notes.push(`mock data for ${mockTypes.join(', ')}${mode === 'mock' ? ' (server in mock mode)' : ''}: synthetic values, not real usage`);
+    }
+
+    return {
+      success: true,
+      data: {
+        query: { ...first.data.query, usage_type: usageTypes },
+        diagrams,
+        merged: mergeDiagrams(diagrams)
+      },
+      time_range: range,
+      ...(first.meta ? { meta: first.meta } : {}),
+      data_source: distinctSources.length === 1 ? distinctSources[0] : 'mixed',
+      ...(distinctSources.length > 1 ? { data_sources: sources } : {}),
+      ...(mockTypes.length > 0 ? { is_mock: true } : {}),
+      ...(cacheHitTypes.length > 0 ? { cached_days: Object.fromEntries(cacheHitTypes.map(type => [type, reports[type].cachedBuckets])) } : {}),
+      ...(chunkedTypes.length > 0 ? { windows: Object.fromEntries(chunkedTypes.map(type => [type, reports[type].windows.length])) } : {}),
+      ...(partialTypes.length > 0 ? { partial: true, failed_windows: failedWindows } : {}),
+      ...(cachedTypes.length > 0 ? {
+        cached_at: Object.fromEntries(cachedTypes.map(type => [type, reports[type].cachedAt])),
+        live_error: reports[cachedTypes[0]].liveError
+      } : {}),
+      message: notes.length > 0
+        ? `Historical usage data for ${usageTypes.join(', ')} from ${range.start} to ${range.end}: ${notes.join('; ')}`
+        : `Historical usage data retrieved successfully for ${usageTypes.join(', ')} from ${range.start} to ${range.end}`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `Error retrieving historical report: ${error.message}`
+    };
+  }
+};
+
+export default defineTool({
+  name: 'get-historical-reports',
+  description: 'Retrieve historical usage data for DNS queries, CDN requests and CDN traffic over a time range given as start_time and end_time, or as time_range such as "last 7d" or "last month", several usage types aligned on shared timestamps. data_source in the response tells whether the data is live, cached or mock',
+  schema: GetHistoricalReportSchema,
+  handler: async (args, context) => createTextResponse(JSON.stringify(await getHistoricalReports(args, context)))
+});
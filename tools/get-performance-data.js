@@ -0,0 +1,30 @@
+// get-performance-data: latency and availability per CDN and region
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse } from '../mcp-common.js';
+import { generateMockPerformanceData } from '../mcp-analytics.js';
+
+export const GetPerformanceDataSchema = z.object({
+  timeRange: z.enum(['1h', '6h', '24h', '7d', '30d']).optional(),
+  cdn: z.string().optional(),
+  region: z.string().optional(),
+});
+
+export default defineTool({
+  name: 'get-performance-data',
+  description: 'Get synthetic performance data for CDNs, generated rather than measured, in live mode too (the response is marked with is_mock)',
+  schema: GetPerformanceDataSchema,
+  handler: async ({ timeRange, cdn, region }) => {
+    // Generate mock performance data
+    const performanceData = generateMockPerformanceData(timeRange, cdn, region);
+
+    // There is no source of per-CDN performance data, so the data is flagged like mock historical reports
+    return createTextResponse(JSON.stringify({
+      success: true,
+      data: performanceData,
+      data_source: 'mock',
+      is_mock: true,
+      message: 'Synthetic performance data generated, not measured by Mlytics'
+    }));
+  }
+});
@@ -0,0 +1,185 @@
+// import-zone-file: create rrsets from a BIND zone file
+import { z } from 'zod';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse, dataDir } from '../mcp-common.js';
+import { extractRRSets, normalizeRecordName, toFqdn, toRRSetDetail, updateLocalDnsRecords } from '../mcp-dns.js';
+import { parseZoneFile, groupRecordsIntoRRSets } from '../mcp-zonefile.js';
+import { validateDnsRecord, validateRecordSet } from '../mcp-dns-validation.js';
+
+export const ImportZoneFileSchema = z.object({
+  siteId: z.string(),
+  zoneFile: z.string().optional().describe('Zone file content in BIND (RFC 1035) format'),
+  filePath: z.string().optional()
+    .describe('Path of a zone file to read, relative to the data directory, e.g. exports/example.com.zone; used when zoneFile is not given'),
+  origin: z.string().optional().describe('Origin for relative names before any $ORIGIN directive (default: the site domain)'),
+  proxied: z.boolean().optional().default(false).describe('Whether the imported records are proxied through Mlytics'),
+  dryRun: z.boolean().optional().default(true)
+    .describe('Only return the import plan without creating records (default: true)'),
+  apiKey: z.string().optional(),
+}).refine(args => Boolean(args.zoneFile || args.filePath), {
+  message: 'Provide either zoneFile or filePath',
+  path: ['zoneFile']
+});
+
+export default defineTool({
+  name: 'import-zone-file',
+  description: 'Import DNS records from a BIND zone file into a site. Runs as a dry run returning the plan unless dryRun is false; existing records are left untouched',
+  schema: ImportZoneFileSchema,
+  handler: async ({ siteId, zoneFile, filePath, origin, proxied, dryRun, apiKey: providedApiKey }, { api, credentials }) => {
+    try {
+      // Zone files can only be read from inside the data directory, symbolic links included
+      let content = zoneFile;
+      if (content === undefined) {
+        const inputPath = await fs.realpath(path.resolve(dataDir, filePath)).catch(() => null);
+        const relative = inputPath && path.relative(await fs.realpath(dataDir), inputPath);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+          return createTextResponse(JSON.stringify({
+            success: false,
+            message: `filePath must be an existing file inside the data directory (${dataDir}), or pass the zone file content as zoneFile`
+          }));
+        }
+        content = await fs.readFile(inputPath, 'utf8');
+      }
+
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      // Records are imported relative to the zone's own domain
+      const zonesResponse = await api.listZones({ apiKey });
+      const zone = zonesResponse.data.find(z => String(z.id) === String(siteId));
+
+      if (!zone) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: `Site '${siteId}' not found in Mlytics CDN`,
+          data: {
+            available_sites: zonesResponse.data.map(z => ({ id: z.id, domain: z.domain_name }))
+          }
+        }));
+      }
+
+      const domain = normalizeRecordName(zone.domain_name);
+      const parsed = parseZoneFile(content, { origin: origin || domain });
+      const { rrsets, skipped, warnings } = groupRecordsIntoRRSets(parsed.records, domain);
+
+      // Records that already exist are reported rather than overwritten
+      const rrsetsResponse = await api.listRRSets(zone.id, { apiKey });
+      const currentRRSets = extractRRSets(rrsetsResponse.data);
+      const existingKeys = new Set(currentRRSets.map(r => `${toFqdn(r.name, domain)}|${r.type}`));
+
+      const candidates = rrsets.filter(r => !existingKeys.has(`${r.name}|${r.type}`));
+      const existing = rrsets
+        .filter(r => existingKeys.has(`${r.name}|${r.type}`))
+        .map(({ name, type, lines }) => ({ name, type, lines, reason: 'Record already exists, use update-dns-record to change it' }));
+
+      // Validate each new rrset, and all of them together with the records already in the zone
+      const setErrors = validateRecordSet([
+        ...currentRRSets.map(({ name, type }) => ({ name, type })),
+        ...candidates.map(({ name, type }, index) => ({ name, type, field: String(index) }))
+      ], domain);
+
+      const errors = [...parsed.errors];
+      const toCreate = candidates.filter((rrset, index) => {
+        const rrsetErrors = [
+          ...validateDnsRecord(rrset),
+          ...setErrors.filter(e => e.field === String(index)).map(({ message }) => ({ field: 'name', message }))
+        ];
+        rrsetErrors.forEach(({ field, message }) => {
+          errors.push({ line: rrset.lines[0], name: rrset.name, type: rrset.type, field, message });
+        });
+        return rrsetErrors.length === 0;
+      });
+
+      const plan = {
+        site_id: zone.id,
+        domain,
+        records_parsed: parsed.records.length,
+        create: toCreate,
+        existing,
+        skipped,
+        warnings,
+        errors
+      };
+
+      if (dryRun) {
+        return createTextResponse(JSON.stringify({
+          success: errors.length === 0,
+          data: plan,
+          message: `Dry run: ${toCreate.length} records would be created, ${existing.length} already exist, ${skipped.length} skipped, ${errors.length} errors. Set dryRun to false to import`
+        }));
+      }
+
+      // Don't import half a zone when parts of the file are invalid
+      if (errors.length > 0) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          data: plan,
+          message: `Zone file has ${errors.length} errors, nothing was imported`
+        }));
+      }
+
+      const results = [];
+      const createdRecords = [];
+
+      for (const rrset of toCreate) {
+        const payload = {
+          type: rrset.type,
+          name: rrset.name,
+          ttl: rrset.ttl,
+          proxied,
+          detail: toRRSetDetail(rrset.values)
+        };
+
+        try {
+          const responseData = await api.createRRSet(zone.id, payload, { apiKey });
+          const id = responseData.data.rrsets[0].id;
+          const now = new Date().toISOString();
+
+          createdRecords.push({
+            id,
+            site_id: zone.id,
+            name: rrset.name,
+            type: rrset.type,
+            ttl: rrset.ttl,
+            proxied,
+            values: rrset.values,
+            created_at: now,
+            updated_at: now,
+            api_response: responseData
+          });
+          results.push({ name: rrset.name, type: rrset.type, lines: rrset.lines, status: 'created', id });
+        } catch (error) {
+          results.push({
+            name: rrset.name,
+            type: rrset.type,
+            lines: rrset.lines,
+            status: 'failed',
+            error: error.message,
+            code: error.code ?? error.status ?? null
+          });
+        }
+      }
+
+      if (createdRecords.length > 0) {
+        await updateLocalDnsRecords(dnsRecords => [...dnsRecords, ...createdRecords]);
+      }
+
+      const failed = results.filter(r => r.status === 'failed').length;
+
+      return createTextResponse(JSON.stringify({
+        success: failed === 0,
+        data: {
+          ...plan,
+          create: undefined,
+          results
+        },
+        message: `Imported ${createdRecords.length} of ${toCreate.length} records into ${domain}` +
+          `${failed ? `, ${failed} failed` : ''}${existing.length ? `, ${existing.length} already existed` : ''}`
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
@@ -0,0 +1,60 @@
+// All tools exposed by the Mlytics MCP server, in tools/list order
+import automatedLogin from './automated-login.js';
+import showCreditInfo from './show-credit-info.js';
+import authStatus from './auth-status.js';
+import listProfiles from './list-profiles.js';
+import switchProfile from './switch-profile.js';
+import createCdnSite from './create-cdn-site.js';
+import deleteCdnSite from './delete-cdn-site.js';
+import addDnsRecord from './add-dns-record.js';
+import updateDomainSettings from './update-domain-settings.js';
+import updateDispatchStrategy from './update-dispatch-strategy.js';
+import getPerformanceData from './get-performance-data.js';
+import getCostData from './get-cost-data.js';
+import optimizeStrategy from './optimize-strategy.js';
+import listCdnProviders from './list-cdn-providers.js';
+import listSites from './list-sites.js';
+import checkSiteStatus from './check-site-status.js';
+import listDnsRecords from './list-dns-records.js';
+import updateDnsRecord from './update-dns-record.js';
+import deleteDnsRecord from './delete-dns-record.js';
+import importZoneFile from './import-zone-file.js';
+import exportZone from './export-zone.js';
+import planZone from './plan-zone.js';
+import applyZone from './apply-zone.js';
+import queryCdnEdgeReport from './query-cdn-edge-report.js';
+import getHistoricalReports from './get-historical-reports.js';
+import usageInsights from './usage-insights.js';
+import queryGuide from './query-guide.js';
+import capacityForecast from './capacity-forecast.js';
+
+export default [
+  automatedLogin,
+  showCreditInfo,
+  authStatus,
+  listProfiles,
+  switchProfile,
+  createCdnSite,
+  deleteCdnSite,
+  addDnsRecord,
+  updateDomainSettings,
+  updateDispatchStrategy,
+  getPerformanceData,
+  getCostData,
+  optimizeStrategy,
+  listCdnProviders,
+  listSites,
+  checkSiteStatus,
+  listDnsRecords,
+  updateDnsRecord,
+  deleteDnsRecord,
+  importZoneFile,
+  exportZone,
+  planZone,
+  applyZone,
+  queryCdnEdgeReport,
+  getHistoricalReports,
+  usageInsights,
+  queryGuide,
+  capacityForecast
+];
@@ -0,0 +1,15 @@
+// list-cdn-providers: providers available for dispatching
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, CDN_PROVIDERS } from '../mcp-common.js';
+
+export default defineTool({
+  name: 'list-cdn-providers',
+  description: 'List all available CDN providers',
+  handler: async () => {
+    return createTextResponse(JSON.stringify({
+      success: true,
+      data: CDN_PROVIDERS,
+      message: 'CDN providers retrieved successfully'
+    }));
+  }
+});
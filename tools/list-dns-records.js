@@ -0,0 +1,33 @@
+// list-dns-records: rrsets of a Mlytics zone
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse } from '../mcp-common.js';
+
+export const ListDnsRecordsSchema = z.object({
+  siteId: z.string(),
+  apiKey: z.string().optional(),
+});
+
+export default defineTool({
+  name: 'list-dns-records',
+  description: 'List all DNS records for a specific site',
+  schema: ListDnsRecordsSchema,
+  handler: async ({ siteId, apiKey: providedApiKey }, { api, credentials }) => {
+    try {
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      // Call the Mlytics API to list all DNS records for the site
+      const responseData = await api.listRRSets(siteId, { apiKey });
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: responseData.data,
+        meta: responseData.meta,
+        message: `DNS records for site ${siteId} retrieved successfully`
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
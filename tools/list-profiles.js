@@ -0,0 +1,32 @@
+// list-profiles: named profiles and the organization each one works with
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse } from '../mcp-common.js';
+import { loadProfiles, describeProfile } from '../mcp-profiles.js';
+
+export const ListProfilesSchema = z.object({});
+
+export default defineTool({
+  name: 'list-profiles',
+  description: 'List the named profiles (one per Mlytics organization) with their settings and login state, marking the active one',
+  schema: ListProfilesSchema,
+  handler: async () => {
+    try {
+      const { active, profiles } = await loadProfiles();
+      const summaries = await Promise.all(
+        Object.entries(profiles).map(([name, settings]) => describeProfile(name, settings, active))
+      );
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: summaries,
+        message: `${summaries.length} profiles, active profile: ${active}`
+      }));
+    } catch (error) {
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: `Error listing profiles: ${error.message}`
+      }));
+    }
+  }
+});
@@ -0,0 +1,17 @@
+// list-sites: sites stored in the local data directory
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, loadDataOrDefault, sitesFile } from '../mcp-common.js';
+
+export default defineTool({
+  name: 'list-sites',
+  description: 'List all CDN sites',
+  handler: async () => {
+    const sites = await loadDataOrDefault(sitesFile, []);
+
+    return createTextResponse(JSON.stringify({
+      success: true,
+      data: sites,
+      message: 'Sites retrieved successfully'
+    }));
+  }
+});
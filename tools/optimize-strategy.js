@@ -0,0 +1,21 @@
+// optimize-strategy: pick the best CDN per region from performance and cost
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse } from '../mcp-common.js';
+import { calculateOptimalStrategy } from '../mcp-analytics.js';
+
+export default defineTool({
+  name: 'optimize-strategy',
+  description: 'Optimize the CDN dispatch strategy from synthetic performance and cost data, in live mode too (the response is marked with is_mock)',
+  handler: async () => {
+    const optimizedStrategy = await calculateOptimalStrategy();
+
+    // The strategy is computed from the same synthetic data as get-performance-data and get-cost-data
+    return createTextResponse(JSON.stringify({
+      success: true,
+      data: optimizedStrategy,
+      data_source: 'mock',
+      is_mock: true,
+      message: 'Strategy optimized from synthetic performance and cost data, not measured by Mlytics'
+    }));
+  }
+});
@@ -0,0 +1,91 @@
+// plan-zone: compare a desired record set with a site's DNS records
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse } from '../mcp-common.js';
+import { DNS_RECORD_TYPES, DnsRecordValueSchema, extractRRSets, normalizeRecordName } from '../mcp-dns.js';
+import { computeZonePlan, getPlanId, formatPlan } from '../mcp-zone-plan.js';
+import { refineDnsRecord } from '../mcp-dns-validation.js';
+
+export const ZoneRecordSchema = z.object({
+  name: z.string().describe('Record name, relative to the site domain or fully qualified; @ is the apex'),
+  type: z.enum(DNS_RECORD_TYPES),
+  ttl: z.number().optional().describe('TTL in seconds (default: 3600)'),
+  values: z.array(DnsRecordValueSchema).min(1)
+    .describe('Record values as strings, or structured MX, SRV and CAA values'),
+  proxied: z.boolean().optional().describe('Whether traffic is proxied through Mlytics (default: false)'),
+}).superRefine(refineDnsRecord);
+
+export const PlanZoneSchema = z.object({
+  siteId: z.string(),
+  records: z.array(ZoneRecordSchema).describe('The complete desired record set, one entry per name and type'),
+  prune: z.boolean().optional().default(true)
+    .describe('Delete records that are not in the desired set (default: true). SOA and apex NS records are never touched'),
+  apiKey: z.string().optional(),
+});
+
+/**
+ * Resolve the zone and compute the plan for a desired record set
+ * @param {Object} api API client
+ * @param {Object} args Tool arguments: siteId, records, prune
+ * @param {Object} auth Authentication passed to the client
+ * @returns {Promise<Object>} { zone, domain, plan, planId }, or { response } when the site doesn't exist
+ */
+export const planZone = async (api, { siteId, records, prune }, auth) => {
+  const zonesResponse = await api.listZones(auth);
+  const zone = zonesResponse.data.find(z => String(z.id) === String(siteId));
+
+  if (!zone) {
+    return {
+      response: createTextResponse(JSON.stringify({
+        success: false,
+        message: `Site '${siteId}' not found in Mlytics CDN`,
+        data: {
+          available_sites: zonesResponse.data.map(z => ({ id: z.id, domain: z.domain_name }))
+        }
+      }))
+    };
+  }
+
+  const domain = normalizeRecordName(zone.domain_name);
+  const rrsetsResponse = await api.listRRSets(zone.id, auth);
+  const plan = computeZonePlan(extractRRSets(rrsetsResponse.data), records, { domain, prune });
+
+  return { zone, domain, plan, planId: getPlanId(plan) };
+};
+
+export default defineTool({
+  name: 'plan-zone',
+  description: 'Compare a desired DNS record set with the records of a site and return the create/update/delete plan, without changing anything. Apply it with apply-zone',
+  schema: PlanZoneSchema,
+  handler: async ({ apiKey: providedApiKey, ...args }, { api, credentials }) => {
+    try {
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      const { response, zone, domain, plan, planId } = await planZone(api, args, { apiKey });
+      if (response) {
+        return response;
+      }
+
+      const changes = plan.create.length + plan.update.length + plan.delete.length;
+
+      return createTextResponse(JSON.stringify({
+        success: plan.errors.length === 0,
+        data: {
+          site_id: zone.id,
+          domain,
+          plan_id: planId,
+          summary: formatPlan(plan),
+          ...plan
+        },
+        message: plan.errors.length > 0
+          ? `The desired records have ${plan.errors.length} errors`
+          : (changes === 0
+            ? `No changes: ${domain} matches the desired records`
+            : `${changes} changes planned for ${domain}. Run apply-zone with planId ${planId} to apply them`)
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
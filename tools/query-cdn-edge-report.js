@@ -0,0 +1,50 @@
+// query-cdn-edge-report: CDN edge analytics for a domain
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse } from '../mcp-common.js';
+import { resolveTimeRange, timeValueSchema, TimeRangeSchemaFields, TimeRangeError } from '../mcp-time-range.js';
+
+export const QueryCdnEdgeReportSchema = z.object({
+  domain: z.string(),
+  start_time: timeValueSchema('start'),
+  end_time: timeValueSchema('end'),
+  ...TimeRangeSchemaFields,
+  interval: z.number().optional(),
+  apiKey: z.string().optional(),
+});
+
+export default defineTool({
+  name: 'query-cdn-edge-report',
+  description: 'Query CDN edge performance reports for a domain over a time range given as start_time and end_time, or as time_range such as "last 24h"',
+  schema: QueryCdnEdgeReportSchema,
+  handler: async ({ domain, start_time: startInput, end_time: endInput, time_range, timezone, interval, apiKey: providedApiKey }, { api, credentials }) => {
+    let range;
+    try {
+      range = resolveTimeRange({ start_time: startInput, end_time: endInput, time_range, timezone });
+    } catch (error) {
+      if (!(error instanceof TimeRangeError)) {
+        throw error;
+      }
+      return createTextResponse(JSON.stringify({ success: false, message: error.message }));
+    }
+    const { start_time, end_time } = range;
+
+    try {
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      // Call the Mlytics API to get CDN edge report
+      const responseData = await api.getEdgeReport({ domain, start_time, end_time, interval }, { apiKey });
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: responseData.data,
+        meta: responseData.meta,
+        time_range: range,
+        message: `CDN edge report for domain ${domain} from ${range.start} to ${range.end} retrieved successfully`
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
@@ -0,0 +1,55 @@
+// show-credit-info: credit usage for the logged in portal user
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse } from '../mcp-common.js';
+import { MlyticsApiError } from '../mcp-api-client.js';
+import { AuthenticationError } from '../mcp-credentials.js';
+
+export const ShowCreditInfoSchema = z.object({
+  // No parameters needed as it uses the stored JWT
+});
+
+export default defineTool({
+  name: 'show-credit-info',
+  description: 'Show current credit usage information for the authenticated user',
+  schema: ShowCreditInfoSchema,
+  handler: async (args, { api, credentials }) => {
+    try {
+      // Call the Mlytics API to get credit info, refreshing the portal token if needed
+      const responseData = await credentials.withJwt(auth => api.getCredit(auth));
+
+      // Format the credit info for better display
+      const creditData = responseData.data;
+
+      // Calculate percentages
+      const usagePercentage = (creditData.used / creditData.limit * 100).toFixed(2);
+      const remainingPercentage = (100 - usagePercentage).toFixed(2);
+
+      // Add formatted data
+      creditData.usagePercentage = parseFloat(usagePercentage);
+      creditData.remainingCredit = creditData.limit - creditData.used;
+      creditData.remainingPercentage = parseFloat(remainingPercentage);
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: creditData,
+        meta: responseData.meta,
+        message: 'Credit information retrieved successfully'
+      }));
+    } catch (error) {
+      if (error instanceof MlyticsApiError) {
+        return createApiErrorResponse(error);
+      }
+      if (error instanceof AuthenticationError) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: error.message
+        }));
+      }
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: `Error retrieving credit info: ${error.message}`
+      }));
+    }
+  }
+});
@@ -0,0 +1,87 @@
+// switch-profile: select the profile used by tools called without a profile argument
+import path from 'path';
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse } from '../mcp-common.js';
+import { LOGIN_SELECTOR_KEYS } from '../mcp-auth.js';
+import { saveTotpSecret } from '../mcp-credentials.js';
+import { LOGIN_STRATEGIES } from '../mcp-login.js';
+import {
+  loadProfiles,
+  saveProfile,
+  setActiveProfile,
+  describeProfile,
+  getProfileDir,
+  PROFILE_NAME_PATTERN,
+  PROFILE_SETTINGS,
+  ProfileError
+} from '../mcp-profiles.js';
+
+// Each key replaces the default selectors tried for that part of the login page
+const LoginSelectorsSchema = z.object(Object.fromEntries(
+  LOGIN_SELECTOR_KEYS.map(key => [key, z.array(z.string().min(1)).min(1).optional()])
+)).strict();
+
+export const SwitchProfileSchema = z.object({
+  name: z.string().regex(PROFILE_NAME_PATTERN, 'Use letters, digits, - and _')
+    .describe('Profile to make active, e.g. prod, staging or a customer name'),
+  create: z.boolean().optional().default(false)
+    .describe('Create the profile if it does not exist yet (default: false)'),
+  apiKey: z.string().optional()
+    .describe('API key of the organization, stored encrypted in the profile'),
+  orgId: z.string().optional()
+    .describe('Default org_id for reporting tools'),
+  openApiBaseUrl: z.string().url().optional()
+    .describe('Base URL of the OpenAPI for this profile'),
+  portalApiBaseUrl: z.string().url().optional()
+    .describe('Base URL of the portal API for this profile'),
+  totpSecret: z.string().optional()
+    .describe('Base32 TOTP secret (or otpauth:// URI) of the portal account, stored encrypted and used when the login asks for a one-time code'),
+  loginStrategy: z.enum(LOGIN_STRATEGIES).optional()
+    .describe('How automated-login gets the token: http (the portal login API, no browser), browser (Playwright) or auto (the API, then the browser)'),
+  loginSelectors: LoginSelectorsSchema.optional()
+    .describe(`CSS selectors for the portal login page, replacing the defaults per key: ${LOGIN_SELECTOR_KEYS.join(', ')}`),
+});
+
+export default defineTool({
+  name: 'switch-profile',
+  description: 'Switch the active profile (Mlytics organization), optionally creating it or updating its API key, default org_id, base URLs, TOTP secret, login strategy and login selectors',
+  schema: SwitchProfileSchema,
+  handler: async ({ name, create, apiKey, totpSecret, ...settings }) => {
+    try {
+      const { profiles } = await loadProfiles();
+      const exists = Boolean(profiles[name]);
+
+      if (!exists && !create) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: `Unknown profile '${name}', available profiles: ${Object.keys(profiles).join(', ')}. Set create to true to create it`
+        }));
+      }
+
+      const updated = PROFILE_SETTINGS.filter(key => settings[key] !== undefined);
+      if (!exists || updated.length > 0 || apiKey) {
+        await saveProfile(name, settings, apiKey);
+      }
+      if (totpSecret) {
+        await saveTotpSecret(totpSecret, path.join(getProfileDir(name), 'credentials.json'));
+      }
+      await setActiveProfile(name);
+
+      const { active, profiles: saved } = await loadProfiles();
+      const profile = await describeProfile(name, saved[name], active);
+      const changes = [...updated, ...(apiKey ? ['apiKey'] : []), ...(totpSecret ? ['totpSecret'] : [])];
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: profile,
+        message: `${exists ? 'Switched to' : 'Created and switched to'} profile ${name}${changes.length > 0 ? `, updated ${changes.join(', ')}` : ''}`
+      }));
+    } catch (error) {
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: error instanceof ProfileError ? error.message : `Error switching profile: ${error.message}`
+      }));
+    }
+  }
+});
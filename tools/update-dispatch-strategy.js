@@ -0,0 +1,51 @@
+// update-dispatch-strategy: configure how traffic is dispatched across CDNs
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, loadDataOrDefault, saveData, strategyFile } from '../mcp-common.js';
+import { DEFAULT_STRATEGY } from '../mcp-analytics.js';
+
+export const UpdateStrategySchema = z.object({
+  strategyType: z.enum(['geo', 'performance', 'cost', 'availability', 'hybrid']),
+  settings: z.object({
+    weights: z.object({
+      performance: z.number().min(0).max(100).optional(),
+      cost: z.number().min(0).max(100).optional(),
+      reliability: z.number().min(0).max(100).optional(),
+    }).optional(),
+    geo_rules: z.array(
+      z.object({
+        region: z.string(),
+        preferred_cdn: z.string(),
+      })
+    ).optional(),
+    fallback_cdn: z.string().optional(),
+  }).optional(),
+});
+
+export default defineTool({
+  name: 'update-dispatch-strategy',
+  description: 'Update the CDN dispatch strategy',
+  schema: UpdateStrategySchema,
+  handler: async ({ strategyType, settings }) => {
+    // Load current strategy
+    const currentStrategy = await loadDataOrDefault(strategyFile, DEFAULT_STRATEGY);
+
+    // Update strategy
+    const newStrategy = {
+      strategyType,
+      settings: {
+        ...currentStrategy.settings,
+        ...settings
+      }
+    };
+
+    // Save updated strategy
+    await saveData(strategyFile, newStrategy);
+
+    return createTextResponse(JSON.stringify({
+      success: true,
+      data: newStrategy,
+      message: 'Dispatch strategy updated successfully'
+    }));
+  }
+});
@@ -0,0 +1,114 @@
+// update-dns-record: change the TTL, values or proxy flag of an rrset
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse } from '../mcp-common.js';
+import {
+  DNS_RECORD_TYPES,
+  DEFAULT_TTL,
+  DnsRecordValueSchema,
+  serializeRecordValues,
+  toRRSetDetail,
+  extractRRSets,
+  getRRSetValues,
+  findRRSet,
+  requireRecordSelector,
+  describeSelector,
+  updateLocalDnsRecords
+} from '../mcp-dns.js';
+import { refineDnsRecord, validateRecordValues, createValidationErrorResponse } from '../mcp-dns-validation.js';
+
+export const UpdateDnsRecordSchema = z.object({
+  siteId: z.string(),
+  recordId: z.string().optional().describe('ID of the rrset to update, as returned by list-dns-records'),
+  name: z.string().optional().describe('Record name, relative to the site domain or fully qualified, used with type when recordId is not known'),
+  type: z.enum(DNS_RECORD_TYPES).optional().describe('Record type, used with name when recordId is not known'),
+  ttl: z.number().optional().describe('New TTL in seconds'),
+  values: z.array(DnsRecordValueSchema).optional()
+    .describe('Values replacing the current ones, as strings or structured MX, SRV and CAA values'),
+  proxied: z.boolean().optional().describe('Whether traffic is proxied through Mlytics'),
+  apiKey: z.string().optional(),
+}).refine(...requireRecordSelector).superRefine(refineDnsRecord);
+
+export default defineTool({
+  name: 'update-dns-record',
+  description: 'Update the TTL, values or proxied flag of a DNS record, selected by record ID or by name and type',
+  schema: UpdateDnsRecordSchema,
+  handler: async ({ siteId, recordId, name, type, ttl, values, proxied, apiKey: providedApiKey }, { api, credentials }) => {
+    try {
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      // A name relative to the site domain, such as www, matches the record of www.example.com.
+      const zone = recordId ? null : (await api.listZones({ apiKey })).data.find(z => String(z.id) === String(siteId));
+
+      // Resolve the record through the same listing list-dns-records uses
+      const listing = await api.listRRSets(siteId, { apiKey });
+      const { rrset, error, matches } = findRRSet(extractRRSets(listing.data), { recordId, name, type, domain: zone?.domain_name });
+
+      if (!rrset) {
+        return createTextResponse(JSON.stringify({
+          success: false,
+          message: error,
+          data: matches ? { matching_record_ids: matches } : undefined
+        }));
+      }
+
+      // Values can only be checked once the type of a record selected by id is known
+      if (values && !type) {
+        const errors = validateRecordValues(rrset.type, values);
+        if (errors.length > 0) {
+          return createValidationErrorResponse(errors);
+        }
+      }
+
+      // Unspecified fields keep their current value
+      const newValues = values ? serializeRecordValues(rrset.type, values) : getRRSetValues(rrset);
+      const payload = {
+        type: rrset.type,
+        name: rrset.name,
+        ttl: ttl ?? rrset.ttl ?? DEFAULT_TTL,
+        proxied: proxied ?? rrset.proxied ?? false,
+        detail: toRRSetDetail(newValues)
+      };
+
+      const responseData = await api.updateRRSet(siteId, rrset.id, payload, { apiKey });
+
+      const updatedRecord = {
+        id: rrset.id,
+        site_id: siteId,
+        name: payload.name,
+        type: payload.type,
+        ttl: payload.ttl,
+        proxied: payload.proxied,
+        values: newValues,
+        updated_at: new Date().toISOString(),
+        api_response: responseData
+      };
+
+      // Keep dns_records.json in sync with the remote record
+      await updateLocalDnsRecords(dnsRecords => {
+        const existing = dnsRecords.find(r => String(r.id) === String(rrset.id));
+        if (existing) {
+          Object.assign(existing, updatedRecord);
+          return dnsRecords;
+        }
+        return [...dnsRecords, { ...updatedRecord, created_at: updatedRecord.updated_at }];
+      });
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: {
+          ...updatedRecord,
+          previous: {
+            ttl: rrset.ttl,
+            proxied: rrset.proxied,
+            values: getRRSetValues(rrset)
+          }
+        },
+        message: `DNS record ${describeSelector({ recordId, name, type })} updated successfully via Mlytics API`
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
@@ -0,0 +1,169 @@
+// update-domain-settings: CDN and security settings for a site
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse, createApiErrorResponse, loadDataOrDefault, saveData, sitesFile } from '../mcp-common.js';
+import { MlyticsApiError } from '../mcp-api-client.js';
+
+export const UpdateDomainSchema = z.object({
+  domain: z.string(),
+  settings: z.object({
+    cdn_settings: z.object({
+      enable_cache: z.boolean().optional(),
+      cache_ttl: z.number().optional(),
+      query_string_handling: z.enum(['ignore', 'include', 'exclude']).optional(),
+    }).optional(),
+    security_settings: z.object({
+      enable_waf: z.boolean().optional(),
+      block_bad_bots: z.boolean().optional(),
+      enable_rate_limiting: z.boolean().optional(),
+    }).optional(),
+  }).optional(),
+  apiKey: z.string().optional(),
+});
+
+// Settings groups and the client method pushing each of them
+const SETTINGS_GROUPS = {
+  cdn_settings: 'updateZoneCdnSettings',
+  security_settings: 'updateZoneSecuritySettings'
+};
+
+/**
+ * Compare requested settings with the values the settings endpoint reads back
+ * A field is applied when the API returns the requested value, rejected when it returns another one, and unconfirmed
+ * when the response doesn't include it
+ * @param {string} group Settings group name
+ * @param {Object} requested Requested field values
+ * @param {Object} returned Response data of the settings endpoint
+ * @returns {Object} { applied, rejected, unconfirmed } keyed by dotted field path
+ */
+const compareSettings = (group, requested, returned) => {
+  const applied = {};
+  const rejected = {};
+  const unconfirmed = {};
+  const returnedSettings = returned && typeof returned === 'object' ? returned : {};
+
+  for (const [field, value] of Object.entries(requested)) {
+    const key = `${group}.${field}`;
+
+    if (!Object.prototype.hasOwnProperty.call(returnedSettings, field)) {
+      unconfirmed[key] = { requested: value, reason: 'The API response does not include this field' };
+    } else if (returnedSettings[field] !== value) {
+      rejected[key] = { requested: value, reason: `API kept value ${JSON.stringify(returnedSettings[field])}` };
+    } else {
+      applied[key] = value;
+    }
+  }
+
+  return { applied, rejected, unconfirmed };
+};
+
+export default defineTool({
+  name: 'update-domain-settings',
+  description: 'Update domain settings including CDN and security configurations, reporting which fields Mlytics applied or rejected',
+  schema: UpdateDomainSchema,
+  handler: async ({ domain, settings = {}, apiKey: providedApiKey }, { api, credentials }) => {
+    const groups = Object.keys(SETTINGS_GROUPS).filter(group => settings[group] && Object.keys(settings[group]).length > 0);
+
+    if (groups.length === 0) {
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: 'No settings provided to update'
+      }));
+    }
+
+    try {
+      // Get API key from provided key or credentials file
+      const apiKey = await credentials.getApiKey(providedApiKey);
+
+      // Find the zone, locally first and then in the Mlytics account
+      const sites = await loadDataOrDefault(sitesFile, []);
+      const site = sites.find(s => s.domain === domain);
+      let zoneId = site?.id;
+
+      if (!zoneId) {
+        const zonesResponse = await api.listZones({ apiKey });
+        const zone = zonesResponse.data.find(z => z.domain_name === domain);
+
+        if (!zone) {
+          return createTextResponse(JSON.stringify({
+            success: false,
+            message: `Site with domain ${domain} not found`
+          }));
+        }
+        zoneId = zone.id;
+      }
+
+      // Push each settings group and collect per-field results
+      const applied = {};
+      const rejected = {};
+      const unconfirmed = {};
+      const appliedSettings = {};
+      const apiResponses = {};
+
+      for (const group of groups) {
+        try {
+          const responseData = await api[SETTINGS_GROUPS[group]](zoneId, settings[group], { apiKey });
+          const result = compareSettings(group, settings[group], responseData.data);
+
+          Object.assign(applied, result.applied);
+          Object.assign(rejected, result.rejected);
+          Object.assign(unconfirmed, result.unconfirmed);
+          apiResponses[group] = responseData;
+
+          const appliedFields = Object.keys(result.applied).map(key => key.slice(group.length + 1));
+          if (appliedFields.length > 0) {
+            appliedSettings[group] = Object.fromEntries(appliedFields.map(field => [field, settings[group][field]]));
+          }
+        } catch (groupError) {
+          if (!(groupError instanceof MlyticsApiError)) {
+            throw groupError;
+          }
+          for (const [field, value] of Object.entries(settings[group])) {
+            rejected[`${group}.${field}`] = {
+              requested: value,
+              reason: groupError.message,
+              status: groupError.status,
+              code: groupError.code
+            };
+          }
+        }
+      }
+
+      // Only persist what Mlytics actually accepted
+      const updatedAt = new Date().toISOString();
+      if (site && Object.keys(appliedSettings).length > 0) {
+        site.settings = site.settings || {};
+        for (const [group, values] of Object.entries(appliedSettings)) {
+          site.settings[group] = { ...site.settings[group], ...values };
+        }
+        site.updated_at = updatedAt;
+        await saveData(sitesFile, sites);
+      }
+
+      const rejectedCount = Object.keys(rejected).length;
+      const appliedCount = Object.keys(applied).length;
+      const unconfirmedCount = Object.keys(unconfirmed).length;
+
+      return createTextResponse(JSON.stringify({
+        success: rejectedCount === 0,
+        data: {
+          id: zoneId,
+          domain,
+          name: site?.name || domain,
+          updated_at: appliedCount > 0 ? updatedAt : site?.updated_at,
+          applied,
+          rejected,
+          ...(unconfirmedCount > 0 ? { unconfirmed } : {}),
+          settings: site?.settings || appliedSettings,
+          persisted_locally: Boolean(site) && appliedCount > 0,
+          api_responses: apiResponses
+        },
+        message: rejectedCount === 0 && unconfirmedCount === 0
+          ? 'Domain settings updated successfully via Mlytics API'
+          : `${appliedCount} setting(s) applied, ${rejectedCount} rejected by Mlytics API${unconfirmedCount > 0 ? `, ${unconfirmedCount} sent but not confirmed in the response` : ''}`
+      }));
+    } catch (apiError) {
+      return createApiErrorResponse(apiError);
+    }
+  }
+});
@@ -0,0 +1,189 @@
+// usage-insights: summary statistics and anomalous days of historical usage
+import { z } from 'zod';
+import { defineTool } from '../mcp-registry.js';
+import { createTextResponse } from '../mcp-common.js';
+import { summarizeDailyUsage, DEFAULT_ANOMALY_THRESHOLD } from '../mcp-analytics.js';
+import { GetHistoricalReportSchema, getHistoricalReports } from './get-historical-reports.js';
+
+// Week-over-week change from which the finding is a warning
+const WEEK_OVER_WEEK_WARNING_PCT = 25;
+
+export const UsageInsightsSchema = GetHistoricalReportSchema.omit({ convert_milli_timestamp: true }).extend({
+  anomaly_threshold: z.number().min(1).optional().default(DEFAULT_ANOMALY_THRESHOLD)
+    .describe(`Modified z-score above which a day is reported as anomalous, higher reports fewer days (default: ${DEFAULT_ANOMALY_THRESHOLD})`)
+});
+
+const formatNumber = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+// Findings of one usage type, most important first
+const getFindings = (usageType, summary) => {
+  if (!summary || summary.days === 0) {
+    return [{
+      usage_type: usageType,
+      type: 'insufficient_data',
+      severity: 'info',
+      message: summary
+        ? `${usageType}: no whole day of data in the period, total ${formatNumber(summary.total)} over partial days`
+        : `${usageType}: no data in the period`
+    }];
+  }
+
+  const findings = summary.anomalies.map(day => ({
+    usage_type: usageType,
+    type: 'anomaly',
+    severity: 'warning',
+    date: day.date,
+    message: `${usageType}: ${day.direction} on ${day.weekday} ${day.date}, ${formatNumber(day.value)} against ${formatNumber(day.expected)} expected${day.deviation_pct !== null ? ` (${day.deviation_pct > 0 ? '+' : ''}${day.deviation_pct}%)` : ''}`
+  }));
+
+  const weekOverWeek = summary.week_over_week;
+  if (weekOverWeek) {
+    const changePct = weekOverWeek.change_pct;
+    findings.push({
+      usage_type: usageType,
+      type: 'week_over_week',
+      severity: changePct !== null && Math.abs(changePct) >= WEEK_OVER_WEEK_WARNING_PCT ? 'warning' : 'info',
+      message: changePct === null
+        ? `${usageType}: ${formatNumber(weekOverWeek.current_week.total)} in the last 7 days, none the 7 days before`
+        : `${usageType}: ${changePct === 0 ? 'flat' : `${changePct > 0 ? 'up' : 'down'} ${Math.abs(changePct)}%`} week over week (${formatNumber(weekOverWeek.current_week.total)} from ${weekOverWeek.current_week.start} to ${weekOverWeek.current_week.end}, ${formatNumber(weekOverWeek.previous_week.total)} the week before)`
+    });
+  }
+
+  if (summary.missing_days > 0) {
+    findings.push({
+      usage_type: usageType,
+      type: 'gaps',
+      severity: 'warning',
+      message: `${usageType}: no data for ${summary.missing_days} days between ${summary.first_day} and ${summary.last_day}, weekday patterns not applied`
+    });
+  }
+
+  findings.push(
+    {
+      usage_type: usageType,
+      type: 'total',
+      severity: 'info',
+      message: `${usageType}: ${formatNumber(summary.total)} in total, ${formatNumber(summary.daily.mean)} a day on average (median ${formatNumber(summary.daily.median)}, p95 ${formatNumber(summary.daily.p95)}) over ${summary.days} whole days`
+    },
+    {
+      usage_type: usageType,
+      type: 'peak',
+      severity: 'info',
+      date: summary.peak.date,
+      message: `${usageType}: peak of ${formatNumber(summary.peak.value)} on ${summary.peak.weekday} ${summary.peak.date}`
+    }
+  );
+
+  if (summary.anomaly_detection.skipped) {
+    findings.push({
+      usage_type: usageType,
+      type: 'insufficient_data',
+      severity: 'info',
+      message: `${usageType}: anomaly detection skipped, ${summary.anomaly_detection.skipped.toLowerCase()}`
+    });
+  }
+  return findings;
+};
+
+// A few sentences per usage type, for the caller to relay as is
+const getNarrative = (usageType, summary) => {
+  if (!summary || summary.days === 0) {
+    return `No whole day of ${usageType} data in the period.`;
+  }
+
+  const sentences = [
+    `${usageType} totalled ${formatNumber(summary.total)} from ${summary.first_day} to ${summary.last_day}, ${formatNumber(summary.daily.mean)} a day on average with a peak of ${formatNumber(summary.peak.value)} on ${summary.peak.weekday} ${summary.peak.date}.`
+  ];
+  const changePct = summary.week_over_week?.change_pct;
+  if (changePct !== null && changePct !== undefined) {
+    sentences.push(changePct === 0
+      ? 'The last 7 days were flat against the week before.'
+      : `The last 7 days were ${Math.abs(changePct)}% ${changePct > 0 ? 'above' : 'below'} the week before.`);
+  }
+  if (summary.anomaly_detection.skipped) {
+    sentences.push('The period is too short to look for anomalous days.');
+  } else if (summary.anomalies.length === 0) {
+    sentences.push(`No anomalous day${summary.weekday_factors ? ' once weekday patterns are accounted for' : ''}.`);
+  } else {
+    const days = summary.anomalies.map(day => `a ${day.direction} on ${day.date} (${day.deviation_pct !== null ? `${day.deviation_pct > 0 ? '+' : ''}${day.deviation_pct}% against expected` : `${formatNumber(day.value)}, none expected`})`);
+    sentences.push(`${summary.anomalies.length} anomalous day${summary.anomalies.length > 1 ? 's' : ''}${summary.weekday_factors ? ' after weekday adjustment' : ''}: ${days.join(', ')}.`);
+  }
+  return sentences.join(' ');
+};
+
+export default defineTool({
+  name: 'usage-insights',
+  description: 'Summarize historical usage over a time range: total, daily mean, median and p95, peak day, week-over-week change and anomalous days (robust modified z-score, adjusted for weekday patterns), as structured findings and a narrative summary. Takes the parameters of get-historical-reports; days and weekdays are calendar days in timezone (default UTC), use Asia/Taipei for the portal\'s +08:00 days',
+  schema: UsageInsightsSchema,
+  handler: async ({ anomaly_threshold, ...args }, context) => {
+    // The report in seconds whatever the caller asked, days are counted on them
+    const report = await getHistoricalReports({ ...args, convert_milli_timestamp: false }, context);
+    if (!report.success) {
+      return createTextResponse(JSON.stringify(report));
+    }
+
+    try {
+      // A day still in progress is as partial as one cut by the range
+      // Days are counted in the timezone of the request, like its calendar expressions
+      const { start_time, end_time, timezone } = report.time_range;
+      const period = { start_time, end_time: Math.min(end_time, Math.floor(Date.now() / 1000)), timezone };
+
+      const usageTypes = report.data.query.usage_type;
+      const insights = {};
+      const findings = [];
+      const narrative = [];
+      for (const usageType of usageTypes) {
+        const diagram = report.data.diagrams[usageType];
+        const summary = summarizeDailyUsage(diagram.labels, diagram.datasets, { ...period, anomalyThreshold: anomaly_threshold });
+        insights[usageType] = summary;
+        findings.push(...getFindings(usageType, summary));
+        narrative.push(getNarrative(usageType, summary));
+      }
+
+      // Warnings first, the order of the usage types within each severity
+      findings.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'warning' ? -1 : 1));
+      const anomalyCount = findings.filter(finding => finding.type === 'anomaly').length;
+
+      // Data that isn't entirely live is stated with the insights
+      const caveats = [];
+      if (report.is_mock) {
+        caveats.push('mock data, synthetic values, not real usage');
+      }
+      if (report.cached_at) {
+        caveats.push(`live data unavailable (${report.live_error}), served from the usage cache`);
+      }
+      if (report.partial) {
+        const periods = Object.entries(report.failed_windows)
+          .flatMap(([usageType, windows]) => windows.map(window => `${usageType} from ${window.start} to ${window.end}`));
+        caveats.push(`incomplete, no data for ${periods.join(', ')}`);
+      }
+      const caveat = caveats.join('; ');
+      if (caveat) {
+        narrative.push(`Note: ${caveat}.`);
+      }
+
+      return createTextResponse(JSON.stringify({
+        success: true,
+        data: {
+          query: report.data.query,
+          insights,
+          findings,
+          narrative: narrative.join('\n')
+        },
+        time_range: report.time_range,
+        data_source: report.data_source,
+        ...(report.data_sources ? { data_sources: report.data_sources } : {}),
+        ...(report.is_mock ? { is_mock: true } : {}),
+        ...(report.cached_days ? { cached_days: report.cached_days } : {}),
+        ...(report.partial ? { partial: true, failed_windows: report.failed_windows } : {}),
+        ...(report.cached_at ? { cached_at: report.cached_at, live_error: report.live_error } : {}),
+        message: `Usage insights for ${usageTypes.join(', ')} from ${report.time_range.start} to ${report.time_range.end}: ${anomalyCount} anomalous day${anomalyCount === 1 ? '' : 's'}${caveat ? `; ${caveat}` : ''}`
+      }));
+    } catch (error) {
+      return createTextResponse(JSON.stringify({
+        success: false,
+        message: `Error computing usage insights: ${error.message}`
+      }));
+    }
+  }
+});